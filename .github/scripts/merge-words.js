@@ -0,0 +1,71 @@
+// ===== MERGE WORDS =====
+// Run by auto_sync.yml after validation. Applies the identity rule from
+// identity.js (the same one the web app uses) to everything that arrived:
+//
+//   1. old numeric ids are converted to their ULIDs
+//   2. copies of one word are folded onto one id and combined (merge.js)
+//   3. one tombstone per id is kept, expired ones are purged, and words
+//      deleted after their last update are dropped
+//   4. the newest copy of each collection is kept
+//   5. activity logs are combined (activity.js) and old events dropped
+//
+//   node .github/scripts/merge-words.js <words.json> <tombstones.json> <collections.json> <activity.json> \
+//       <words-out.json> <tombstones-out.json> <collections-out.json> <activity-out.json>
+const fs = require('fs');
+const { WordIdentity } = require('../../identity.js');
+const { ActivityLog } = require('../../activity.js');
+const { WordMerge } = require('../../merge.js');
+
+const [wordsFile, tombstonesFile, collectionsFile, activityFile, wordsOut, tombstonesOut, collectionsOut, activityOut] = process.argv.slice(2);
+const identity = new WordIdentity();
+const merger = new WordMerge();
+
+// Tombstones and activity older than this are purged (same as the web app)
+const retentionDays = 30;
+const activityRetentionDays = 730;
+
+function writeOutput(name, value) {
+    if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
+
+const incoming = JSON.parse(fs.readFileSync(wordsFile, 'utf8'));
+const incomingTombstones = JSON.parse(fs.readFileSync(tombstonesFile, 'utf8'));
+const incomingCollections = JSON.parse(fs.readFileSync(collectionsFile, 'utf8'));
+const incomingActivity = JSON.parse(fs.readFileSync(activityFile, 'utf8'));
+
+const migrated = incoming.filter(word => identity.isLegacyId(word.id)).length;
+const migratedWords = incoming.map(word => ({ ...word, id: identity.migrateId(word.id) }));
+const words = identity.resolve(migratedWords, identity.canonicalIds(migratedWords), (kept, copy) => merger.combine(kept, copy));
+
+// Keep one tombstone per id (the most recent deletion)
+const cutoff = new Date();
+cutoff.setDate(cutoff.getDate() - retentionDays);
+
+const latest = new Map();
+incomingTombstones.forEach(tombstone => {
+    const copy = { ...tombstone, id: identity.migrateId(tombstone.id) };
+    const existing = latest.get(copy.id);
+    if (!existing || new Date(copy.deletedAt) > new Date(existing.deletedAt)) latest.set(copy.id, copy);
+});
+const tombstones = [...latest.values()].filter(tombstone => new Date(tombstone.deletedAt) > cutoff);
+
+const remaining = words.filter(word => !tombstones.some(tombstone => identity.isDeletedBy(word, tombstone)));
+const collections = identity.resolveCollections(incomingCollections, cutoff);
+
+const activityCutoff = new Date();
+activityCutoff.setDate(activityCutoff.getDate() - activityRetentionDays);
+const activity = new ActivityLog(incomingActivity).compact(activityCutoff);
+
+fs.writeFileSync(wordsOut, JSON.stringify(remaining));
+fs.writeFileSync(tombstonesOut, JSON.stringify(tombstones));
+fs.writeFileSync(collectionsOut, JSON.stringify(collections));
+fs.writeFileSync(activityOut, JSON.stringify(activity));
+
+console.log(`🔑 Converted ${migrated} old id(s) to ULIDs`);
+console.log(`📊 Unique words: ${words.length} (from ${incoming.length} records)`);
+console.log(`🪦 Active tombstones: ${tombstones.length}, words removed: ${words.length - remaining.length}`);
+console.log(`🗂️ Collections: ${collections.filter(collection => !collection.deletedAt).length}`);
+console.log(`📈 Activity events: ${activity.length} (from ${incomingActivity.length} records)`);
+
+writeOutput('deduplicated_count', words.length);
+writeOutput('tombstone_count', tombstones.length);
@@ -0,0 +1,82 @@
+// ===== VALIDATE SYNC DATA =====
+// Run by auto_sync.yml after incoming words are merged and before they are
+// deduplicated. Checks every word, tombstone, collection and activity event against schema.js (the same
+// schema the web app uses), rewrites the input files with only the valid
+// records, and moves the rest into quarantine/ with the reasons they failed.
+//
+//   node .github/scripts/validate-dictionary.js <words.json> <tombstones.json> [collections.json] [activity.json]
+//
+// Exits non-zero when the files aren't lists at all, so a broken run can't
+// overwrite dictionary.json.
+const fs = require('fs');
+const path = require('path');
+const { DictionaryValidator } = require('../../schema.js');
+
+const [wordsFile, tombstonesFile, collectionsFile, activityFile] = process.argv.slice(2);
+const quarantineDir = 'quarantine';
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { unreadable: `${file}: ${error.message}` };
+    }
+}
+
+function writeOutput(name, value) {
+    if (process.env.GITHUB_OUTPUT) fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
+
+function writeSummary(markdown) {
+    if (process.env.GITHUB_STEP_SUMMARY) fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+}
+
+const words = readJson(wordsFile);
+const tombstones = readJson(tombstonesFile);
+const collections = collectionsFile ? readJson(collectionsFile) : [];
+const activity = activityFile ? readJson(activityFile) : [];
+const result = new DictionaryValidator().checkDocument({ words, tombstones, collections, activity });
+
+if (result.errors.length > 0) {
+    console.log('❌ Sync data is not a valid dictionary:');
+    result.errors.forEach(error => console.log(`   ${error}`));
+    writeSummary(`### ❌ Sync data rejected\n\n${result.errors.map(error => `- \`${error}\``).join('\n')}`);
+    process.exit(1);
+}
+
+fs.writeFileSync(wordsFile, JSON.stringify(result.words));
+fs.writeFileSync(tombstonesFile, JSON.stringify(result.tombstones));
+if (collectionsFile) fs.writeFileSync(collectionsFile, JSON.stringify(result.collections));
+if (activityFile) fs.writeFileSync(activityFile, JSON.stringify(result.activity));
+
+console.log(`✅ ${result.words.length} word(s), ${result.tombstones.length} deletion(s), ${result.collections.length} collection(s) and ${result.activity.length} activity event(s) match the schema`);
+writeOutput('quarantined_count', result.quarantined.length);
+
+if (result.quarantined.length === 0) process.exit(0);
+
+const now = new Date();
+const file = path.join(quarantineDir, `quarantine_${now.toISOString().replace(/[:.]/g, '-')}.json`);
+
+fs.mkdirSync(quarantineDir, { recursive: true });
+fs.writeFileSync(file, JSON.stringify({
+    quarantinedAt: now.toISOString(),
+    syncId: process.env.GITHUB_RUN_ID || null,
+    trigger: process.env.GITHUB_EVENT_NAME || null,
+    records: result.quarantined
+}, null, 2));
+
+console.log(`⚠️ Quarantined ${result.quarantined.length} invalid record(s) in ${file}:`);
+result.quarantined.forEach(({ kind, record, errors }) => {
+    console.log(`   ${kind} ${JSON.stringify(record?.word ?? record?.name ?? record?.id ?? null)}: ${errors.join('; ')}`);
+});
+
+writeSummary([
+    `### ⚠️ ${result.quarantined.length} invalid record(s) quarantined`,
+    '',
+    `Saved to \`${file}\`. Fix them and send them again to sync them.`,
+    '',
+    '| Kind | Word | Problems |',
+    '| --- | --- | --- |',
+    ...result.quarantined.map(({ kind, record, errors }) =>
+        `| ${kind} | ${String(record?.word ?? record?.name ?? record?.id ?? '').replace(/[|\n]/g, ' ').slice(0, 60)} | ${errors.join('; ').replace(/[|\n]/g, ' ')} |`)
+].join('\n'));
@@ -0,0 +1,168 @@
+// ===== ACTIVITY LOG =====
+// What happened in the dictionary, one event per action, so progress can be
+// charted over time. Events never change once written, so combining two logs
+// is their union; the web app and the sync workflow
+// (`.github/scripts/merge-words.js`) both use compact() for that.
+//
+//   { id, type, at, wordId, word, ...details }
+//
+//   add       a word was added (id "add_<wordId>", one per word)
+//   master    a word became mastered, by hand or through reviews
+//   unmaster  a word stopped being mastered, or a mastered word was deleted
+//   review    a review was graded: quality (0-5), plus the word's difficulty
+//             and part of speech at the time
+//
+// The rest turns a log into what the analytics view shows. Days are local
+// calendar days ("YYYY-MM-DD"), weeks start on Monday.
+class ActivityLog {
+    constructor(events = []) {
+        this.events = events;
+        
+        // A review graded at least this well counts as remembered (as in SM-2)
+        this.passingQuality = 3;
+    }
+    
+    // ===== MERGING =====
+    // One copy of each event, oldest first, leaving out those before `cutoff`
+    compact(cutoff = null) {
+        const byId = new Map();
+        
+        this.events.forEach(event => {
+            if (byId.has(event.id) || (cutoff && new Date(event.at) < cutoff)) return;
+            byId.set(event.id, event);
+        });
+        
+        return [...byId.values()].sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+    }
+    
+    // ===== DAYS =====
+    dayKey(date) {
+        const day = new Date(date);
+        return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    }
+    
+    // `count` consecutive days starting at `start`
+    days(start, count) {
+        return Array.from({ length: count }, (_, i) => this.dayKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i)));
+    }
+    
+    // The last `count` days up to and including `end`, oldest first
+    lastDays(count, end = new Date()) {
+        return this.days(new Date(end.getFullYear(), end.getMonth(), end.getDate() - count + 1), count);
+    }
+    
+    startOfWeek(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    }
+    
+    ofType(...types) {
+        return this.events.filter(event => types.includes(event.type));
+    }
+    
+    countByDay(events) {
+        const counts = new Map();
+        events.forEach(event => {
+            const day = this.dayKey(event.at);
+            counts.set(day, (counts.get(day) || 0) + 1);
+        });
+        return counts;
+    }
+    
+    // ===== SERIES =====
+    // Words added per day for the last `count` days, or per week for the last
+    // `count` weeks: [{ label, count }] with the first day of each period
+    added(period = 'day', count = 30, end = new Date()) {
+        const perDay = this.countByDay(this.ofType('add'));
+        const total = days => days.reduce((sum, day) => sum + (perDay.get(day) || 0), 0);
+        
+        if (period === 'week') {
+            const thisWeek = this.startOfWeek(end);
+            return Array.from({ length: count }, (_, i) => {
+                const start = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 7 * (count - 1 - i));
+                const days = this.days(start, 7);
+                return { label: days[0], count: total(days) };
+            });
+        }
+        
+        return this.lastDays(count, end).map(day => ({ label: day, count: total([day]) }));
+    }
+    
+    // How many words were mastered at the end of each of the last `count` days
+    mastery(count = 90, end = new Date()) {
+        const days = this.lastDays(count, end);
+        const changes = new Map();
+        let mastered = 0;
+        
+        this.ofType('master', 'unmaster').forEach(event => {
+            const delta = event.type === 'master' ? 1 : -1;
+            const day = this.dayKey(event.at);
+            
+            if (day < days[0]) mastered += delta;
+            else changes.set(day, (changes.get(day) || 0) + delta);
+        });
+        
+        return days.map(day => {
+            mastered += changes.get(day) || 0;
+            return { label: day, count: Math.max(0, mastered) };
+        });
+    }
+    
+    // Days in a row with a review or a new word. Today doesn't break the
+    // current streak until it's over.
+    streaks(today = new Date()) {
+        const active = new Set(this.ofType('add', 'review').map(event => this.dayKey(event.at)));
+        
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        [...active].sort().forEach(day => {
+            run = previous && this.days(new Date(`${previous}T00:00:00`), 2)[1] === day ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = day;
+        });
+        
+        let current = 0;
+        const cursor = new Date(today);
+        if (!active.has(this.dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+        while (active.has(this.dayKey(cursor))) {
+            current++;
+            cursor.setDate(cursor.getDate() - 1);
+        }
+        
+        return { current, longest, activeToday: active.has(this.dayKey(today)) };
+    }
+    
+    // Reviews and how many were remembered, grouped by an event detail
+    // ('difficulty' or 'partOfSpeech'), most reviewed first
+    accuracy(field, since = null) {
+        const groups = new Map();
+        
+        this.ofType('review')
+            .filter(event => !since || new Date(event.at) >= since)
+            .forEach(event => {
+                const key = event[field] || 'unknown';
+                const group = groups.get(key) || { key, reviews: 0, correct: 0 };
+                group.reviews++;
+                if (event.quality >= this.passingQuality) group.correct++;
+                groups.set(key, group);
+            });
+        
+        return [...groups.values()].sort((a, b) => b.reviews - a.reviews);
+    }
+    
+    // Every action per day for a calendar of `weeks` columns (Monday to
+    // Sunday) ending with the current week. Days after `end` are marked future.
+    heatmap(weeks = 53, end = new Date()) {
+        const perDay = this.countByDay(this.events);
+        const today = this.dayKey(end);
+        const thisWeek = this.startOfWeek(end);
+        const start = new Date(thisWeek.getFullYear(), thisWeek.getMonth(), thisWeek.getDate() - 7 * (weeks - 1));
+        
+        return this.days(start, weeks * 7).map(day => ({ day, count: perDay.get(day) || 0, future: day > today }));
+    }
+}
+
+// The sync workflow loads this file with Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ActivityLog };
+}
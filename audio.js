@@ -0,0 +1,161 @@
+// ===== PRONUNCIATION AUDIO =====
+// Plays a word's pronunciation and records the user's own. The reference is
+// the clip the lookup provider linked to (word.audio); without one, or when
+// it won't play, the browser's speech synthesis reads the word out instead,
+// in the word's language.
+//
+//   const audio = new PronunciationAudio();
+//   await audio.play(word);              // 'audio' or 'speech'
+//   const take = await audio.record();   // asks for the microphone
+//   const { blob, mimeType, duration } = await take.stop();
+//
+// Recordings are plain Blobs; DictionaryManager keeps them in IndexedDB on
+// this device only.
+class PronunciationAudio {
+    constructor({ maxRecording = 10, lang = 'en-US' } = {}) {
+        // Seconds before a recording stops by itself
+        this.maxRecording = maxRecording;
+        this.lang = lang;
+        this.current = null; // the <audio> playing, if any
+    }
+    
+    get canSpeak() {
+        return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+    
+    get canRecord() {
+        return typeof MediaRecorder !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia);
+    }
+    
+    // ===== PLAYBACK =====
+    // Resolves with what was played once it has finished
+    async play(word) {
+        if (word.audio) {
+            try {
+                await this.playUrl(word.audio);
+                return 'audio';
+            } catch (error) {
+                console.warn(`Could not play audio for "${word.word}", using speech synthesis:`, error);
+            }
+        }
+        
+        await this.speak(word.word, word.language);
+        return 'speech';
+    }
+    
+    playUrl(url) {
+        this.stop();
+        const audio = new Audio(url);
+        this.current = audio;
+        
+        return new Promise((resolve, reject) => {
+            audio.onended = () => resolve();
+            audio.onerror = () => reject(new Error(`Could not load ${url}`));
+            Promise.resolve(audio.play()).catch(reject);
+        }).finally(() => {
+            if (this.current === audio) this.current = null;
+        });
+    }
+    
+    async playClip(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+            await this.playUrl(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    
+    speak(text, lang = this.lang) {
+        if (!this.canSpeak) return Promise.reject(new Error('Speech synthesis is not supported in this browser'));
+        
+        this.stop();
+        return new Promise((resolve, reject) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = lang;
+            utterance.onend = () => resolve();
+            utterance.onerror = event => reject(new Error(`Speech synthesis failed: ${event.error}`));
+            speechSynthesis.speak(utterance);
+        });
+    }
+    
+    stop() {
+        if (this.current) {
+            this.current.pause();
+            this.current = null;
+        }
+        if (this.canSpeak) speechSynthesis.cancel();
+    }
+    
+    // ===== RECORDING =====
+    // Starts recording from the microphone. stop() (or the time limit) ends
+    // it; both resolve with the same take.
+    async record() {
+        if (!this.canRecord) throw new Error('Recording is not supported in this browser');
+        
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const recorder = new MediaRecorder(stream);
+        const chunks = [];
+        const startedAt = Date.now();
+        
+        const finished = new Promise((resolve, reject) => {
+            recorder.ondataavailable = event => {
+                if (event.data.size > 0) chunks.push(event.data);
+            };
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                const mimeType = recorder.mimeType || chunks[0]?.type || 'audio/webm';
+                resolve({ blob: new Blob(chunks, { type: mimeType }), mimeType, duration: (Date.now() - startedAt) / 1000 });
+            };
+            recorder.onerror = event => {
+                stream.getTracks().forEach(track => track.stop());
+                reject(event.error || new Error('Recording failed'));
+            };
+        });
+        
+        recorder.start();
+        const timer = setTimeout(() => stop(), this.maxRecording * 1000);
+        const stop = () => {
+            clearTimeout(timer);
+            if (recorder.state !== 'inactive') recorder.stop();
+            return finished;
+        };
+        
+        return { stop, finished };
+    }
+    
+    // ===== WAVEFORMS =====
+    // Loudness of a clip (Blob or URL) in `bars` buckets, scaled to 0..1, so
+    // two takes can be drawn side by side. Null when it can't be decoded,
+    // e.g. reference audio served without CORS headers.
+    async envelope(source, bars = 48) {
+        const Context = window.AudioContext || window.webkitAudioContext;
+        if (!Context) return null;
+        
+        const context = new Context();
+        try {
+            const data = typeof source === 'string'
+                ? await fetch(source).then(response => response.arrayBuffer())
+                : await source.arrayBuffer();
+            const buffer = await context.decodeAudioData(data);
+            const samples = buffer.getChannelData(0);
+            const size = Math.max(1, Math.floor(samples.length / bars));
+            
+            const peaks = Array.from({ length: bars }, (_, i) => {
+                let peak = 0;
+                for (let j = i * size; j < Math.min((i + 1) * size, samples.length); j++) {
+                    peak = Math.max(peak, Math.abs(samples[j]));
+                }
+                return peak;
+            });
+            const loudest = Math.max(...peaks) || 1;
+            
+            return { duration: buffer.duration, peaks: peaks.map(peak => peak / loudest) };
+        } catch (error) {
+            console.warn('Could not decode audio:', error);
+            return null;
+        } finally {
+            context.close();
+        }
+    }
+}
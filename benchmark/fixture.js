@@ -0,0 +1,75 @@
+// ===== BENCHMARK FIXTURE =====
+// A large, made-up dictionary for measuring search and rendering. The same
+// seed always gives the same words, so runs can be compared.
+//
+//   benchmarkWords(10000)   10k schema-valid words (ids "bench_00000"...)
+//
+// benchmark/index.html times the app's search index, word grid and cards
+// against it, checks them against its budgets, and can download it as a JSON
+// file for Import in the real app.
+function benchmarkWords(count = 10000, seed = 1) {
+    // mulberry32: small, fast and good enough for test data
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const pick = list => list[Math.floor(random() * list.length)];
+    const some = (list, max) => Array.from({ length: Math.floor(random() * (max + 1)) }, () => pick(list));
+
+    const syllables = ['ab', 'ac', 'al', 'am', 'an', 'ar', 'ba', 'be', 'bi', 'ca', 'ce', 'co', 'da', 'de', 'di', 'el', 'en', 'er', 'fa', 'fi', 'ga', 'go', 'ha', 'in', 'is', 'la', 'le', 'li', 'lo', 'ma', 'me', 'mi', 'na', 'ne', 'no', 'or', 'pa', 'pe', 'po', 'ra', 're', 'ri', 'ro', 'sa', 'se', 'si', 'ta', 'te', 'ti', 'to', 'un', 'ur', 'va', 've', 'vi'];
+    const endings = ['ity', 'ous', 'ate', 'ive', 'ism', 'ent', 'ion', 'al', 'ly', 'ize', 'ment', 'ness'];
+    const vocabulary = ['able', 'careful', 'change', 'clear', 'deep', 'event', 'feeling', 'habit', 'happy', 'hidden', 'idea', 'light', 'manner', 'mind', 'motion', 'open', 'order', 'person', 'place', 'quality', 'quick', 'quiet', 'reason', 'sense', 'sharp', 'small', 'sound', 'state', 'strong', 'thing', 'time', 'true', 'way', 'work'];
+    const partsOfSpeech = ['noun', 'verb', 'adjective', 'adverb'];
+    const tags = ['gre', 'sat', 'toefl', 'book club', 'unit 1', 'unit 2', 'unit 3', 'work', 'travel'];
+    const sentence = length => {
+        const text = Array.from({ length }, () => pick(vocabulary)).join(' ');
+        return `${text[0].toUpperCase()}${text.slice(1)}.`;
+    };
+
+    const seen = new Set();
+    const start = Date.UTC(2024, 0, 1);
+    const span = Date.UTC(2026, 0, 1) - start;
+
+    return Array.from({ length: count }, (_, i) => {
+        // Word keys have to be unique, or the app folds words together
+        let word;
+        do {
+            word = Array.from({ length: 2 + Math.floor(random() * 3) }, () => pick(syllables)).join('') + pick(endings);
+        } while (seen.has(word));
+        seen.add(word);
+
+        const senses = Array.from({ length: 1 + Math.floor(random() * 3) }, () => ({
+            partOfSpeech: pick(partsOfSpeech),
+            definitions: [sentence(6 + Math.floor(random() * 14))],
+            examples: some(vocabulary, 2).map(example => `The ${word} of ${example} was ${pick(vocabulary)}.`),
+            synonyms: some(vocabulary, 3),
+            antonyms: some(vocabulary, 2)
+        }));
+        const createdAt = new Date(start + random() * span).toISOString();
+
+        return {
+            id: `bench_${String(i).padStart(5, '0')}`,
+            word,
+            definition: senses[0].definitions[0],
+            partOfSpeech: senses[0].partOfSpeech,
+            examples: senses[0].examples,
+            synonyms: senses[0].synonyms,
+            antonyms: senses[0].antonyms,
+            senses,
+            difficulty: pick(['easy', 'medium', 'hard']),
+            mastered: random() < 0.2,
+            tags: [...new Set(some(tags, 2))],
+            createdAt,
+            updatedAt: createdAt,
+            source: 'Benchmark'
+        };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { benchmarkWords };
+}
@@ -0,0 +1,60 @@
+// ===== WORD CARDS =====
+// The cards of the word grid. DictionaryManager renders its grid with these,
+// and benchmark/index.html times the same markup.
+//
+//   const cards = new WordCards(searchIndex);
+//   const view = { translationLanguage: 'es', selected: false };
+//   cards.render({ word, terms }, view);   // markup for VirtualGrid
+//   cards.version({ word, terms }, view);  // its versionOf
+//
+// `terms` are the search terms to highlight (a Set, as search() returns them).
+class WordCards {
+    constructor(searchIndex) {
+        this.searchIndex = searchIndex;
+    }
+    
+    translationsOf(word, language) {
+        return (word.translations || []).filter(translation => translation.language === language).map(translation => translation.text);
+    }
+    
+    // A card only changes when its word does, the search highlights other
+    // terms or the keyboard selection moves onto or off it
+    version({ word, terms }, { translationLanguage = '', selected = false } = {}) {
+        return `${word.updatedAt}|${word.mastered}|${translationLanguage}|${selected}|${[...terms].sort().join(' ')}`;
+    }
+    
+    render({ word, terms }, { translationLanguage = '', selected = false } = {}) {
+        const translations = this.translationsOf(word, translationLanguage).join(', ');
+        const match = this.searchIndex.snippet(word, terms, [word.word, word.definition, translations]);
+        
+        return html`
+            <div class="word-card ${selected ? 'selected' : ''}" data-word-id="${word.id}" onclick="dictionary.viewWord(${jsArg(word.id)})">
+                <div class="word-header">
+                    <h3 class="word-title">${this.searchIndex.highlight(word.word, terms)}</h3>
+                    <span class="word-badge ${word.difficulty}">${word.difficulty}</span>
+                </div>
+                ${translations ? html`<p class="word-translation"><i class="fas fa-language"></i> ${this.searchIndex.highlight(translations, terms)}</p>` : ''}
+                <p class="word-definition">${this.searchIndex.highlight(word.definition, terms)}</p>
+                ${match ? html`<p class="word-match"><span>${match.label}:</span> ${this.searchIndex.highlight(match.text, terms)}</p>` : ''}
+                <div class="word-footer">
+                    <div class="word-meta">
+                        <span class="word-tag">${word.partOfSpeech}</span>
+                        ${(word.tags || []).map(tag => html`<span class="word-tag">#${tag}</span>`)}
+                        ${word.mastered ? html`<span class="word-tag" style="background: rgba(59,130,246,0.1); color: var(--info);">Mastered</span>` : ''}
+                    </div>
+                    <div class="word-actions">
+                        <button class="btn-icon" onclick="event.stopPropagation(); dictionary.playPronunciation(${jsArg(word.id)})" title="Play pronunciation">
+                            <i class="fas fa-volume-up" style="color: var(--text-3);"></i>
+                        </button>
+                        <button class="btn-icon" onclick="event.stopPropagation(); dictionary.toggleMastered(${jsArg(word.id)})" title="${word.mastered ? 'Unmark mastered' : 'Mark as mastered'}">
+                            <i class="fas fa-star" style="${word.mastered ? 'color: var(--info);' : 'color: var(--text-3);'}"></i>
+                        </button>
+                        <button class="btn-icon" onclick="event.stopPropagation(); dictionary.deleteWord(${jsArg(word.id)})" title="Delete">
+                            <i class="fas fa-trash" style="color: var(--danger);"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+}
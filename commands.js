@@ -0,0 +1,158 @@
+// ===== COMMAND PALETTE =====
+// A searchable list of commands in a modal, for running anything from the
+// keyboard.
+//
+//   const palette = new CommandPalette(modal, {
+//       commands: () => [{ title, group, hint, keywords, run }],
+//       suggest: query => [...]   // optional: extra items for the text typed,
+//   });                           // already ranked (e.g. words by name)
+//   palette.open();
+//
+// Commands are read again every time the palette opens, so they can follow
+// the app's state. Typing filters them (letters in order, word starts rank
+// first), arrow keys move, Enter or a click runs one and closes the palette.
+// The modal needs an <input> and a list element with the given ids.
+class CommandPalette {
+    constructor(modal, { commands, suggest = () => [], inputId = 'commandInput', listId = 'commandList', maxResults = 12 }) {
+        this.modal = modal;
+        this.input = modal.querySelector(`#${inputId}`);
+        this.list = modal.querySelector(`#${listId}`);
+        this.commands = commands;
+        this.suggest = suggest;
+        this.maxResults = maxResults;
+        
+        this.available = [];
+        this.results = [];
+        this.selected = 0;
+        
+        this.input.addEventListener('input', () => this.filter());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item && Number(item.dataset.index) !== this.selected) this.select(Number(item.dataset.index));
+        });
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.run(Number(item.dataset.index));
+        });
+    }
+    
+    get isOpen() {
+        return this.modal.classList.contains('active');
+    }
+    
+    open(query = '') {
+        this.available = this.commands();
+        this.input.value = query;
+        this.modal.classList.add('active');
+        this.filter();
+        this.input.focus();
+    }
+    
+    close() {
+        this.modal.classList.remove('active');
+    }
+    
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+    
+    // ===== MATCHING =====
+    filter() {
+        const query = this.normalize(this.input.value).trim();
+        
+        const commands = query
+            ? this.available
+                .map(command => ({ command, score: this.score(command, query) }))
+                .filter(entry => entry.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .map(entry => entry.command)
+            : this.available;
+        
+        // Everything is listed until there is something to filter by
+        this.results = query
+            ? [...commands, ...this.suggest(this.input.value.trim())].slice(0, this.maxResults)
+            : commands;
+        this.selected = 0;
+        this.render();
+    }
+    
+    // 0 when the query's letters don't all appear in order. Matches at the
+    // start of a word and runs of consecutive letters count for more.
+    score(command, query) {
+        const text = this.normalize([command.title, command.group, ...(command.keywords || [])].filter(Boolean).join(' '));
+        let score = 0;
+        let position = -1;
+        let previous = -2;
+        
+        for (const char of query) {
+            if (char === ' ') continue;
+            position = text.indexOf(char, position + 1);
+            if (position === -1) return 0;
+            
+            score += 1;
+            if (position === 0 || text[position - 1] === ' ') score += 3;
+            if (position === previous + 1) score += 2;
+            previous = position;
+        }
+        
+        // Shorter titles win ties
+        return score - text.length / 1000;
+    }
+    
+    normalize(text) {
+        return String(text).toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+    }
+    
+    // ===== KEYBOARD =====
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.select((this.selected + step + this.results.length) % this.results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.selected);
+        }
+    }
+    
+    select(index) {
+        this.selected = index;
+        this.list.querySelectorAll('[data-index]').forEach(item => {
+            const active = Number(item.dataset.index) === index;
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            if (active) {
+                this.input.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+    }
+    
+    // Closes first, so a command can open a modal of its own
+    run(index) {
+        const command = this.results[index];
+        if (!command) return;
+        
+        this.close();
+        command.run();
+    }
+    
+    // ===== DOM =====
+    render() {
+        this.list.innerHTML = this.results.length === 0
+            ? html`<li class="command-empty">No matching commands</li>`
+            : html`${this.results.map((command, i) => html`
+                <li class="command-item" id="command-${i}" role="option" data-index="${i}" aria-selected="false">
+                    ${command.group ? html`<span class="command-group">${command.group}</span>` : ''}
+                    <span class="command-title">${command.title}</span>
+                    ${command.hint ? html`<kbd class="command-hint">${command.hint}</kbd>` : ''}
+                </li>
+            `)}`;
+        
+        if (this.results.length > 0) this.select(0);
+        else this.input.removeAttribute('aria-activedescendant');
+    }
+}
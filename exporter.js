@@ -0,0 +1,343 @@
+// ===== DICTIONARY EXPORTER =====
+// Turns a list of words into files for other tools. DictionaryManager decides
+// which words (the current filter and search) and downloads the result.
+//
+// Every format method returns { filename, type, content } where content is a
+// string or a Uint8Array.
+class DictionaryExporter {
+    constructor(importer) {
+        // Anki packages are SQLite databases in a zip; the importer already
+        // knows how to load sql.js and JSZip
+        this.importer = importer;
+        
+        this.formats = {
+            json: { label: 'JSON', icon: 'fa-file-code', description: 'Full backup, can be imported again' },
+            csv: { label: 'CSV', icon: 'fa-file-csv', description: 'Every field, for spreadsheets' },
+            anki: { label: 'Anki deck', icon: 'fa-layer-group', description: '.apkg with front/back card templates' },
+            html: { label: 'Study sheet', icon: 'fa-file-alt', description: 'Printable HTML page' },
+            print: { label: 'Print / PDF', icon: 'fa-print', description: 'Open the study sheet and print it' },
+            markdown: { label: 'Markdown', icon: 'fa-hashtag', description: 'Glossary grouped by letter' }
+        };
+    }
+    
+    // ===== JSON =====
+    toJSON(words, scope) {
+        return {
+            filename: `dictionary_export_${this.dateStamp()}.json`,
+            type: 'application/json',
+            content: JSON.stringify({
+                words,
+                metadata: {
+                    exportedAt: new Date().toISOString(),
+                    totalWords: words.length,
+                    filter: scope.filter,
+                    filterLabel: scope.label,
+                    search: scope.search,
+                    version: '1.0'
+                }
+            }, null, 2)
+        };
+    }
+    
+    // ===== CSV =====
+    // List columns use the separators the CSV importer splits on, so an export
+    // can be imported again. "Senses" keeps the full structure as JSON.
+    toCSV(words) {
+        const columns = [
+            ['Word', word => word.word],
+            ['Pronunciation', word => word.pronunciation],
+            ['Part of Speech', word => this.unique(this.senses(word).map(sense => sense.partOfSpeech)).join(', ')],
+            ['Definition', word => this.senses(word).flatMap(sense => sense.definitions).join(' | ')],
+            ['Examples', word => this.senses(word).flatMap(sense => sense.examples).join(' | ')],
+            ['Synonyms', word => this.unique(this.senses(word).flatMap(sense => sense.synonyms)).join(', ')],
+            ['Antonyms', word => this.unique(this.senses(word).flatMap(sense => sense.antonyms)).join(', ')],
+            ['Difficulty', word => word.difficulty],
+            ['Mastered', word => (word.mastered ? 'yes' : 'no')],
+            ['Tags', word => (word.tags || []).join(', ')],
+            ['Next Review', word => word.review?.due || ''],
+            ['Quiz Attempts', word => word.quiz?.attempts || 0],
+            ['Quiz Correct', word => word.quiz?.correct || 0],
+            ['Source', word => word.source],
+            ['Created', word => word.createdAt],
+            ['Updated', word => word.updatedAt],
+            ['Senses', word => JSON.stringify(this.senses(word))]
+        ];
+        
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        const lines = [
+            columns.map(([header]) => quote(header)).join(','),
+            ...words.map(word => columns.map(([, get]) => quote(get(word))).join(','))
+        ];
+        
+        return {
+            filename: `dictionary_${this.dateStamp()}.csv`,
+            type: 'text/csv',
+            content: '\uFEFF' + lines.join('\r\n')
+        };
+    }
+    
+    // ===== ANKI =====
+    // Builds a legacy (schema 11) .apkg, which every Anki version can import.
+    // One note per word with its own note type, so the card layout comes along.
+    async toAnki(words, deckName = 'Dictionary Manager') {
+        const JSZip = await this.importer.loadLibrary(this.importer.libraries.jsZip, 'JSZip');
+        const db = await this.importer.openDatabase();
+        
+        const now = Date.now();
+        const seconds = Math.floor(now / 1000);
+        const modelId = now;
+        const deckId = now + 1;
+        
+        try {
+            db.run(`
+                CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+                CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+                CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+                CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+                CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+                CREATE INDEX ix_notes_usn on notes (usn);
+                CREATE INDEX ix_cards_usn on cards (usn);
+                CREATE INDEX ix_cards_nid on cards (nid);
+                CREATE INDEX ix_cards_sched on cards (did, queue, due);
+                CREATE INDEX ix_revlog_usn on revlog (usn);
+                CREATE INDEX ix_revlog_cid on revlog (cid);
+                CREATE INDEX ix_notes_csum on notes (csum);
+            `);
+            
+            const fieldNames = ['Word', 'Pronunciation', 'Definition', 'Examples', 'Synonyms', 'Antonyms'];
+            const model = {
+                id: modelId,
+                name: `${deckName} Word`,
+                type: 0,
+                mod: seconds,
+                usn: -1,
+                sortf: 0,
+                did: deckId,
+                tmpls: [{
+                    name: 'Word → Meaning',
+                    ord: 0,
+                    qfmt: '<div class="word">{{Word}}</div>\n{{#Pronunciation}}<div class="pronunciation">{{Pronunciation}}</div>{{/Pronunciation}}',
+                    afmt: '{{FrontSide}}\n<hr id="answer">\n<div class="definition">{{Definition}}</div>\n' +
+                        '{{#Examples}}<div class="examples">{{Examples}}</div>{{/Examples}}\n' +
+                        '{{#Synonyms}}<div class="related"><b>Synonyms:</b> {{Synonyms}}</div>{{/Synonyms}}\n' +
+                        '{{#Antonyms}}<div class="related"><b>Antonyms:</b> {{Antonyms}}</div>{{/Antonyms}}',
+                    bqfmt: '',
+                    bafmt: '',
+                    did: null,
+                    bfont: '',
+                    bsize: 0
+                }],
+                flds: fieldNames.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+                css: '.card { font-family: Inter, Arial, sans-serif; font-size: 18px; text-align: center; color: #1e293b; background: #fff; }\n' +
+                    '.word { font-size: 32px; font-weight: 700; }\n' +
+                    '.pronunciation { font-family: monospace; color: #64748b; }\n' +
+                    '.definition { text-align: left; }\n' +
+                    '.examples { text-align: left; font-style: italic; color: #475569; margin-top: 12px; }\n' +
+                    '.related { text-align: left; font-size: 15px; margin-top: 8px; }',
+                latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+                latexPost: '\\end{document}',
+                latexsvg: false,
+                req: [[0, 'any', [0]]],
+                tags: [],
+                vers: []
+            };
+            
+            const deck = (id, name) => ({
+                id, name, mod: seconds, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+                extendNew: 0, extendRev: 0, lrnToday: [0, 0], revToday: [0, 0], newToday: [0, 0], timeToday: [0, 0]
+            });
+            
+            const deckConfig = {
+                id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+                new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+                rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+                lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+            };
+            
+            const collectionConfig = {
+                nextPos: words.length + 1, estTimes: true, activeDecks: [1], sortType: 'noteFld', timeLim: 0,
+                sortBackwards: false, addToCur: true, curDeck: 1, newSpread: 0, dueCounts: true, curModel: modelId, collapseTime: 1200
+            };
+            
+            db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+                seconds, now, now,
+                JSON.stringify(collectionConfig),
+                JSON.stringify({ [modelId]: model }),
+                JSON.stringify({ 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) }),
+                JSON.stringify({ 1: deckConfig }),
+                '{}'
+            ]);
+            
+            for (let i = 0; i < words.length; i++) {
+                const word = words[i];
+                const senses = this.senses(word);
+                const fields = [
+                    this.escapeHtml(word.word),
+                    this.escapeHtml(word.pronunciation || ''),
+                    senses.map(sense => `<i>${this.escapeHtml(sense.partOfSpeech)}</i><ol>${sense.definitions.map(def => `<li>${this.escapeHtml(def)}</li>`).join('')}</ol>`).join(''),
+                    senses.flatMap(sense => sense.examples).map(ex => this.escapeHtml(ex)).join('<br>'),
+                    this.escapeHtml(this.unique(senses.flatMap(sense => sense.synonyms)).join(', ')),
+                    this.escapeHtml(this.unique(senses.flatMap(sense => sense.antonyms)).join(', '))
+                ];
+                // Anki tags can't contain spaces
+                const tags = [word.difficulty, word.mastered ? 'mastered' : 'learning', ...(word.tags || []).map(tag => tag.replace(/\s+/g, '_'))]
+                    .filter(Boolean).join(' ');
+                
+                db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+                    now + i, this.guid(word), modelId, seconds, ` ${tags} `,
+                    fields.join('\x1f'), word.word, await this.checksum(word.word)
+                ]);
+                db.run('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')', [
+                    now + i, now + i, deckId, seconds, i + 1
+                ]);
+            }
+            
+            const zip = new JSZip();
+            zip.file('collection.anki2', db.export());
+            zip.file('media', '{}');
+            
+            return {
+                filename: `${deckName.replace(/[^\w-]+/g, '_')}_${this.dateStamp()}.apkg`,
+                type: 'application/octet-stream',
+                content: await zip.generateAsync({ type: 'uint8array' })
+            };
+            
+        } finally {
+            db.close();
+        }
+    }
+    
+    // Anki uses the first 8 hex digits of the SHA-1 of the sort field
+    async checksum(text) {
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+        const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+        return parseInt(hex.slice(0, 8), 16);
+    }
+    
+    // Stable per word, so exporting again updates the notes instead of duplicating them
+    guid(word) {
+        return `dm-${String(word.id).replace(/\W/g, '')}`;
+    }
+    
+    // ===== STUDY SHEET =====
+    toHTML(words, scope) {
+        const title = `Study Sheet — ${words.length} word${words.length === 1 ? '' : 's'}`;
+        
+        const entries = words.map(word => {
+            const senses = this.senses(word);
+            return `
+    <article class="entry">
+        <h2>${this.escapeHtml(word.word)} ${word.pronunciation ? `<span class="pron">${this.escapeHtml(word.pronunciation)}</span>` : ''} <span class="badge">${this.escapeHtml(word.difficulty || '')}</span></h2>
+        ${senses.map(sense => `
+        <p class="pos">${this.escapeHtml(sense.partOfSpeech)}</p>
+        <ol>${sense.definitions.map(def => `<li>${this.escapeHtml(def)}</li>`).join('')}</ol>
+        ${sense.examples.map(ex => `<p class="example">“${this.escapeHtml(ex)}”</p>`).join('')}
+        ${sense.synonyms.length ? `<p class="related"><b>Synonyms:</b> ${this.escapeHtml(sense.synonyms.join(', '))}</p>` : ''}
+        ${sense.antonyms.length ? `<p class="related"><b>Antonyms:</b> ${this.escapeHtml(sense.antonyms.join(', '))}</p>` : ''}`).join('')}
+    </article>`;
+        }).join('');
+        
+        const content = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${this.escapeHtml(title)}</title>
+    <style>
+        body { font-family: Inter, Arial, sans-serif; color: #1e293b; max-width: 800px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+        header { border-bottom: 2px solid #6366f1; margin-bottom: 24px; }
+        header p { color: #64748b; font-size: 14px; }
+        .entry { break-inside: avoid; padding: 12px 0; border-bottom: 1px solid #e2e8f0; }
+        h2 { font-size: 22px; margin: 0 0 4px; }
+        .pron { font-family: monospace; font-weight: normal; font-size: 15px; color: #64748b; }
+        .badge { font-size: 11px; text-transform: uppercase; color: #6366f1; border: 1px solid #6366f1; border-radius: 10px; padding: 1px 8px; vertical-align: middle; }
+        .pos { font-style: italic; color: #475569; margin: 8px 0 0; }
+        ol { margin: 4px 0; }
+        .example { font-style: italic; color: #475569; margin: 4px 0 4px 24px; }
+        .related { font-size: 14px; margin: 4px 0 4px 24px; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            @page { margin: 18mm; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>${this.escapeHtml(title)}</h1>
+        <p>${this.escapeHtml(this.describeScope(scope))} · ${new Date().toLocaleDateString()}</p>
+    </header>${entries}
+</body>
+</html>
+`;
+        
+        return { filename: `study_sheet_${this.dateStamp()}.html`, type: 'text/html', content };
+    }
+    
+    // ===== MARKDOWN =====
+    toMarkdown(words, scope) {
+        const md = text => String(text || '').replace(/([\\`*_[\]#|<>])/g, '\\$1');
+        const lines = ['# Glossary', '', `_${md(this.describeScope(scope))} · ${words.length} words_`, ''];
+        
+        // Sorted and split into letters the way the dictionary's language does it
+        const collator = new Intl.Collator(scope.language);
+        let letter = null;
+        [...words].sort((a, b) => collator.compare(a.word, b.word)).forEach(word => {
+            const initial = word.word.charAt(0).toLocaleUpperCase(scope.language);
+            if (initial !== letter) {
+                letter = initial;
+                lines.push(`## ${md(letter)}`, '');
+            }
+            
+            lines.push(`### ${md(word.word)}`, '');
+            const meta = [word.pronunciation && `\`${word.pronunciation.replace(/`/g, '')}\``, word.difficulty && `_${word.difficulty}_`].filter(Boolean);
+            if (meta.length) lines.push(meta.join(' · '), '');
+            
+            this.senses(word).forEach(sense => {
+                lines.push(`**${md(sense.partOfSpeech)}**`, '');
+                sense.definitions.forEach((def, i) => lines.push(`${i + 1}. ${md(def)}`));
+                lines.push('');
+                sense.examples.forEach(ex => lines.push(`> ${md(ex)}`, ''));
+                if (sense.synonyms.length) lines.push(`Synonyms: ${md(sense.synonyms.join(', '))}`, '');
+                if (sense.antonyms.length) lines.push(`Antonyms: ${md(sense.antonyms.join(', '))}`, '');
+            });
+        });
+        
+        return { filename: `glossary_${this.dateStamp()}.md`, type: 'text/markdown', content: lines.join('\n') };
+    }
+    
+    // ===== HELPERS =====
+    senses(word) {
+        return this.importer.normalizeSenses(word);
+    }
+    
+    unique(items) {
+        return [...new Set(items)];
+    }
+    
+    describeScope(scope) {
+        const parts = [scope.filter === 'all' ? 'All words' : scope.label || `Filter: ${scope.filter}`];
+        if (scope.search) parts.push(`Search: "${scope.search}"`);
+        return parts.join(' · ');
+    }
+    
+    dateStamp() {
+        return new Date().toISOString().split('T')[0];
+    }
+    
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DictionaryExporter };
+}
@@ -0,0 +1,219 @@
+// ===== VIRTUAL GRID =====
+// Shows a long list of cards in a CSS grid while only mounting the rows near
+// the viewport. Rows above and below are stood in for by the grid's padding,
+// so the page scrolls as if every card were there.
+//
+//   const grid = new VirtualGrid(element, {
+//       keyOf: item => item.id,             // stable identity of a card
+//       versionOf: item => item.updatedAt,  // changes whenever the card would look different
+//       render: item => html`<div>...</div>`,
+//       isFullWidth: item => item.isHeader  // optional: items that take a whole row
+//   });
+//   grid.setItems(items);
+//
+// Cards are keyed: setItems() keeps the DOM node of every card whose key and
+// version are unchanged and only renders the ones that are new or changed.
+// Full-width items (section headers) need `grid-column: 1 / -1` in CSS.
+// Row heights and the column count are measured from mounted cards; where
+// nothing can be measured (no layout yet) every card is mounted.
+class VirtualGrid {
+    constructor(container, { keyOf, versionOf, render, isFullWidth = () => false, overscan = 3, initialCount = 60 }) {
+        this.container = container;
+        this.keyOf = keyOf;
+        this.versionOf = versionOf;
+        this.render = render;
+        this.isFullWidth = isFullWidth;
+        
+        // Extra rows mounted above and below the viewport
+        this.overscan = overscan;
+        
+        // Cards mounted before anything has been measured
+        this.initialCount = initialCount;
+        
+        this.items = [];
+        this.cards = new Map(); // key -> { element, version, full }
+        this.rows = [];         // [{ start, end, full }]: the items in each grid row
+        this.offsets = [0];     // top of each row, then the total height
+        this.rowHeight = 0;     // card row height plus row gap, 0 until measured
+        this.fullRowHeight = 0; // the same for full-width rows
+        this.columns = 1;
+        this.stale = false;
+        this.frame = null;
+        
+        window.addEventListener('scroll', () => this.schedule(), { passive: true });
+        window.addEventListener('resize', () => {
+            this.stale = true;
+            this.schedule();
+        });
+    }
+    
+    setItems(items) {
+        this.items = items;
+        this.layoutRows();
+        this.update();
+    }
+    
+    schedule() {
+        if (this.frame !== null) return;
+        const next = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        this.frame = next(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+    
+    update() {
+        if (!this.rowHeight || this.stale) {
+            if (!this.rowHeight) this.mountItems(0, this.initialCount);
+            this.measure();
+            this.stale = false;
+            
+            // Nothing to measure: fall back to mounting everything
+            if (!this.rowHeight) {
+                this.mountItems(0, this.items.length);
+                return;
+            }
+            this.layoutRows();
+        }
+        
+        if (this.rows.length === 0) {
+            this.mountItems(0, 0);
+            return;
+        }
+        
+        // Where the first row would be; the padding stands in for the rows above
+        const top = this.container.getBoundingClientRect().top;
+        const margin = this.overscan * this.rowHeight;
+        const firstRow = this.rowAt(-top - margin);
+        const lastRow = this.rowAt(window.innerHeight - top + margin);
+        
+        this.mountItems(this.rows[firstRow].start, this.rows[lastRow].end, {
+            top: this.offsets[firstRow],
+            bottom: this.offsets[this.rows.length] - this.offsets[lastRow + 1]
+        });
+    }
+    
+    // Scrolls the page so items[index] is `offset` pixels below the top
+    scrollToIndex(index, offset = 0) {
+        if (!this.rowHeight) {
+            this.cards.get(this.keyOf(this.items[index]))?.element.scrollIntoView();
+            return;
+        }
+        
+        const row = this.rows.findIndex(candidate => index < candidate.end);
+        if (row === -1) return;
+        
+        window.scrollTo(0, window.scrollY + this.container.getBoundingClientRect().top + this.offsets[row] - offset);
+        this.update();
+    }
+    
+    // ===== LAYOUT =====
+    // Splits the items into grid rows the way CSS places them: full-width
+    // items start a row of their own, cards fill rows of `columns`
+    layoutRows() {
+        this.rows = [];
+        let row = null;
+        
+        this.items.forEach((item, i) => {
+            if (this.isFullWidth(item)) {
+                this.rows.push({ start: i, end: i + 1, full: true });
+                row = null;
+            } else if (row && row.end - row.start < this.columns) {
+                row.end++;
+            } else {
+                row = { start: i, end: i + 1, full: false };
+                this.rows.push(row);
+            }
+        });
+        
+        this.offsets = [0];
+        this.rows.forEach(({ full }, i) => {
+            this.offsets.push(this.offsets[i] + (full ? this.fullRowHeight : this.rowHeight));
+        });
+    }
+    
+    // The row at `y` pixels below the first one
+    rowAt(y) {
+        let low = 0;
+        let high = this.rows.length - 1;
+        
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.offsets[middle] <= y) low = middle;
+            else high = middle - 1;
+        }
+        return low;
+    }
+    
+    // Columns from the grid's resolved tracks, heights from the mounted
+    // cards: a row is as tall as its tallest card, plus the gap
+    measure() {
+        const cards = [...this.cards.values()].filter(card => card.element.offsetHeight > 0);
+        if (cards.length === 0) return;
+        
+        const style = getComputedStyle(this.container);
+        const gap = parseFloat(style.rowGap) || 0;
+        const rowHeights = new Map();
+        const fullHeights = [];
+        
+        cards.forEach(({ element, full }) => {
+            if (full) fullHeights.push(element.offsetHeight);
+            else rowHeights.set(element.offsetTop, Math.max(rowHeights.get(element.offsetTop) || 0, element.offsetHeight));
+        });
+        
+        if (rowHeights.size > 0) {
+            const tracks = style.gridTemplateColumns.split(' ').filter(track => track.endsWith('px')).length;
+            const firstTop = rowHeights.keys().next().value;
+            this.columns = tracks || cards.filter(card => !card.full && card.element.offsetTop === firstTop).length;
+            this.rowHeight = [...rowHeights.values()].reduce((sum, height) => sum + height, 0) / rowHeights.size + gap;
+        }
+        
+        if (fullHeights.length > 0) this.fullRowHeight = Math.max(...fullHeights) + gap;
+        else if (!this.fullRowHeight) this.fullRowHeight = this.rowHeight;
+    }
+    
+    // ===== DOM =====
+    // Mounts items[start, end) and pads the grid for the rows around them
+    mountItems(start, end, padding = null) {
+        this.patch(this.items.slice(start, Math.min(end, this.items.length)));
+        this.container.style.paddingTop = padding ? `${padding.top}px` : '';
+        this.container.style.paddingBottom = padding ? `${padding.bottom}px` : '';
+    }
+    
+    // Puts exactly these items' cards in the grid, in order, reusing every
+    // card whose version hasn't changed
+    patch(items) {
+        const cards = new Map();
+        
+        const elements = items.map(item => {
+            const key = this.keyOf(item);
+            const version = this.versionOf(item);
+            const card = this.cards.get(key);
+            const element = card && card.version === version ? card.element : this.create(item);
+            
+            cards.set(key, { element, version, full: this.isFullWidth(item) });
+            return element;
+        });
+        
+        let cursor = this.container.firstChild;
+        elements.forEach(element => {
+            if (element === cursor) cursor = cursor.nextSibling;
+            else this.container.insertBefore(element, cursor);
+        });
+        
+        // Whatever is left after the last card is stale
+        while (cursor) {
+            const stale = cursor;
+            cursor = cursor.nextSibling;
+            stale.remove();
+        }
+        
+        this.cards = cards;
+    }
+    
+    create(item) {
+        const template = document.createElement('template');
+        template.innerHTML = String(this.render(item)).trim();
+        return template.content.firstElementChild;
+    }
+}
@@ -0,0 +1,168 @@
+// ===== WORD IDENTITY =====
+// One rule for telling words apart, shared by the web app and the sync
+// workflow (`.github/scripts/merge-words.js`):
+//
+//   - Every word has a ULID id: 26 characters, sortable by creation time,
+//     generated on the device without asking anyone else.
+//   - Old numeric ids (Date.now() + Math.random()) are converted with
+//     migrateId. The result depends only on the old id, so every copy of a
+//     word - this device, other devices, dictionary.json - gets the same new id.
+//   - Two records are the same word when they share an id or a word key
+//     (the trimmed, lowercased word and its language). If copies of one word
+//     have different ids, the id of the copy created first wins everywhere,
+//     and the copies are combined (WordMerge.combine in merge.js).
+//     English keys are just the word, as they were before words had a
+//     language, so "gift" and German "Gift" are two words.
+//   - A tombstone deletes a word with the same id or word key, unless the
+//     word was updated after the deletion.
+//   - Collections are never combined: the most recently changed copy of
+//     each id wins, and a deletion is a change like any other.
+class WordIdentity {
+    constructor() {
+        // Crockford's base32, as used by ULIDs
+        this.alphabet = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+    }
+    
+    newId(time = Date.now()) {
+        const random = crypto.getRandomValues(new Uint8Array(16));
+        return this.encode(time, 10) + Array.from(random, byte => this.alphabet[byte % 32]).join('');
+    }
+    
+    isLegacyId(id) {
+        return typeof id === 'number';
+    }
+    
+    // Old ids started with the creation time in milliseconds; that becomes the
+    // ULID's time part, and a hash of the old id fills the rest
+    migrateId(id) {
+        if (!this.isLegacyId(id)) return id;
+        
+        const time = Math.min(Math.max(Math.floor(id), 0), 2 ** 48 - 1);
+        const text = String(id);
+        return this.encode(time, 10) + this.encode(this.hash(text, 1) % 2 ** 40, 8) + this.encode(this.hash(text, 2) % 2 ** 40, 8);
+    }
+    
+    // Words without a language are English
+    wordKey(word, language = 'en') {
+        const key = String(word ?? '').normalize('NFC').trim().toLowerCase();
+        return key && language !== 'en' ? `${language}:${key}` : key;
+    }
+    
+    isDeletedBy(word, tombstone) {
+        const sameWord = tombstone.id === word.id ||
+            (Boolean(tombstone.word) && this.wordKey(tombstone.word, tombstone.language) === this.wordKey(word.word, word.language));
+        
+        return sameWord && new Date(tombstone.deletedAt) >= new Date(this.lastChanged(word));
+    }
+    
+    lastChanged(word) {
+        return word.updatedAt || word.createdAt || '1970-01-01';
+    }
+    
+    // Finds ids that should be replaced: returns a Map of old id -> canonical
+    // id for every word sharing an id or word key with an older word
+    canonicalIds(words) {
+        const parent = new Map();
+        const find = node => {
+            if (!parent.has(node)) parent.set(node, node);
+            while (parent.get(node) !== node) {
+                parent.set(node, parent.get(parent.get(node)));
+                node = parent.get(node);
+            }
+            return node;
+        };
+        
+        // Ids and word keys are nodes; each word links its id to its key
+        words.forEach(word => {
+            const key = this.wordKey(word.word, word.language);
+            const root = find(`id:${JSON.stringify(word.id)}`);
+            if (key) parent.set(root, find(`key:${key}`));
+        });
+        
+        const groups = new Map();
+        words.forEach(word => {
+            const root = find(`id:${JSON.stringify(word.id)}`);
+            groups.set(root, [...(groups.get(root) || []), word]);
+        });
+        
+        const renamed = new Map();
+        groups.forEach(group => {
+            const first = group.reduce((a, b) => (this.compareCreated(b, a) < 0 ? b : a));
+            group.forEach(word => {
+                if (word.id !== first.id) renamed.set(word.id, first.id);
+            });
+        });
+        
+        return renamed;
+    }
+    
+    // Oldest first; ties go to the smaller id so every copy agrees
+    compareCreated(a, b) {
+        const time = word => {
+            const parsed = Date.parse(word.createdAt);
+            return Number.isNaN(parsed) ? Infinity : parsed;
+        };
+        
+        return (time(a) - time(b)) || (String(a.id) < String(b.id) ? -1 : String(a.id) > String(b.id) ? 1 : 0);
+    }
+    
+    // Gives words their canonical ids. Copies that end up with the same id are
+    // passed to `combine(kept, copy)`; without it the most recently changed
+    // copy is kept.
+    resolve(words, renamed = this.canonicalIds(words), combine = null) {
+        const byId = new Map();
+        
+        words.forEach(word => {
+            const id = renamed.has(word.id) ? renamed.get(word.id) : word.id;
+            const copy = id === word.id ? word : { ...word, id };
+            const existing = byId.get(id);
+            
+            if (!existing) {
+                byId.set(id, copy);
+            } else if (combine) {
+                byId.set(id, combine(existing, copy));
+            } else if (new Date(this.lastChanged(copy)) > new Date(this.lastChanged(existing))) {
+                byId.set(id, copy);
+            }
+        });
+        
+        return [...byId.values()];
+    }
+    
+    // Deleted collections are kept until `cutoff` so the deletion can sync
+    resolveCollections(collections, cutoff) {
+        return this.resolve(collections, new Map())
+            .filter(collection => !collection.deletedAt || new Date(collection.deletedAt) > cutoff);
+    }
+    
+    encode(number, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text = this.alphabet[number % 32] + text;
+            number = Math.floor(number / 32);
+        }
+        return text;
+    }
+    
+    // cyrb53: a small, fast 53-bit string hash (not for security)
+    hash(text, seed) {
+        let h1 = 0xdeadbeef ^ seed;
+        let h2 = 0x41c6ce57 ^ seed;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        
+        return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    }
+}
+
+// The sync workflow loads this file with Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WordIdentity };
+}
@@ -0,0 +1,479 @@
+// ===== DICTIONARY IMPORTER =====
+// Turns files from other tools into candidate words and works out what an
+// import would do with them. Knows nothing about the modal; DictionaryManager
+// drives the wizard and applies the plan.
+//
+// Sources:
+//   json   - the file exportDictionary writes (or dictionary.json itself)
+//   csv    - CSV/TSV with a user-chosen column for each field
+//   anki   - .apkg packages and Anki's "Notes in Plain Text" export
+//   kindle - vocab.db from a Kindle's Vocabulary Builder
+//
+// A candidate looks like a word without an id:
+//   { word, pronunciation, difficulty, senses, source, needsLookup?,
+//     tags?, collections?, translations?, audio?, language? }
+// JSON records that don't match schema.js come back as
+//   { word, record, errors }
+// and are skipped (DictionaryManager quarantines them).
+class DictionaryImporter {
+    constructor(validator = new DictionaryValidator(), identity = new WordIdentity()) {
+        this.validator = validator;
+        this.identity = identity;
+        
+        this.sources = {
+            json: 'Dictionary Manager export (.json)',
+            csv: 'CSV / TSV',
+            anki: 'Anki (.apkg or text export)',
+            kindle: 'Kindle Vocabulary Builder (vocab.db)'
+        };
+        
+        this.columnFields = ['word', 'definition', 'partOfSpeech', 'pronunciation', 'examples', 'synonyms', 'antonyms', 'difficulty', 'tags', 'senses'];
+        
+        // Header names recognised for each field when mapping columns
+        this.headerPatterns = {
+            word: /^(word|term|front|vocab|headword|stem)/i,
+            definition: /^(definition|meaning|back|gloss|translation)/i,
+            partOfSpeech: /(part.?of.?speech|^pos$|^type$|^class$)/i,
+            pronunciation: /(pronunciation|ipa|phonetic)/i,
+            examples: /(example|sentence|usage|context)/i,
+            synonyms: /^synonym/i,
+            antonyms: /^antonym/i,
+            difficulty: /(difficulty|level)/i,
+            tags: /^(tags?|labels?)$/i,
+            // The exporter's column with every sense as JSON
+            senses: /^senses$/i
+        };
+        
+        // Only downloaded when an Anki package or Kindle database is imported
+        this.libraries = {
+            sqlJs: 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.js',
+            sqlWasm: 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/sql-wasm.wasm',
+            jsZip: 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js'
+        };
+    }
+    
+    // Words with the same key are the same word (identity.js)
+    dedupeKey(word, language) {
+        return this.identity.wordKey(word, language);
+    }
+    
+    // ===== JSON =====
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const words = Array.isArray(data) ? data : data.words;
+        if (!Array.isArray(words)) throw new Error('No "words" list found in this file');
+        
+        return words.map(raw => {
+            // Imported words get new ids, so a missing one is fine
+            const errors = this.validator.checkRecord(raw, 'word', { optional: ['id'] });
+            if (errors.length > 0) {
+                return { word: typeof raw?.word === 'string' ? raw.word : '', record: raw, errors };
+            }
+            
+            return {
+                ...this.makeCandidate(raw, raw.source || 'Import (JSON)'),
+                // Progress travels with the word when it comes from this app
+                mastered: Boolean(raw.mastered),
+                masteredOverride: raw.masteredOverride,
+                review: raw.review,
+                quiz: raw.quiz,
+                createdAt: raw.createdAt
+            };
+        });
+    }
+    
+    // ===== CSV / TSV =====
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const counts = ['\t', ';', ','].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+        const best = counts.sort((a, b) => b.count - a.count)[0];
+        return best.count > 0 ? best.delimiter : ',';
+    }
+    
+    // RFC 4180 style: quoted fields may contain delimiters, quotes ("") and newlines
+    parseDelimited(text, delimiter = this.detectDelimiter(text)) {
+        text = text.replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+    
+    looksLikeHeader(row) {
+        return row.some(cell => Object.values(this.headerPatterns).some(pattern => pattern.test(String(cell).trim())));
+    }
+    
+    // Picks a column for each field from the header names, -1 for none
+    guessMapping(headers) {
+        const mapping = {};
+        this.columnFields.forEach(field => {
+            mapping[field] = headers.findIndex(header => this.headerPatterns[field].test(String(header).trim()));
+        });
+        
+        // No recognisable header: assume "word, definition"
+        if (mapping.word === -1 && mapping.definition === -1) {
+            mapping.word = 0;
+            mapping.definition = headers.length > 1 ? 1 : -1;
+        }
+        
+        return mapping;
+    }
+    
+    rowsToCandidates(rows, mapping, source = 'Import (CSV)') {
+        return rows.map(row => {
+            const cell = field => (mapping[field] >= 0 ? String(row[mapping[field]] || '').trim() : '');
+            
+            return this.makeCandidate({
+                word: cell('word'),
+                pronunciation: cell('pronunciation'),
+                difficulty: cell('difficulty'),
+                tags: this.splitList(cell('tags'), /[,;|]/),
+                senses: this.parseSensesCell(cell('senses')) || [{
+                    partOfSpeech: cell('partOfSpeech'),
+                    definitions: this.splitList(cell('definition'), /\n|\|/),
+                    examples: this.splitList(cell('examples'), /\n|\|/),
+                    synonyms: this.splitList(cell('synonyms'), /[,;|]/),
+                    antonyms: this.splitList(cell('antonyms'), /[,;|]/)
+                }]
+            }, source);
+        });
+    }
+    
+    // The full senses, when the file came from the exporter; null otherwise
+    // so the separate columns are used
+    parseSensesCell(text) {
+        if (!text) return null;
+        
+        try {
+            const senses = JSON.parse(text);
+            return Array.isArray(senses) && senses.length > 0 && senses.every(sense => sense && typeof sense === 'object') ? senses : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // ===== ANKI =====
+    // "Notes in Plain Text": tab separated, with optional #key:value header lines
+    parseAnkiText(text) {
+        const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', colon: ':', space: ' ' };
+        let delimiter = '\t';
+        
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const body = lines.filter(line => {
+            const header = line.match(/^#(\w+):(.*)$/);
+            if (header && header[1] === 'separator') {
+                delimiter = separators[header[2].trim().toLowerCase()] || header[2].trim() || delimiter;
+            }
+            return !header;
+        }).join('\n');
+        
+        return this.parseDelimited(body, delimiter).map(fields => this.ankiCandidate(fields));
+    }
+    
+    async parseAnkiPackage(buffer) {
+        const JSZip = await this.loadLibrary(this.libraries.jsZip, 'JSZip');
+        const zip = await JSZip.loadAsync(buffer);
+        
+        // Newer packages keep the real collection zstd-compressed in .anki21b and
+        // leave a placeholder in .anki2
+        const file = zip.file('collection.anki21') ||
+            (zip.file('collection.anki21b') ? null : zip.file('collection.anki2'));
+        if (!file) {
+            throw new Error('This package uses Anki\'s newer format. Export it again with "Support older Anki versions" ticked.');
+        }
+        
+        const db = await this.openDatabase(await file.async('uint8array'));
+        try {
+            // Note types name their fields; use those to find the word and definition
+            const models = JSON.parse(this.queryAll(db, 'SELECT models FROM col')[0]?.models || '{}');
+            const fieldIndex = (model, field, fallback) => {
+                const index = (model?.flds || []).findIndex(f => this.headerPatterns[field].test(f.name));
+                return index >= 0 ? index : fallback;
+            };
+            
+            return this.queryAll(db, 'SELECT mid, flds FROM notes').map(note => {
+                const model = models[note.mid];
+                return this.ankiCandidate(note.flds.split('\x1f'), fieldIndex(model, 'word', 0), fieldIndex(model, 'definition', 1));
+            });
+        } finally {
+            db.close();
+        }
+    }
+    
+    // By default the first field is the word, the second the definition(s)
+    ankiCandidate(fields, wordIndex = 0, definitionIndex = 1) {
+        return this.makeCandidate({
+            word: this.stripHtml(fields[wordIndex]),
+            senses: [{ definitions: this.splitList(this.stripHtml(fields[definitionIndex]), /\n/) }]
+        }, 'Import (Anki)');
+    }
+    
+    // ===== KINDLE =====
+    // vocab.db has the words looked up and the sentence each was found in,
+    // but no definitions, so these candidates are marked for a lookup
+    async parseKindle(buffer) {
+        const db = await this.openDatabase(new Uint8Array(buffer));
+        
+        try {
+            const lookups = this.queryAll(db, `
+                SELECT WORDS.word AS word, WORDS.stem AS stem, LOOKUPS.usage AS usage
+                FROM LOOKUPS
+                JOIN WORDS ON WORDS.id = LOOKUPS.word_key
+                ORDER BY LOOKUPS.timestamp
+            `);
+            
+            const byStem = new Map();
+            lookups.forEach(lookup => {
+                const word = (lookup.stem || lookup.word || '').trim();
+                const key = this.dedupeKey(word);
+                if (!key) return;
+                
+                if (!byStem.has(key)) byStem.set(key, { word, examples: [] });
+                if (lookup.usage) byStem.get(key).examples.push(lookup.usage.trim());
+            });
+            
+            return [...byStem.values()].map(entry => ({
+                ...this.makeCandidate({
+                    word: entry.word,
+                    senses: [{ examples: entry.examples }]
+                }, 'Import (Kindle)'),
+                needsLookup: true
+            }));
+            
+        } finally {
+            db.close();
+        }
+    }
+    
+    // ===== PLAN =====
+    // Decides, per candidate, whether it's added, merged into an existing word
+    // (new senses, definitions and examples are combined) or skipped.
+    // Candidates without a language are in `language`.
+    plan(candidates, existingWords, language = 'en') {
+        const existing = new Map(existingWords.map(word => [this.dedupeKey(word.word, word.language), word]));
+        const entries = new Map();
+        const skip = [];
+        
+        candidates.forEach(candidate => {
+            if (candidate.errors) {
+                skip.push({ candidate, reason: 'Invalid record', errors: candidate.errors });
+                return;
+            }
+            
+            const key = this.dedupeKey(candidate.word, candidate.language || language);
+            if (!key) {
+                skip.push({ candidate, reason: 'No word' });
+                return;
+            }
+            
+            // Repeats within the file are folded into the first occurrence
+            const entry = entries.get(key);
+            if (entry) {
+                entry.candidate.senses = this.mergeSenses(entry.candidate.senses, candidate.senses);
+                entry.candidate.pronunciation = entry.candidate.pronunciation || candidate.pronunciation;
+                ['translations', 'tags', 'collections'].forEach(field => {
+                    if (candidate[field]) entry.candidate[field] = this.union(entry.candidate[field], candidate[field]);
+                });
+                skip.push({ candidate, reason: 'Repeated in file (combined)' });
+                return;
+            }
+            
+            entries.set(key, { candidate: { ...candidate, senses: this.cloneSenses(candidate.senses) }, existing: existing.get(key) });
+        });
+        
+        const plan = { add: [], merge: [], skip };
+        
+        entries.forEach(({ candidate, existing: match }) => {
+            if (!match) {
+                if (candidate.senses.some(sense => sense.definitions.length > 0)) {
+                    plan.add.push({ candidate });
+                } else {
+                    plan.skip.push({ candidate, reason: 'No definition' });
+                }
+                return;
+            }
+            
+            const currentSenses = this.normalizeSenses(match);
+            const changes = {
+                senses: this.mergeSenses(currentSenses, candidate.senses),
+                pronunciation: match.pronunciation || candidate.pronunciation || '',
+                translations: this.union(match.translations, candidate.translations),
+                tags: this.union(match.tags, candidate.tags),
+                collections: this.union(match.collections, candidate.collections),
+                audio: match.audio || candidate.audio
+            };
+            
+            const unchanged = JSON.stringify(changes.senses) === JSON.stringify(currentSenses) &&
+                changes.pronunciation === (match.pronunciation || '') &&
+                ['translations', 'tags', 'collections'].every(field => changes[field].length === (match[field] || []).length) &&
+                changes.audio === match.audio;
+            
+            if (unchanged) {
+                plan.skip.push({ candidate, reason: 'Already in dictionary' });
+            } else {
+                plan.merge.push({ candidate, existing: match, changes });
+            }
+        });
+        
+        return plan;
+    }
+    
+    // Senses with the same part of speech are combined; a sense with only
+    // examples (Kindle) adds them to the first sense
+    mergeSenses(target, incoming) {
+        const merged = this.cloneSenses(target);
+        const union = (a, b) => [...new Set([...a, ...b])];
+        
+        incoming.forEach(sense => {
+            const same = merged.find(s => s.partOfSpeech === sense.partOfSpeech) ||
+                (sense.definitions.length === 0 || sense.partOfSpeech === 'unknown' ? merged[0] : null);
+            
+            if (!same) {
+                merged.push(this.cloneSenses([sense])[0]);
+                return;
+            }
+            
+            ['definitions', 'examples', 'synonyms', 'antonyms'].forEach(field => {
+                same[field] = union(same[field], sense[field]);
+            });
+            if (same.partOfSpeech === 'unknown') same.partOfSpeech = sense.partOfSpeech;
+        });
+        
+        return merged;
+    }
+    
+    // ===== HELPERS =====
+    makeCandidate(raw, source) {
+        const difficulty = String(raw.difficulty || '').toLowerCase();
+        const candidate = {
+            word: String(raw.word || '').trim(),
+            pronunciation: String(raw.pronunciation || '').trim(),
+            difficulty: ['easy', 'medium', 'hard'].includes(difficulty) ? difficulty : '',
+            senses: this.normalizeSenses(raw),
+            source
+        };
+        
+        // Only set when the source has them, so a word without them is left alone
+        ['tags', 'collections', 'translations'].forEach(field => {
+            if (Array.isArray(raw[field]) && raw[field].length > 0) candidate[field] = raw[field];
+        });
+        ['audio', 'language'].forEach(field => {
+            if (typeof raw[field] === 'string' && raw[field]) candidate[field] = raw[field];
+        });
+        
+        return candidate;
+    }
+    
+    // Accepts a word with senses or with the older top-level fields
+    normalizeSenses(raw) {
+        const list = value => (Array.isArray(value) ? value : value ? [value] : [])
+            .map(item => String(item).trim())
+            .filter(Boolean);
+        
+        const senses = Array.isArray(raw.senses) && raw.senses.length > 0
+            ? raw.senses
+            : [{ partOfSpeech: raw.partOfSpeech, definitions: raw.definition, examples: raw.examples, synonyms: raw.synonyms, antonyms: raw.antonyms }];
+        
+        return senses.map(sense => ({
+            ...(typeof sense.id === 'string' ? { id: sense.id } : {}),
+            partOfSpeech: String(sense.partOfSpeech || 'unknown').trim().toLowerCase() || 'unknown',
+            definitions: list(sense.definitions),
+            examples: list(sense.examples),
+            synonyms: list(sense.synonyms),
+            antonyms: list(sense.antonyms)
+        }));
+    }
+    
+    // Items of `b` that `a` doesn't have, after the items of `a`
+    union(a = [], b = []) {
+        const seen = new Set(a.map(item => JSON.stringify(item)));
+        return [...a, ...b.filter(item => !seen.has(JSON.stringify(item)))];
+    }
+    
+    cloneSenses(senses) {
+        return JSON.parse(JSON.stringify(senses));
+    }
+    
+    splitList(text, separator) {
+        return String(text || '').split(separator).map(item => item.trim()).filter(Boolean);
+    }
+    
+    stripHtml(html) {
+        return String(html || '')
+            .replace(/\[sound:[^\]]*\]/g, '')
+            .replace(/<br\s*\/?>|<\/(div|p|li)>|<(ol|ul)[^>]*>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+    
+    loadLibrary(url, globalName) {
+        if (window[globalName]) return Promise.resolve(window[globalName]);
+        
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve(window[globalName]);
+            script.onerror = () => reject(new Error(`Could not load ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+    
+    async openDatabase(bytes) {
+        const initSqlJs = await this.loadLibrary(this.libraries.sqlJs, 'initSqlJs');
+        const SQL = await initSqlJs({ locateFile: () => this.libraries.sqlWasm });
+        return new SQL.Database(bytes);
+    }
+    
+    queryAll(db, sql) {
+        const result = db.exec(sql)[0];
+        if (!result) return [];
+        
+        return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DictionaryImporter };
+}
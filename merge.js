@@ -0,0 +1,258 @@
+// ===== THREE-WAY MERGE =====
+// Combines a word changed on this device and on GitHub since the copy both
+// last agreed on (the base: the GitHub copy it was last merged with).
+// Plain data in and out, so sync in script.js and the tests in test/ run
+// the same rules.
+//
+//   const merger = new WordMerge();
+//   const { merged, conflicts } = merger.merge(base, local, remote);
+//
+// A field changed on only one side since the base takes that side's value;
+// list fields combine additions and removals from both sides. Anything else
+// that differs is a conflict the user has to resolve:
+//   { field, base, local, remote }
+//
+// Senses are matched by their id and merged field by field the same way,
+// except that any sense field changed differently on both sides is a
+// conflict, lists included. Those conflicts also name the sense:
+//   { sense: id, field: 'definitions', base, local, remote }
+//
+// Copies of one word that share no base (two devices added the same word,
+// then sync folded them onto one id) go through combine() instead:
+//   const word = merger.combine(copy, otherCopy);
+class WordMerge {
+    constructor() {
+        // Word fields that take part in the merge
+        this.fields = ['word', 'definition', 'partOfSpeech', 'pronunciation', 'audio', 'language', 'translations', 'examples', 'synonyms', 'antonyms', 'senses', 'difficulty', 'mastered', 'masteredOverride', 'tags', 'collections', 'review', 'quiz', 'recordedAt'];
+        
+        // Top-level fields that just mirror a word's first sense
+        this.mirrorFields = ['definition', 'partOfSpeech', 'examples', 'synonyms', 'antonyms'];
+        
+        // Fields of one sense
+        this.senseFields = ['partOfSpeech', 'definitions', 'examples', 'synonyms', 'antonyms'];
+    }
+    
+    merge(base, local, remote) {
+        const merged = { ...local };
+        const conflicts = [];
+        
+        // With senses on either side, both are merged as senses (a word without
+        // them counts as one sense made of its top-level fields) and the
+        // mirrored fields are rebuilt from the result
+        const derived = local.senses?.length || remote.senses?.length ? [...this.mirrorFields, 'senses'] : [];
+        if (derived.length > 0) {
+            merged.senses = this.mergeSenses(this.sensesOf(base), this.sensesOf(local), this.sensesOf(remote), conflicts);
+        }
+        
+        this.fields.forEach(field => {
+            if (derived.includes(field)) return;
+            
+            const baseValue = base[field];
+            const localValue = local[field];
+            const remoteValue = remote[field];
+            
+            if (this.valuesEqual(localValue, remoteValue)) return;
+            
+            if (this.valuesEqual(localValue, baseValue)) {
+                merged[field] = remoteValue;
+            } else if (this.valuesEqual(remoteValue, baseValue)) {
+                merged[field] = localValue;
+            } else if (Array.isArray(localValue) && Array.isArray(remoteValue)) {
+                merged[field] = this.mergeLists(baseValue || [], localValue, remoteValue);
+            } else if (field === 'quiz') {
+                merged[field] = this.mergeQuizStats(baseValue, localValue, remoteValue);
+            } else if (field === 'review') {
+                // Reviewed on two devices: the most recent review wins
+                merged[field] = (localValue?.lastReviewed || '') >= (remoteValue?.lastReviewed || '') ? localValue : remoteValue;
+            } else if (field === 'recordedAt') {
+                // Recorded on two devices: the latest recording is the one to mention
+                merged[field] = (localValue || '') >= (remoteValue || '') ? localValue : remoteValue;
+            } else {
+                conflicts.push({ field, base: baseValue, local: localValue, remote: remoteValue });
+            }
+        });
+        
+        if (derived.length > 0) this.applyPrimarySense(merged);
+        
+        // Keep the timestamp of the side we ended up matching, otherwise it's a new version
+        const fieldsMatch = other => this.fields.every(f => this.valuesEqual(merged[f], other[f]));
+        if (fieldsMatch(remote)) {
+            merged.updatedAt = remote.updatedAt;
+        } else if (!fieldsMatch(local)) {
+            merged.updatedAt = new Date().toISOString();
+        }
+        
+        return { merged, conflicts };
+    }
+    
+    // Nothing either copy has is lost: senses that differ are all kept, lists
+    // combine and quiz counters add up. A field the copies set differently
+    // takes the value of the copy changed last.
+    combine(a, b) {
+        const changed = word => new Date(word.updatedAt || word.createdAt || 0);
+        const [newer, older] = changed(a) >= changed(b) ? [a, b] : [b, a];
+        
+        // Against an empty base, conflicting fields keep the newer copy's value
+        const { merged } = this.merge({}, newer, older);
+        
+        // Sense ids only line up between copies that share a history, so
+        // these senses are matched by part of speech and definitions; a word
+        // without senses counts as one sense here too
+        const senses = this.sensesOf(newer).map(sense => ({ ...sense }));
+        const sameMeaning = (one, other) => one.partOfSpeech === other.partOfSpeech && this.valuesEqual(one.definitions, other.definitions);
+        let added = false;
+        
+        this.sensesOf(older).forEach(sense => {
+            const same = senses.find(kept => sameMeaning(kept, sense));
+            if (!same) {
+                senses.push(sense);
+                added = true;
+                return;
+            }
+            ['examples', 'synonyms', 'antonyms'].forEach(field => {
+                same[field] = this.mergeLists([], same[field], sense[field]);
+            });
+        });
+        
+        if (added || newer.senses?.length || older.senses?.length) {
+            merged.senses = this.withSenseIds(senses);
+            this.applyPrimarySense(merged);
+        }
+        
+        merged.updatedAt = this.fields.every(f => this.valuesEqual(merged[f], newer[f])) ? newer.updatedAt : new Date().toISOString();
+        return merged;
+    }
+    
+    // Quiz counters from two devices add up
+    mergeQuizStats(base, local, remote) {
+        if (!local || !remote) return local || remote;
+        
+        const attempts = local.attempts + remote.attempts - (base?.attempts || 0);
+        const correct = local.correct + remote.correct - (base?.correct || 0);
+        
+        return {
+            attempts,
+            correct,
+            lastAttempt: (local.lastAttempt || '') > (remote.lastAttempt || '') ? local.lastAttempt : remote.lastAttempt
+        };
+    }
+    
+    // Senses are kept in this device's order, followed by ones only GitHub
+    // has. A sense deleted on one side and left alone on the other is gone;
+    // one deleted on one side and changed on the other is kept.
+    mergeSenses(base, local, remote, conflicts) {
+        const byId = senses => new Map(senses.map(sense => [sense.id, sense]));
+        const baseSenses = byId(base);
+        const localSenses = byId(local);
+        const remoteSenses = byId(remote);
+        const ids = [...new Set([...localSenses.keys(), ...remoteSenses.keys()])];
+        
+        return ids.map(id => {
+            const [baseSense, localSense, remoteSense] = [baseSenses, localSenses, remoteSenses].map(senses => senses.get(id));
+            
+            if (!localSense || !remoteSense) {
+                const kept = localSense || remoteSense;
+                return baseSense && this.valuesEqual(kept, baseSense) ? null : kept;
+            }
+            
+            const sense = { ...localSense };
+            this.senseFields.forEach(field => {
+                const baseValue = baseSense?.[field];
+                const localValue = localSense[field];
+                const remoteValue = remoteSense[field];
+                
+                if (this.valuesEqual(localValue, remoteValue) || this.valuesEqual(remoteValue, baseValue)) return;
+                
+                if (this.valuesEqual(localValue, baseValue)) {
+                    sense[field] = remoteValue;
+                } else {
+                    conflicts.push({ sense: id, field, base: baseValue, local: localValue, remote: remoteValue });
+                }
+            });
+            return sense;
+        }).filter(Boolean);
+    }
+    
+    // A word's senses with ids; one without senses has a single sense made
+    // of its top-level fields
+    sensesOf(word) {
+        const senses = word.senses?.length > 0 ? word.senses : [{
+            partOfSpeech: word.partOfSpeech || 'unknown',
+            definitions: word.definition ? [word.definition] : [],
+            examples: word.examples || [],
+            synonyms: word.synonyms || [],
+            antonyms: word.antonyms || []
+        }];
+        
+        return this.withSenseIds(senses);
+    }
+    
+    // Gives every sense an id that is unique within its word. Senses saved
+    // before they had ids are numbered by position, so every copy of a word
+    // numbers them the same; new senses should get a ULID through newId.
+    withSenseIds(senses, newId = index => String(index + 1)) {
+        const seen = new Set();
+        
+        return senses.map((sense, index) => {
+            let id = sense.id ?? newId(index);
+            while (seen.has(id)) id = `${id}-${index + 1}`;
+            seen.add(id);
+            return id === sense.id ? sense : { ...sense, id };
+        });
+    }
+    
+    // Items are compared by value
+    mergeLists(base, local, remote) {
+        const key = item => JSON.stringify(item);
+        const localKeys = new Set(local.map(key));
+        const remoteKeys = new Set(remote.map(key));
+        const removed = new Set(base.map(key).filter(k => !localKeys.has(k) || !remoteKeys.has(k)));
+        const seen = new Set();
+        const result = [];
+        
+        [...local, ...remote].forEach(item => {
+            const k = key(item);
+            if (!removed.has(k) && !seen.has(k)) {
+                seen.add(k);
+                result.push(item);
+            }
+        });
+        
+        return result;
+    }
+    
+    // The top-level definition, partOfSpeech, examples, synonyms and antonyms
+    // mirror the first sense so older clients and the card grid keep working
+    applyPrimarySense(word) {
+        const primary = word.senses?.[0];
+        if (!primary) return word;
+        
+        word.partOfSpeech = primary.partOfSpeech;
+        word.definition = primary.definitions[0] || '';
+        word.examples = [...primary.examples];
+        word.synonyms = [...primary.synonyms];
+        word.antonyms = [...primary.antonyms];
+        return word;
+    }
+    
+    // The merged fields of a word, deep-copied, for use as a later base
+    snapshot(word) {
+        const snapshot = {};
+        this.fields.forEach(field => {
+            if (word[field] !== undefined) {
+                snapshot[field] = JSON.parse(JSON.stringify(word[field]));
+            }
+        });
+        snapshot.updatedAt = word.updatedAt;
+        return snapshot;
+    }
+    
+    valuesEqual(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WordMerge };
+}
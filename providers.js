@@ -0,0 +1,332 @@
+// ===== LOOKUP PROVIDERS =====
+// Word lookups go through an ordered chain of providers. Each provider turns
+// its source's response into the dictionary's word shape:
+//
+//   { word, pronunciation, audio, translations, senses: [{ partOfSpeech, definitions, examples, synonyms, antonyms }] }
+//
+// `audio` is an optional link to a recording of the word being said, and
+// `translations` an optional list of { language, text }.
+//
+// Lookups are for a language ("en", "de", "pt-BR"). A provider answers for
+// the languages in its `languages` list (any language when it has none), so
+// each dictionary's words are looked up in its own language. A provider
+// returns null when it has nothing for the word; the chain asks each
+// provider in turn and reports which one answered.
+
+class LookupProvider {
+    constructor(name, languages = null) {
+        this.name = name;
+        this.languages = languages;
+    }
+    
+    // "pt" covers "pt-BR" as well
+    supports(language) {
+        return !this.languages || this.languages.some(code => code === language || code === language.split('-')[0]);
+    }
+    
+    // Override in subclasses
+    async lookup(word, language) {
+        return null;
+    }
+    
+    makeSense(fields = {}) {
+        const list = value => (Array.isArray(value) ? value : value ? [value] : [])
+            .map(item => String(item).trim())
+            .filter(Boolean);
+        
+        return {
+            partOfSpeech: String(fields.partOfSpeech || 'unknown').toLowerCase(),
+            definitions: list(fields.definitions),
+            examples: list(fields.examples),
+            synonyms: [...new Set(list(fields.synonyms))],
+            antonyms: [...new Set(list(fields.antonyms))]
+        };
+    }
+    
+    makeResult(word, pronunciation, senses, { audio, translations } = {}) {
+        senses = senses.filter(sense => sense.definitions.length > 0);
+        if (senses.length === 0) return null;
+        
+        const result = { word, pronunciation: pronunciation || '', senses };
+        if (typeof audio === 'string' && audio.startsWith('https://')) result.audio = audio;
+        
+        translations = (Array.isArray(translations) ? translations : [])
+            .filter(translation => translation?.language && translation.text)
+            .map(({ language, text }) => ({ language: String(language), text: String(text).trim() }));
+        if (translations.length > 0) result.translations = translations;
+        return result;
+    }
+}
+
+// https://dictionaryapi.dev - free dictionary, English unless configured
+// with more `languages`
+class DictionaryApiProvider extends LookupProvider {
+    constructor({ languages = ['en'] } = {}) {
+        super('Dictionary API', languages);
+        this.baseUrl = 'https://api.dictionaryapi.dev/api/v2/entries';
+    }
+    
+    async lookup(word, language = 'en') {
+        const response = await fetch(`${this.baseUrl}/${encodeURIComponent(language)}/${encodeURIComponent(word)}`);
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`${this.name} returned ${response.status}`);
+        
+        const data = await response.json();
+        const firstResult = data[0];
+        
+        // Every meaning of every entry becomes a sense
+        const senses = data.flatMap(entry => (entry.meanings || []).map(meaning => {
+            const definitions = meaning.definitions || [];
+            return this.makeSense({
+                partOfSpeech: meaning.partOfSpeech,
+                definitions: definitions.map(d => d.definition),
+                examples: definitions.map(d => d.example),
+                synonyms: [...(meaning.synonyms || []), ...definitions.flatMap(d => d.synonyms || [])],
+                antonyms: [...(meaning.antonyms || []), ...definitions.flatMap(d => d.antonyms || [])]
+            });
+        }));
+        
+        const phonetics = data.flatMap(entry => entry.phonetics || []);
+        const pronunciation = firstResult.phonetic || phonetics.find(p => p.text)?.text;
+        const audio = phonetics.find(p => p.audio)?.audio;
+        
+        return this.makeResult(firstResult.word || word, pronunciation, senses, { audio });
+    }
+}
+
+// https://en.wiktionary.org - definitions of words in most languages (the
+// English Wiktionary's entries for them, so definitions are in English).
+// The default for dictionaries in languages the Dictionary API doesn't have.
+class WiktionaryProvider extends LookupProvider {
+    constructor({ languages = null } = {}) {
+        super('Wiktionary', languages);
+        this.baseUrl = 'https://en.wiktionary.org/api/rest_v1/page/definition';
+    }
+    
+    async lookup(word, language = 'en') {
+        // Entries are case-sensitive; German nouns, for one, are capitalized
+        const spellings = [...new Set([word, word.charAt(0).toLocaleUpperCase(language) + word.slice(1)])];
+        
+        for (const spelling of spellings) {
+            const response = await fetch(`${this.baseUrl}/${encodeURIComponent(spelling)}`);
+            if (response.status === 404) continue;
+            if (!response.ok) throw new Error(`${this.name} returned ${response.status}`);
+            
+            // Entries are grouped by language code
+            const data = await response.json();
+            const entries = data[language] || data[language.split('-')[0]];
+            if (!entries) continue;
+            
+            const senses = entries.map(entry => this.makeSense({
+                partOfSpeech: entry.partOfSpeech,
+                definitions: (entry.definitions || []).map(d => this.text(d.definition)),
+                examples: (entry.definitions || []).flatMap(d => (d.parsedExamples || []).map(ex => this.text(ex.example)))
+            }));
+            
+            const result = this.makeResult(spelling, '', senses);
+            if (result) return result;
+        }
+        
+        return null;
+    }
+    
+    // Definitions come as HTML
+    text(html) {
+        return String(html || '')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+}
+
+// Word list loaded once from a static file, so lookups work offline.
+// Two formats are understood:
+//   'wordlist'   - { "words": { "<word>": { pronunciation, audio, translations, senses: [...] } } }
+//                  (the bundled lookup/offline-words.json)
+//   'wiktextract' - one JSON object per line, as in the Wiktionary dumps
+//                  published by kaikki.org
+// A file holds one language: `languages` says which (English by default).
+class StaticFileProvider extends LookupProvider {
+    constructor({ name = 'Offline word list', url = 'lookup/offline-words.json', format = 'wordlist', languages = ['en'] } = {}) {
+        super(name, languages);
+        this.url = url;
+        this.format = format;
+        this.index = null;
+    }
+    
+    async load() {
+        if (this.index) return this.index;
+        
+        const response = await fetch(this.url);
+        if (!response.ok) throw new Error(`Could not load ${this.url}`);
+        
+        const text = await response.text();
+        this.index = this.format === 'wiktextract' ? this.indexWiktextract(text) : this.indexWordList(JSON.parse(text));
+        return this.index;
+    }
+    
+    indexWordList(data) {
+        const index = new Map();
+        Object.entries(data.words || {}).forEach(([word, entry]) => {
+            index.set(word.toLowerCase(), this.makeResult(word, entry.pronunciation, (entry.senses || []).map(sense => this.makeSense(sense)), {
+                audio: entry.audio,
+                translations: entry.translations
+            }));
+        });
+        return index;
+    }
+    
+    indexWiktextract(text) {
+        const index = new Map();
+        
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return;
+            }
+            if (!entry.word) return;
+            
+            const senses = (entry.senses || []).map(sense => this.makeSense({
+                partOfSpeech: entry.pos,
+                definitions: sense.glosses,
+                examples: (sense.examples || []).map(ex => ex.text),
+                synonyms: [...(sense.synonyms || []), ...(entry.synonyms || [])].map(s => s.word),
+                antonyms: [...(sense.antonyms || []), ...(entry.antonyms || [])].map(a => a.word)
+            }));
+            
+            // Dumps have one line per part of speech; fold them into one word
+            const key = entry.word.toLowerCase();
+            const existing = index.get(key);
+            const pronunciation = (entry.sounds || []).find(s => s.ipa)?.ipa;
+            const sound = (entry.sounds || []).find(s => s.mp3_url || s.ogg_url);
+            const translations = (entry.translations || [])
+                .filter(t => (t.code || t.lang_code) && t.word)
+                .map(t => ({ language: t.code || t.lang_code, text: t.word }));
+            
+            if (existing) {
+                existing.senses.push(...senses.filter(sense => sense.definitions.length > 0));
+                if (translations.length > 0) existing.translations = [...(existing.translations || []), ...translations];
+            } else {
+                const result = this.makeResult(entry.word, pronunciation, senses, { audio: sound?.mp3_url || sound?.ogg_url, translations });
+                if (result) index.set(key, result);
+            }
+        });
+        
+        return index;
+    }
+    
+    async lookup(word) {
+        const index = await this.load();
+        const entry = index.get(word.toLowerCase());
+        
+        // Hand out a copy so callers can't change the cached entry
+        return entry ? JSON.parse(JSON.stringify(entry)) : null;
+    }
+}
+
+// Any JSON API, described by configuration:
+//   {
+//     "type": "http",
+//     "name": "My API",
+//     "url": "https://example.com/define?q={word}&lang={language}",
+//     "languages": ["en", "es"],             // optional: only these languages
+//     "headers": { "X-Api-Key": "..." },
+//     "sensesPath": "results",              // optional: array of senses
+//     "fields": {                            // dotted paths, relative to each sense
+//       "definitions": "definition",
+//       "partOfSpeech": "partOfSpeech",
+//       "examples": "examples",
+//       "synonyms": "synonyms",
+//       "antonyms": "antonyms"
+//     },
+//     "pronunciationPath": "pronunciation.all",
+//     "audioPath": "pronunciation.audio"    // optional: https URL of a recording
+//   }
+class HttpJsonProvider extends LookupProvider {
+    constructor(config) {
+        super(config.name || 'Custom API', config.languages || null);
+        
+        // Without {word} every lookup would ask for the same thing
+        if (typeof config.url !== 'string' || !config.url.includes('{word}')) {
+            throw new Error(`${this.name} needs a url with {word} in it`);
+        }
+        this.config = config;
+    }
+    
+    async lookup(word, language = 'en') {
+        const url = this.config.url
+            .replace(/\{word\}/g, encodeURIComponent(word))
+            .replace(/\{language\}/g, encodeURIComponent(language));
+        const response = await fetch(url, { headers: this.config.headers || {} });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`${this.name} returned ${response.status}`);
+        
+        const data = await response.json();
+        const fields = this.config.fields || {};
+        
+        const items = this.config.sensesPath ? this.get(data, this.config.sensesPath) : [data];
+        const senses = (Array.isArray(items) ? items : []).map(item => this.makeSense({
+            partOfSpeech: this.get(item, fields.partOfSpeech),
+            definitions: this.get(item, fields.definitions || 'definition'),
+            examples: this.get(item, fields.examples),
+            synonyms: this.get(item, fields.synonyms),
+            antonyms: this.get(item, fields.antonyms)
+        }));
+        
+        return this.makeResult(word, this.get(data, this.config.pronunciationPath), senses, { audio: this.get(data, this.config.audioPath) });
+    }
+    
+    get(object, path) {
+        if (!path) return undefined;
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+}
+
+class LookupChain {
+    constructor(providers) {
+        this.providers = providers;
+    }
+    
+    // Builds providers from plain config objects (as saved in settings)
+    static fromConfig(configs) {
+        return new LookupChain(configs.map(config => {
+            switch (config.type) {
+                case 'dictionaryapi': return new DictionaryApiProvider(config);
+                case 'wiktionary': return new WiktionaryProvider(config);
+                case 'static': return new StaticFileProvider(config);
+                case 'http': return new HttpJsonProvider(config);
+                default: throw new Error(`Unknown lookup provider type: ${config.type}`);
+            }
+        }));
+    }
+    
+    // Returns { result, provider, errors }. Providers that throw (offline,
+    // rate limited, down) are skipped and their errors collected, as are
+    // providers for other languages.
+    async lookup(word, language = 'en') {
+        const errors = [];
+        const providers = this.providers.filter(provider => provider.supports(language));
+        if (providers.length === 0) errors.push(`No lookup provider for "${language}"`);
+        
+        for (const provider of providers) {
+            try {
+                const result = await provider.lookup(word, language);
+                if (result) return { result, provider, errors };
+            } catch (error) {
+                console.log(`⚠️ ${provider.name} failed:`, error);
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+        
+        return { result: null, provider: null, errors };
+    }
+}
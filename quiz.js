@@ -0,0 +1,167 @@
+// ===== QUIZ GENERATOR =====
+// Builds exercises from the words already in the dictionary. Knows nothing
+// about the DOM; DictionaryManager renders the questions and records results.
+//
+// Question kinds:
+//   definition - pick the word for a definition; the other options are
+//                other entries' words
+//   cloze      - fill the word back into one of its own examples
+//   matching   - pair several words with their synonyms or antonyms
+//   spelling   - type the word from its pronunciation (and a definition hint)
+//
+// Typed and picked answers are compared after `normalize`; pass the search
+// index's so "cafe" is as right as "café" in the quiz as in search.
+class QuizGenerator {
+    constructor(words, normalize = text => String(text ?? '').toLowerCase()) {
+        this.words = words.filter(word => word.word && word.definition);
+        this.kinds = ['definition', 'cloze', 'matching', 'spelling'];
+        this.normalize = normalize;
+    }
+    
+    generate(count = 10, kinds = this.kinds) {
+        const questions = [];
+        const usedWordIds = new Set();
+        
+        // Try each word with each kind, preferring kinds that fit the word
+        this.shuffle(this.words).forEach(word => {
+            if (questions.length >= count || usedWordIds.has(word.id)) return;
+            
+            for (const kind of this.shuffle(kinds)) {
+                const question = this.build(kind, word);
+                if (question) {
+                    questions.push(question);
+                    question.wordIds.forEach(id => usedWordIds.add(id));
+                    break;
+                }
+            }
+        });
+        
+        return questions;
+    }
+    
+    build(kind, word) {
+        switch (kind) {
+            case 'definition': return this.definitionQuestion(word);
+            case 'cloze': return this.clozeQuestion(word);
+            case 'matching': return this.matchingQuestion(word);
+            case 'spelling': return this.spellingQuestion(word);
+            default: return null;
+        }
+    }
+    
+    definitionQuestion(word) {
+        const seen = new Set([this.answerKey(word.word)]);
+        const distractors = this.shuffle(this.words.filter(w => w.id !== word.id && w.definition !== word.definition))
+            .map(w => w.word)
+            .filter(other => !seen.has(this.answerKey(other)) && seen.add(this.answerKey(other)))
+            .slice(0, 3);
+        
+        if (distractors.length === 0) return null;
+        
+        return {
+            kind: 'definition',
+            wordIds: [word.id],
+            prompt: word.definition,
+            options: this.shuffle([word.word, ...distractors]),
+            answer: word.word,
+            accept: [word.word]
+        };
+    }
+    
+    // The word and whatever letters follow it ("Übung" in "Übungen"); letters
+    // are Unicode letters, so words starting with "é" or "Ü" are found too
+    clozeQuestion(word) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${this.escapeRegExp(word.word)}[\\p{L}\\p{N}]*`, 'iu');
+        const example = this.shuffle(word.examples || []).find(ex => pattern.test(ex));
+        if (!example) return null;
+        
+        const removed = example.match(pattern)[0];
+        
+        return {
+            kind: 'cloze',
+            wordIds: [word.id],
+            prompt: example.replace(pattern, '_____'),
+            hint: word.definition,
+            answer: removed,
+            accept: [removed, word.word]
+        };
+    }
+    
+    matchingQuestion(word) {
+        const relation = (word.synonyms || []).length > 0 ? 'synonyms'
+            : (word.antonyms || []).length > 0 ? 'antonyms'
+            : null;
+        if (!relation) return null;
+        
+        // Up to four words that all have the same kind of relation
+        const others = this.shuffle(this.words.filter(w => w.id !== word.id && (w[relation] || []).length > 0));
+        const group = [word, ...others.slice(0, 3)];
+        if (group.length < 2) return null;
+        
+        const pairs = group.map(w => ({ wordId: w.id, word: w.word, match: this.shuffle(w[relation])[0] }));
+        
+        return {
+            kind: 'matching',
+            relation,
+            wordIds: group.map(w => w.id),
+            pairs,
+            options: this.shuffle(pairs.map(p => p.match))
+        };
+    }
+    
+    spellingQuestion(word) {
+        const pronunciation = (word.pronunciation || '').trim();
+        if (!pronunciation || pronunciation === '/.../') return null;
+        
+        return {
+            kind: 'spelling',
+            wordIds: [word.id],
+            prompt: pronunciation,
+            hint: word.definition,
+            answer: word.word,
+            accept: [word.word]
+        };
+    }
+    
+    // Returns { correct, results: [{ wordId, correct }] } for an answer
+    check(question, answer) {
+        const normalize = text => this.answerKey(text);
+        
+        if (question.kind === 'matching') {
+            const results = question.pairs.map(pair => ({
+                wordId: pair.wordId,
+                correct: normalize(answer[pair.wordId]) === normalize(pair.match)
+            }));
+            return { correct: results.every(r => r.correct), results };
+        }
+        
+        const correct = question.accept
+            ? question.accept.some(option => normalize(option) === normalize(answer))
+            : answer === question.answer;
+        
+        return { correct, results: [{ wordId: question.wordIds[0], correct }] };
+    }
+    
+    // Case, accents and spacing don't make an answer wrong
+    answerKey(text) {
+        return this.normalize(String(text ?? '').trim()).replace(/\s+/g, ' ');
+    }
+    
+    shuffle(items) {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+    
+    escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizGenerator };
+}
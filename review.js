@@ -0,0 +1,73 @@
+// ===== SPACED REPETITION =====
+// SM-2 scheduling. Each word carries a review state; grading a recall
+// (0-5) updates the ease factor and pushes the next due date out.
+//
+//   const scheduler = new ReviewScheduler();
+//   scheduler.isDue(word);      // never reviewed, or due by the end of today
+//   scheduler.grade(word, 4);   // new word.review, word.mastered and updatedAt
+//
+// A word counts as mastered once its review interval reaches
+// `masteryInterval` days. Marking it (un)mastered by hand sets
+// `masteredOverride`, which holds until the schedule agrees with it.
+class ReviewScheduler {
+    constructor(masteryInterval = 21) {
+        this.masteryInterval = masteryInterval;
+    }
+    
+    stateOf(word) {
+        return word.review || { ease: 2.5, interval: 0, repetitions: 0, due: null, lastReviewed: null };
+    }
+    
+    // Words that were never reviewed are always due
+    isDue(word, date = new Date()) {
+        const due = word.review?.due;
+        if (!due) return true;
+        
+        const endOfDay = new Date(date);
+        endOfDay.setHours(23, 59, 59, 999);
+        return new Date(due) <= endOfDay;
+    }
+    
+    schedule(state, quality, now = new Date()) {
+        let { ease, interval, repetitions } = state;
+        
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+        } else {
+            repetitions += 1;
+            if (repetitions === 1) interval = 1;
+            else if (repetitions === 2) interval = 6;
+            else interval = Math.round(interval * ease);
+        }
+        
+        ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        
+        const due = new Date(now);
+        due.setDate(due.getDate() + interval);
+        
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            due: due.toISOString(),
+            lastReviewed: now.toISOString()
+        };
+    }
+    
+    grade(word, quality, now = new Date()) {
+        word.review = this.schedule(this.stateOf(word), quality, now);
+        
+        // From the review that agrees with a hand-set mark on, reviews decide again
+        const scheduled = word.review.interval >= this.masteryInterval;
+        if (word.masteredOverride === scheduled) delete word.masteredOverride;
+        word.mastered = word.masteredOverride ?? scheduled;
+        word.updatedAt = now.toISOString();
+        return word;
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReviewScheduler };
+}
@@ -0,0 +1,298 @@
+// ===== DICTIONARY SCHEMA =====
+// The shape of dictionary.json and of every word in it, as a JSON Schema.
+// The web app checks words against it when loading from this device,
+// merging from GitHub and importing; the sync workflow checks incoming
+// words with the same file (`node .github/scripts/validate-dictionary.js`).
+// Records that don't match are quarantined and reported instead of being
+// used, so one bad word can't break the list for everyone.
+//
+// Extra fields are allowed so older clients don't quarantine words written
+// by newer ones; sanitizeWord drops what it doesn't know.
+const dictionarySchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'https://github.com/Atharv-Chaudhari/Dictionary-Manager/schema/dictionary.json',
+    title: 'Dictionary Manager dictionary',
+    type: 'object',
+    required: ['words'],
+    properties: {
+        words: { type: 'array', items: { $ref: '#/$defs/word' } },
+        tombstones: { type: 'array', items: { $ref: '#/$defs/tombstone' } },
+        collections: { type: 'array', items: { $ref: '#/$defs/collection' } },
+        activity: { type: 'array', items: { $ref: '#/$defs/event' } },
+        metadata: { type: 'object' }
+    },
+    $defs: {
+        id: {
+            anyOf: [
+                { type: 'number' },
+                { type: 'string', pattern: '^[\\w.-]{1,64}$', description: 'up to 64 letters, digits, "_", "." or "-"' }
+            ]
+        },
+        date: { type: 'string', format: 'date-time' },
+        text: { type: 'string', maxLength: 2000 },
+        textList: { type: 'array', items: { $ref: '#/$defs/text' } },
+        difficulty: { enum: ['easy', 'medium', 'hard'] },
+        tag: { type: 'string', minLength: 1, maxLength: 40, pattern: '\\S', description: 'text that is not blank' },
+        language: { type: 'string', pattern: '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$', description: 'a language code such as "en" or "pt-BR"' },
+        translation: {
+            type: 'object',
+            required: ['language', 'text'],
+            properties: {
+                language: { $ref: '#/$defs/language' },
+                text: { type: 'string', minLength: 1, maxLength: 200 }
+            }
+        },
+        sense: {
+            type: 'object',
+            required: ['definitions'],
+            properties: {
+                // Unique within the word; senses are matched by it when merging
+                id: { type: 'string', pattern: '^[\\w.-]{1,64}$', description: 'up to 64 letters, digits, "_", "." or "-"' },
+                partOfSpeech: { type: 'string', maxLength: 40 },
+                definitions: { $ref: '#/$defs/textList' },
+                examples: { $ref: '#/$defs/textList' },
+                synonyms: { $ref: '#/$defs/textList' },
+                antonyms: { $ref: '#/$defs/textList' }
+            }
+        },
+        word: {
+            type: 'object',
+            required: ['id', 'word'],
+            properties: {
+                id: { $ref: '#/$defs/id' },
+                word: { type: 'string', minLength: 1, maxLength: 100, pattern: '\\S', description: 'text that is not blank' },
+                definition: { $ref: '#/$defs/text' },
+                partOfSpeech: { type: 'string', maxLength: 40 },
+                pronunciation: { type: ['string', 'null'], maxLength: 100 },
+                audio: { type: 'string', maxLength: 500, pattern: '^https://', description: 'an https URL' },
+                language: { $ref: '#/$defs/language' },
+                translations: { type: 'array', items: { $ref: '#/$defs/translation' } },
+                examples: { $ref: '#/$defs/textList' },
+                synonyms: { $ref: '#/$defs/textList' },
+                antonyms: { $ref: '#/$defs/textList' },
+                senses: { type: 'array', items: { $ref: '#/$defs/sense' } },
+                difficulty: { $ref: '#/$defs/difficulty' },
+                mastered: { type: 'boolean' },
+                masteredOverride: { type: 'boolean' },
+                tags: { type: 'array', items: { $ref: '#/$defs/tag' } },
+                collections: { type: 'array', items: { $ref: '#/$defs/id' } },
+                source: { type: ['string', 'null'] },
+                recordedAt: { $ref: '#/$defs/date' },
+                createdAt: { $ref: '#/$defs/date' },
+                updatedAt: { $ref: '#/$defs/date' },
+                review: {
+                    type: 'object',
+                    properties: {
+                        ease: { type: 'number', minimum: 1.3 },
+                        interval: { type: 'number', minimum: 0 },
+                        repetitions: { type: 'integer', minimum: 0 },
+                        due: { anyOf: [{ $ref: '#/$defs/date' }, { type: 'null' }] },
+                        lastReviewed: { anyOf: [{ $ref: '#/$defs/date' }, { type: 'null' }] }
+                    }
+                },
+                quiz: {
+                    type: 'object',
+                    properties: {
+                        attempts: { type: 'integer', minimum: 0 },
+                        correct: { type: 'integer', minimum: 0 },
+                        lastAttempt: { anyOf: [{ $ref: '#/$defs/date' }, { type: 'null' }] }
+                    }
+                },
+                history: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            savedAt: { anyOf: [{ $ref: '#/$defs/date' }, { type: 'null' }] },
+                            word: { type: 'string', maxLength: 100 },
+                            pronunciation: { type: ['string', 'null'], maxLength: 100 },
+                            difficulty: { $ref: '#/$defs/difficulty' },
+                            senses: { type: 'array', items: { $ref: '#/$defs/sense' } },
+                            translations: { type: 'array', items: { $ref: '#/$defs/translation' } }
+                        }
+                    }
+                }
+            }
+        },
+        tombstone: {
+            type: 'object',
+            required: ['id', 'deletedAt'],
+            properties: {
+                id: { $ref: '#/$defs/id' },
+                word: { type: 'string' },
+                language: { $ref: '#/$defs/language' },
+                deletedAt: { $ref: '#/$defs/date' }
+            }
+        },
+        // A named group of words. Manual collections list their words in each
+        // word's `collections`; smart ones have a search query instead.
+        // Deleted collections stay, with deletedAt, until tombstones expire.
+        collection: {
+            type: 'object',
+            required: ['id', 'name', 'updatedAt'],
+            properties: {
+                id: { $ref: '#/$defs/id' },
+                name: { type: 'string', minLength: 1, maxLength: 60, pattern: '\\S', description: 'text that is not blank' },
+                query: { type: 'string', maxLength: 500 },
+                createdAt: { $ref: '#/$defs/date' },
+                updatedAt: { $ref: '#/$defs/date' },
+                deletedAt: { $ref: '#/$defs/date' }
+            }
+        },
+        // One entry in the activity log (see activity.js)
+        event: {
+            type: 'object',
+            required: ['id', 'type', 'at'],
+            properties: {
+                id: { $ref: '#/$defs/id' },
+                type: { enum: ['add', 'master', 'unmaster', 'review'] },
+                at: { $ref: '#/$defs/date' },
+                wordId: { $ref: '#/$defs/id' },
+                word: { type: 'string', maxLength: 100 },
+                quality: { type: 'integer', minimum: 0 },
+                difficulty: { $ref: '#/$defs/difficulty' },
+                partOfSpeech: { type: 'string', maxLength: 40 }
+            }
+        }
+    }
+};
+
+// Checks values against the schema above. Understands the keywords it uses
+// (type, enum, anyOf, $ref, properties, required, items, min/maxLength,
+// pattern, minimum and format: date-time) - not the whole specification.
+// A schema's description, when present, is used to explain a pattern.
+class DictionaryValidator {
+    constructor(schema = dictionarySchema) {
+        this.schema = schema;
+    }
+    
+    // Returns a list of { path, message }; empty when the value matches.
+    // Paths are JSON pointers, e.g. "/words/3/examples/0".
+    validate(value, schema = this.schema, path = '') {
+        if (schema.$ref) {
+            return this.validate(value, this.resolve(schema.$ref), path);
+        }
+        
+        if (schema.anyOf) {
+            const results = schema.anyOf.map(option => this.validate(value, option, path));
+            if (results.some(errors => errors.length === 0)) return [];
+            
+            // Report the option of the right type, if there is one
+            const closest = results.find(errors => errors.every(error => !error.typeMismatch));
+            return closest || [{ path, message: `must be ${schema.anyOf.map(option => this.describe(option)).join(' or ')}`, typeMismatch: true }];
+        }
+        
+        const type = this.typeOf(value);
+        const types = schema.type === undefined ? null : [].concat(schema.type);
+        
+        if (types && !types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+            return [{ path, message: `must be ${this.describe(schema)}`, typeMismatch: true }];
+        }
+        
+        if (schema.enum && !schema.enum.includes(value)) {
+            return [{ path, message: `must be one of ${schema.enum.join(', ')}`, typeMismatch: true }];
+        }
+        
+        const errors = [];
+        const fail = message => errors.push({ path, message });
+        
+        if (type === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty');
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) fail(schema.description ? `must be ${schema.description}` : `must match ${schema.pattern}`);
+            if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('must be a date');
+        }
+        
+        if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        }
+        
+        if (type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push({ path: `${path}/${key}`, message: 'is required' });
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined) errors.push(...this.validate(value[key], propertySchema, `${path}/${key}`));
+            });
+        }
+        
+        if (type === 'array' && schema.items) {
+            value.forEach((item, i) => errors.push(...this.validate(item, schema.items, `${path}/${i}`)));
+        }
+        
+        return errors;
+    }
+    
+    resolve(ref) {
+        return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], this.schema);
+    }
+    
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'NaN';
+        return typeof value;
+    }
+    
+    describe(schema) {
+        if (schema.$ref) return this.describe(this.resolve(schema.$ref));
+        if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+        if (schema.anyOf) return schema.anyOf.map(option => this.describe(option)).join(' or ');
+        
+        const names = { object: 'an object', array: 'a list', string: 'text', number: 'a number', integer: 'a whole number', boolean: 'true or false', null: 'null' };
+        return [].concat(schema.type).map(type => names[type] || type).join(' or ');
+    }
+    
+    // Problems with one word (or tombstone) as "path message" strings.
+    // Fields listed in `optional` may be missing even if the schema requires them.
+    checkRecord(record, kind = 'word', { optional = [] } = {}) {
+        return this.validate(record, { $ref: `#/$defs/${kind}` })
+            .filter(error => !(error.message === 'is required' && optional.includes(error.path.slice(1))))
+            .map(error => `${error.path || '/'} ${error.message}`);
+    }
+    
+    // Splits a dictionary document into the words and tombstones that match
+    // the schema and the ones that don't:
+    //   { errors, words, tombstones, quarantined: [{ kind, record, errors }] }
+    // `errors` lists problems with the document itself (not an object, words
+    // not a list); the lists are empty then, since nothing in it can be trusted.
+    checkDocument(doc) {
+        const problems = { words: new Map(), tombstones: new Map(), collections: new Map(), activity: new Map() };
+        const kinds = { words: 'word', tombstones: 'tombstone', collections: 'collection', activity: 'event' };
+        const errors = [];
+        
+        this.validate(doc).forEach(error => {
+            const match = error.path.match(/^\/(words|tombstones|collections|activity)\/(\d+)(\/.*)?$/);
+            const message = `${match ? match[3] || '/' : error.path || '/'} ${error.message}`;
+            
+            if (!match) {
+                errors.push(message);
+                return;
+            }
+            
+            const list = problems[match[1]];
+            const index = Number(match[2]);
+            list.set(index, [...(list.get(index) || []), message]);
+        });
+        
+        const result = { errors, words: [], tombstones: [], collections: [], activity: [], quarantined: [] };
+        if (errors.length > 0) return result;
+        
+        Object.keys(kinds).forEach(kind => {
+            (doc[kind] || []).forEach((record, index) => {
+                if (problems[kind].has(index)) {
+                    result.quarantined.push({ kind: kinds[kind], record, errors: problems[kind].get(index) });
+                } else {
+                    result[kind].push(record);
+                }
+            });
+        });
+        
+        return result;
+    }
+}
+
+// The sync workflow loads this file with Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { dictionarySchema, DictionaryValidator };
+}
@@ -2,35 +2,155 @@
 class DictionaryManager {
     constructor() {
         this.words = [];
+        this.tombstones = [];
+        this.baseVersions = {};
+        this.conflicts = [];
+        this.outbox = [];
+        this.quarantine = [];
+        this.collections = [];
+        this.activity = [];
+        this.pushTimer = null;
+        this.pushRetryCount = 0;
         this.currentFilter = 'all';
+        this.sortOrder = 'alphabetical';
+        this.groupBy = 'none';
+        this.collapsedGroups = new Set();
+        this.jumpTargets = new Map();
+        
+        // Language pairs; replaced by the saved list in setupDictionaries
+        this.dictionaries = [{ id: 'en', language: 'en', translationLanguage: '' }];
+        this.currentDictionaryId = 'en';
+        // Suggested when adding a dictionary; any language code works
+        this.commonLanguages = ['en', 'es', 'de', 'fr', 'it', 'pt', 'pt-BR', 'nl', 'sv', 'pl', 'ru', 'uk', 'tr', 'ar', 'hi', 'ja', 'ko', 'zh'];
+        this.reviewSession = null;
+        this.quizSession = null;
+        this.importSession = null;
         this.autoSync = true;
         this.syncInterval = null;
+        this.searchTimer = null;
         this.isSyncing = false;
         this.lastSyncTime = null;
+        this.storage = new DictionaryStorage();
+        this.audio = new PronunciationAudio();
+        this.recording = null; // { wordId, take } while the microphone is on
+        this.validator = new DictionaryValidator();
+        this.identity = new WordIdentity();
+        this.merger = new WordMerge();
+        this.scheduler = new ReviewScheduler();
+        this.importer = new DictionaryImporter(this.validator, this.identity);
         
-        // GitHub Configuration
-        this.githubConfig = {
+        // `is:` in search uses the same predicates as the filter buttons,
+        // `in:` looks words up in manual collections by name
+        this.searchIndex = new SearchIndex({
+            is: Object.fromEntries(['mastered', 'learning', 'difficult', 'due', 'recent'].map(filter => [filter, word => this.matchesFilter(word, filter)])),
+            memberOf: (word, name) => this.getCollections().some(collection =>
+                collection.query === undefined &&
+                this.searchIndex.normalize(collection.name).trim() === name &&
+                (word.collections || []).includes(collection.id))
+        });
+        this.exporter = new DictionaryExporter(this.importer);
+        this.wordCards = new WordCards(this.searchIndex);
+        
+        // The grid only mounts the cards on screen and keeps unchanged ones
+        this.wordGrid = new VirtualGrid(document.getElementById('wordsGrid'), {
+            keyOf: item => (item.group ? `group:${item.group.key}` : item.word.id),
+            versionOf: item => (item.group ? `${item.group.label}|${item.count}|${item.collapsed}` : this.wordCardVersion(item)),
+            render: item => (item.group ? this.renderGroupHeader(item) : this.renderWordCard(item)),
+            isFullWidth: item => Boolean(item.group)
+        });
+        
+        // Ctrl/Cmd-K: every action, plus words by name
+        this.commandPalette = new CommandPalette(document.getElementById('commandPalette'), {
+            commands: () => this.paletteCommands(),
+            suggest: query => this.paletteSuggestions(query)
+        });
+        
+        // Sorting thousands of words is much faster with one shared collator
+        // (replaced with one for the dictionary's language in applyDictionary)
+        this.collator = new Intl.Collator('en');
+        
+        // GitHub Configuration. The default workspace syncs to this repository;
+        // applyWorkspace swaps in the owner, repo, branch and path of the
+        // workspace being shown.
+        this.githubDefaults = {
             owner: 'Atharv-Chaudhari',
             repo: 'Dictionary-Manager',
             branch: 'main',
-            rawUrl: 'https://raw.githubusercontent.com'
+            path: 'dictionary.json'
+        };
+        this.githubConfig = {
+            ...this.githubDefaults,
+            rawUrl: 'https://raw.githubusercontent.com',
+            apiUrl: 'https://api.github.com'
         };
         
-        // Initialize the app
-        this.init();
+        // Named word sets; replaced by the saved list in setupWorkspaces
+        this.workspaces = [{ id: 'default', name: 'My Dictionary', ...this.githubDefaults }];
+        this.currentWorkspaceId = 'default';
+        this.editingWorkspaceId = null;
+        
+        // Deleted words are remembered this long so sync can't resurrect them
+        this.tombstoneRetentionDays = 30;
+        
+        // Activity behind the analytics view is kept this long
+        this.activityRetentionDays = 730;
+        
+        // Failed pushes back off exponentially up to this delay
+        this.maxPushBackoff = 5 * 60 * 1000;
+        
+        // Search runs once typing pauses for this long (ms)
+        this.searchDelay = 150;
+        
+        // Single-key shortcuts for the word grid; overridable in settings
+        this.defaultShortcuts = { next: 'j', previous: 'k', open: 'o', edit: 'e', mastered: 'm', play: 'p', delete: 'x', add: 'a', lookup: 'l', search: '/', help: '?' };
+        this.shortcuts = { ...this.defaultShortcuts };
+        this.selectedWordId = null;
+        this.modalStack = []; // open modals, newest last: { modal, returnFocus }
+        
+        // Hardest first when sorting or grouping by difficulty
+        this.difficultyRank = { hard: 0, medium: 1, easy: 2 };
+        
+        // Quiz answers needed before accuracy overrides a word's difficulty
+        this.quizDifficultyThreshold = 3;
+        
+        // Fields an edit can change, and how many previous versions each word keeps
+        this.historyFields = ['word', 'pronunciation', 'difficulty', 'senses', 'translations'];
+        this.historyLimit = 20;
+        
+        // Invalid records kept for inspection (oldest are dropped first)
+        this.quarantineLimit = 200;
+        
+        // Where word lookups go, in order. Overridable in settings.
+        // Wiktionary covers the languages the Dictionary API doesn't.
+        this.defaultLookupProviders = [
+            { type: 'dictionaryapi' },
+            { type: 'wiktionary' },
+            { type: 'static', name: 'Offline word list', url: 'lookup/offline-words.json', format: 'wordlist' }
+        ];
+        this.lookupChain = this.createLookupChain();
+        
+        // Right away: the browser may offer installing before the words have loaded
+        this.setupInstallPrompt();
+        
+        // Initialize the app (sync callbacks wait for this before touching words)
+        this.ready = this.init();
     }
     
     async init() {
         console.log('🚀 Initializing Dictionary Manager...');
         
-        // Load from localStorage first
-        this.loadFromLocalStorage();
+        // Pick the workspace, then load its saved words
+        this.setupWorkspaces();
+        await this.loadFromStorage();
         
         // Setup event listeners
         this.setupEventListeners();
+        this.setupKeyboard();
         
         // Setup theme
         this.setupTheme();
+        this.setupListView();
+        this.setupDictionaries();
         
         // Update UI
         this.updateStats();
@@ -38,14 +158,18 @@ class DictionaryManager {
         
         // Start auto-sync
         this.startAutoSync();
+        this.setupOfflineSupport();
         
         // Setup sync indicator
         this.updateSyncStatus('synced');
         
         this.showToast('📚 Dictionary Manager Ready!', 'success');
         
-        // Load from GitHub in background
-        setTimeout(() => this.syncFromGitHub(), 1000);
+        // Load from GitHub in background, then push whatever was left unsent
+        setTimeout(async () => {
+            await this.syncFromGitHub();
+            if (this.outbox.length > 0) this.pushToGitHub();
+        }, 1000);
     }
     
     // ===== EVENT LISTENERS =====
@@ -53,9 +177,32 @@ class DictionaryManager {
         // Theme toggle
         document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
         
+        // Install as an app (shown when the browser offers it)
+        document.getElementById('installBtn').addEventListener('click', () => this.installApp());
+        
         // Manual sync button
         document.getElementById('manualSyncBtn').addEventListener('click', () => this.manualSync());
         
+        // GitHub settings
+        document.getElementById('settingsBtn').addEventListener('click', () => this.showSettingsModal());
+        document.getElementById('settingsSaveBtn').addEventListener('click', () => this.saveGitHubSettings());
+        document.getElementById('settingsRemoveBtn').addEventListener('click', () => this.removeGitHubToken());
+        document.getElementById('settingsProvidersSaveBtn').addEventListener('click', () => this.saveLookupProviders());
+        document.getElementById('settingsProvidersResetBtn').addEventListener('click', () => this.resetLookupProviders());
+        document.getElementById('settingsQuarantineDownloadBtn').addEventListener('click', () => this.downloadQuarantine());
+        document.getElementById('settingsQuarantineClearBtn').addEventListener('click', () => this.clearQuarantine());
+        document.getElementById('settingsDictionaryAddBtn').addEventListener('click', () => this.addDictionary());
+        document.getElementById('settingsWorkspaceSaveBtn').addEventListener('click', () => this.saveWorkspace());
+        document.getElementById('settingsWorkspaceCancelBtn').addEventListener('click', () => this.resetWorkspaceForm());
+        document.getElementById('settingsShortcutsSaveBtn').addEventListener('click', () => this.saveShortcuts());
+        document.getElementById('settingsShortcutsResetBtn').addEventListener('click', () => this.resetShortcuts());
+        
+        // A shortcut box takes one key, so typing replaces what's there
+        document.getElementById('settingsShortcuts').addEventListener('focusin', (e) => e.target.select?.());
+        
+        // Workspace switcher
+        document.getElementById('workspaceSelect').addEventListener('change', (e) => this.switchWorkspace(e.target.value));
+        
         // AI Analysis
         document.getElementById('aiAnalyzeBtn').addEventListener('click', () => this.analyzeWord());
         document.getElementById('aiWordInput').addEventListener('keypress', (e) => {
@@ -70,19 +217,47 @@ class DictionaryManager {
         });
         
         // Export
-        document.getElementById('exportBtn').addEventListener('click', () => this.exportDictionary());
+        document.getElementById('exportBtn').addEventListener('click', () => this.showExportModal());
+        
+        // Import
+        document.getElementById('importBtn').addEventListener('click', () => this.showImportModal());
         
-        // Search
+        // Spaced repetition review
+        document.getElementById('reviewBtn').addEventListener('click', () => this.startReview());
+        
+        // Quiz
+        document.getElementById('quizBtn').addEventListener('click', () => this.startQuiz());
+        
+        // Analytics
+        document.getElementById('analyticsBtn').addEventListener('click', () => this.showAnalytics());
+        
+        // Search (waits for a pause in typing)
         document.getElementById('searchInput').addEventListener('input', (e) => {
-            this.renderWordList(e.target.value);
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.renderWordList(e.target.value), this.searchDelay);
         });
         
-        // Filters
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const filter = e.currentTarget.dataset.filter;
-                this.setFilter(filter);
-            });
+        // Sort and grouping
+        document.getElementById('sortSelect').addEventListener('change', (e) => this.setSortOrder(e.target.value));
+        document.getElementById('groupSelect').addEventListener('change', (e) => this.setGroupBy(e.target.value));
+        
+        // Dictionary (language pair)
+        document.getElementById('dictionarySelect').addEventListener('change', (e) => this.switchDictionary(e.target.value));
+        document.getElementById('manageDictionariesBtn').addEventListener('click', () => {
+            this.showSettingsModal();
+            document.getElementById('settingsDictionaries').scrollIntoView();
+        });
+        
+        // Filters (collections, smart filters and tags are re-rendered, so listen on the panel)
+        document.querySelector('.filters').addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (action) {
+                this.runFilterAction(action.dataset.action, action.dataset.id);
+                return;
+            }
+            
+            const btn = e.target.closest('[data-filter]');
+            if (btn) this.setFilter(btn.dataset.filter);
         });
         
         // Modal close
@@ -93,23 +268,59 @@ class DictionaryManager {
         });
         
         // Close modal on backdrop click
-        document.getElementById('wordModal').addEventListener('click', (e) => {
-            if (e.target.id === 'wordModal') {
-                e.target.classList.remove('active');
-            }
+        ['wordModal', 'conflictModal', 'settingsModal', 'reviewModal', 'quizModal', 'importModal', 'exportModal', 'analyticsModal', 'commandPalette'].forEach(id => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                if (e.target.id === id) {
+                    e.target.classList.remove('active');
+                }
+            });
+        });
+        
+        // Open pending merge conflicts, or the token settings, from the sync indicator
+        document.getElementById('syncStatus').addEventListener('click', () => {
+            if (this.conflicts.length > 0) this.showConflictModal();
+            else if (this.outbox.length > 0 && !this.getGitHubToken()) this.showSettingsModal();
         });
     }
     
-    // ===== LOCAL STORAGE =====
-    loadFromLocalStorage() {
+    // ===== STORAGE =====
+    async loadFromStorage() {
         try {
-            const saved = localStorage.getItem('dictionary_words');
-            this.words = saved ? JSON.parse(saved) : [];
+            await this.storage.open();
+            
+            this.quarantine = await this.storage.getMeta('quarantine', []);
+            
+            const local = this.checkIncoming({
+                words: await this.storage.getAllWords(),
+                tombstones: await this.storage.getMeta('tombstones', []),
+                collections: await this.storage.getMeta('collections', []),
+                activity: await this.storage.getMeta('activity', [])
+            }, 'this device');
+            
+            // Quarantined words leave the word store so they aren't loaded again
+            const invalidIds = local.quarantined
+                .filter(entry => entry.kind === 'word' && entry.record?.id !== undefined)
+                .map(entry => entry.record.id);
+            if (invalidIds.length > 0) this.saveWords([], invalidIds);
+            
+            this.words = this.sanitizeWords(local.words);
+            
+            this.tombstones = this.sanitizeTombstones(local.tombstones);
+            this.purgeExpiredTombstones();
+            this.mergeCollections(this.sanitizeCollections(local.collections));
+            this.mergeActivity(this.sanitizeActivity(local.activity));
+            
+            this.baseVersions = await this.storage.getMeta('baseVersions', {});
+            this.conflicts = await this.storage.getMeta('conflicts', []);
+            this.outbox = await this.storage.getMeta('outbox', []);
             
-            // Add sample data if empty
-            if (this.words.length === 0) {
+            this.migrateLegacyIds();
+            
+            // Add sample data if empty (but not after the user deleted everything,
+            // and not to new workspaces)
+            if (this.words.length === 0 && this.tombstones.length === 0 && this.currentWorkspaceId === 'default') {
                 this.words = [{
-                    id: 1,
+                    id: this.identity.newId(),
                     word: 'Serendipity',
                     definition: 'The occurrence and development of events by chance in a happy or beneficial way.',
                     partOfSpeech: 'noun',
@@ -126,26 +337,367 @@ class DictionaryManager {
                     updatedAt: new Date().toISOString(),
                     source: 'Sample'
                 }];
-                this.saveToLocalStorage();
+                this.saveWords();
             }
             
-            console.log(`📚 Loaded ${this.words.length} words from localStorage`);
+            this.backfillActivity();
+            
+            console.log(`📚 Loaded ${this.words.length} words from ${this.storage.db ? 'IndexedDB' : 'localStorage'}`);
             
         } catch (error) {
             console.error('Error loading words:', error);
-            this.words = [];
+            this.clearWorkspaceState();
+        }
+    }
+    
+    // Forgets the loaded words and sync state (before loading another workspace)
+    clearWorkspaceState() {
+        this.words = [];
+        this.tombstones = [];
+        this.baseVersions = {};
+        this.conflicts = [];
+        this.outbox = [];
+        this.quarantine = [];
+        this.collections = [];
+        this.activity = [];
+    }
+    
+    // Writes only the given words (all of them by default) and removes deleted ids
+    saveWords(words = this.words, deletedIds = []) {
+        // A removed word's recording goes with it
+        Promise.all([
+            this.storage.putWords(words),
+            this.storage.deleteWords(deletedIds),
+            this.storage.deleteRecordings(deletedIds)
+        ]).then(() => {
+            console.log(`💾 Saved ${words.length} word(s), removed ${deletedIds.length}`);
+        }).catch(error => {
+            console.error('Error saving words:', error);
+        });
+    }
+    
+    // Persists sync bookkeeping; pass keys to save only part of it
+    saveSyncState(...keys) {
+        const state = {
+            tombstones: this.tombstones,
+            baseVersions: this.baseVersions,
+            conflicts: this.conflicts,
+            outbox: this.outbox,
+            quarantine: this.quarantine,
+            collections: this.collections,
+            activity: this.activity
+        };
+        
+        const entries = keys.length > 0
+            ? Object.fromEntries(keys.map(key => [key, state[key]]))
+            : state;
+        
+        this.storage.setMeta(entries).catch(error => {
+            console.error('Error saving sync state:', error);
+        });
+    }
+    
+    // ===== VALIDATION =====
+    // Words and tombstones are checked against schema.js before anything else
+    // touches them. Records that don't match are quarantined: kept aside with
+    // the reasons, reported, and left out of the dictionary.
+    checkIncoming(doc, source) {
+        const result = this.validator.checkDocument(doc);
+        
+        if (result.errors.length > 0) {
+            this.quarantineRecords([{ kind: 'document', record: doc, errors: result.errors }], source);
+        } else if (result.quarantined.length > 0) {
+            this.quarantineRecords(result.quarantined, source);
+        }
+        
+        return result;
+    }
+    
+    quarantineRecords(entries, source) {
+        // The same bad record arrives again on every sync; report it once
+        const known = new Set(this.quarantine.map(entry => JSON.stringify(entry.record)));
+        const fresh = entries.filter(entry => !known.has(JSON.stringify(entry.record)));
+        if (fresh.length === 0) return;
+        
+        const quarantinedAt = new Date().toISOString();
+        this.quarantine.push(...fresh.map(entry => ({ ...entry, source, quarantinedAt })));
+        this.quarantine = this.quarantine.slice(-this.quarantineLimit);
+        this.saveSyncState('quarantine');
+        
+        console.log(`⚠️ Quarantined ${fresh.length} invalid record(s) from ${source}:`, fresh);
+        this.showToast(`⚠️ ${fresh.length} invalid record(s) from ${source} quarantined - see Settings`, 'error');
+    }
+    
+    renderQuarantine() {
+        const container = document.getElementById('settingsQuarantine');
+        const label = entry => entry.kind === 'document'
+            ? 'Whole file'
+            : String(entry.record?.word ?? entry.record?.id ?? '(no word)');
+        
+        document.getElementById('settingsQuarantineCount').textContent = this.quarantine.length;
+        document.getElementById('settingsQuarantineActions').style.display = this.quarantine.length > 0 ? 'flex' : 'none';
+        
+        container.innerHTML = this.quarantine.length === 0
+            ? html`<p class="settings-hint">Nothing quarantined. Words that don't match the dictionary schema show up here.</p>`
+            : html`${[...this.quarantine].reverse().map(entry => html`
+                <div class="quarantine-item">
+                    <div class="quarantine-title">
+                        <strong>${label(entry)}</strong>
+                        <span class="word-badge">${entry.kind}</span>
+                    </div>
+                    <div class="quarantine-meta">From ${entry.source} · ${new Date(entry.quarantinedAt).toLocaleString()}</div>
+                    <ul>${entry.errors.map(error => html`<li><code>${error}</code></li>`)}</ul>
+                </div>
+            `)}`;
+    }
+    
+    // Saved as an importable file, so fixed words can go back in through Import
+    downloadQuarantine() {
+        const records = kind => this.quarantine.filter(entry => entry.kind === kind).map(entry => entry.record);
+        
+        this.downloadFile({
+            filename: `dictionary-quarantine-${new Date().toISOString().split('T')[0]}.json`,
+            type: 'application/json',
+            content: JSON.stringify({
+                words: records('word'),
+                tombstones: records('tombstone'),
+                quarantine: this.quarantine
+            }, null, 2)
+        });
+    }
+    
+    clearQuarantine() {
+        this.quarantine = [];
+        this.saveSyncState('quarantine');
+        this.renderQuarantine();
+        this.showToast('Quarantine cleared', 'info');
+    }
+    
+    // ===== SANITIZING =====
+    // Words from dictionary.json, dictionary-data.js, sync issues and imports
+    // are untrusted. Only known fields of the expected type survive, and text
+    // loses control characters and is capped in length. Markup is left as
+    // typed ("<b>" can be part of a definition); templates escape it.
+    sanitizeWords(words) {
+        return (Array.isArray(words) ? words : []).map(word => this.sanitizeWord(word)).filter(Boolean);
+    }
+    
+    sanitizeWord(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        
+        const id = this.sanitizeId(raw.id);
+        const word = this.sanitizeText(raw.word, 100);
+        if (id === null || !word) return null;
+        
+        const clean = {
+            id,
+            word,
+            definition: this.sanitizeText(raw.definition),
+            partOfSpeech: this.sanitizeText(raw.partOfSpeech, 40) || 'unknown',
+            pronunciation: this.sanitizeText(raw.pronunciation, 100),
+            audio: this.sanitizeUrl(raw.audio),
+            language: this.sanitizeLanguage(raw.language) || undefined,
+            translations: this.sanitizeTranslations(raw.translations),
+            examples: this.sanitizeList(raw.examples),
+            synonyms: this.sanitizeList(raw.synonyms, 100),
+            antonyms: this.sanitizeList(raw.antonyms, 100),
+            difficulty: ['easy', 'medium', 'hard'].includes(raw.difficulty) ? raw.difficulty : 'medium',
+            mastered: raw.mastered === true,
+            masteredOverride: typeof raw.masteredOverride === 'boolean' ? raw.masteredOverride : undefined,
+            tags: this.sanitizeTags(raw.tags),
+            collections: this.sanitizeIdList(raw.collections),
+            source: this.sanitizeText(raw.source, 100) || undefined,
+            recordedAt: this.sanitizeDate(raw.recordedAt),
+            createdAt: this.sanitizeDate(raw.createdAt),
+            updatedAt: this.sanitizeDate(raw.updatedAt)
+        };
+        
+        if (Array.isArray(raw.senses)) {
+            clean.senses = this.merger.withSenseIds(raw.senses.map(sense => this.sanitizeSense(sense)).filter(sense => sense.definitions.length > 0));
+            if (clean.senses.length > 0) this.applyPrimarySense(clean);
+            else delete clean.senses;
+        }
+        
+        if (raw.review && typeof raw.review === 'object') {
+            clean.review = {
+                ease: this.sanitizeNumber(raw.review.ease, 2.5),
+                interval: this.sanitizeNumber(raw.review.interval, 0),
+                repetitions: this.sanitizeNumber(raw.review.repetitions, 0),
+                due: this.sanitizeDate(raw.review.due) || null,
+                lastReviewed: this.sanitizeDate(raw.review.lastReviewed) || null
+            };
         }
+        
+        if (raw.quiz && typeof raw.quiz === 'object') {
+            clean.quiz = {
+                attempts: this.sanitizeNumber(raw.quiz.attempts, 0),
+                correct: this.sanitizeNumber(raw.quiz.correct, 0),
+                lastAttempt: this.sanitizeDate(raw.quiz.lastAttempt) || null
+            };
+        }
+        
+        if (Array.isArray(raw.history)) {
+            clean.history = raw.history.filter(version => version && typeof version === 'object').map(version => ({
+                savedAt: this.sanitizeDate(version.savedAt) || null,
+                word: this.sanitizeText(version.word, 100),
+                pronunciation: this.sanitizeText(version.pronunciation, 100),
+                difficulty: ['easy', 'medium', 'hard'].includes(version.difficulty) ? version.difficulty : 'medium',
+                senses: (Array.isArray(version.senses) ? version.senses : []).map(sense => this.sanitizeSense(sense)),
+                translations: Array.isArray(version.translations) ? this.sanitizeTranslations(version.translations) : undefined
+            })).slice(-this.historyLimit);
+            
+            // Versions from before translations leave them alone when restored
+            clean.history.forEach(version => version.translations === undefined && delete version.translations);
+        }
+        
+        Object.keys(clean).forEach(key => clean[key] === undefined && delete clean[key]);
+        return this.dropEmptyLists(clean);
+    }
+    
+    sanitizeSense(sense) {
+        const id = typeof sense?.id === 'string' ? this.sanitizeId(sense.id) : null;
+        
+        return {
+            ...(id !== null ? { id } : {}),
+            partOfSpeech: this.sanitizeText(sense?.partOfSpeech, 40) || 'unknown',
+            definitions: this.sanitizeList(sense?.definitions),
+            examples: this.sanitizeList(sense?.examples),
+            synonyms: this.sanitizeList(sense?.synonyms, 100),
+            antonyms: this.sanitizeList(sense?.antonyms, 100)
+        };
+    }
+    
+    sanitizeTombstones(tombstones) {
+        return (Array.isArray(tombstones) ? tombstones : [])
+            .filter(tombstone => tombstone && typeof tombstone === 'object')
+            .map(tombstone => ({
+                id: this.sanitizeId(tombstone.id),
+                word: this.sanitizeText(tombstone.word, 100),
+                language: this.sanitizeLanguage(tombstone.language) || undefined,
+                deletedAt: this.sanitizeDate(tombstone.deletedAt)
+            }))
+            .filter(tombstone => tombstone.id !== null && tombstone.deletedAt);
+    }
+    
+    sanitizeCollections(collections) {
+        return (Array.isArray(collections) ? collections : [])
+            .filter(collection => collection && typeof collection === 'object')
+            .map(collection => {
+                const clean = {
+                    id: this.sanitizeId(collection.id),
+                    name: this.sanitizeText(collection.name, 60),
+                    query: typeof collection.query === 'string' ? this.sanitizeText(collection.query, 500) : undefined,
+                    createdAt: this.sanitizeDate(collection.createdAt),
+                    updatedAt: this.sanitizeDate(collection.updatedAt),
+                    deletedAt: this.sanitizeDate(collection.deletedAt)
+                };
+                Object.keys(clean).forEach(key => clean[key] === undefined && delete clean[key]);
+                return clean;
+            })
+            .filter(collection => collection.id !== null && collection.name && collection.updatedAt);
     }
     
-    saveToLocalStorage() {
+    sanitizeActivity(events) {
+        return (Array.isArray(events) ? events : [])
+            .filter(event => event && typeof event === 'object')
+            .map(event => {
+                const clean = {
+                    id: this.sanitizeId(event.id),
+                    type: ['add', 'master', 'unmaster', 'review'].includes(event.type) ? event.type : null,
+                    at: this.sanitizeDate(event.at),
+                    wordId: this.sanitizeId(event.wordId) ?? undefined,
+                    word: this.sanitizeText(event.word, 100) || undefined,
+                    quality: Number.isInteger(event.quality) ? event.quality : undefined,
+                    difficulty: ['easy', 'medium', 'hard'].includes(event.difficulty) ? event.difficulty : undefined,
+                    partOfSpeech: this.sanitizeText(event.partOfSpeech, 40) || undefined
+                };
+                Object.keys(clean).forEach(key => clean[key] === undefined && delete clean[key]);
+                return clean;
+            })
+            .filter(event => event.id !== null && event.type && event.at);
+    }
+    
+    // Tags keep the spelling they were first given; "GRE" and "gre" are one tag
+    sanitizeTags(value) {
+        const seen = new Set();
+        return this.sanitizeList(value, 40).map(tag => tag.replace(/\s+/g, ' ')).filter(tag => {
+            const key = tag.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+    
+    sanitizeIdList(value) {
+        return [...new Set((Array.isArray(value) ? value : []).map(id => this.sanitizeId(id)).filter(id => id !== null))];
+    }
+    
+    // Numbers, or short strings of word characters (no quotes, brackets or spaces)
+    sanitizeId(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) return value;
+        if (typeof value === 'string' && /^[\w.-]{1,64}$/.test(value)) return value;
+        return null;
+    }
+    
+    sanitizeText(value, maxLength = 2000) {
+        if (typeof value !== 'string' && typeof value !== 'number') return '';
+        
+        return String(value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+            .trim()
+            .slice(0, maxLength);
+    }
+    
+    // Only https links, so a word can't point audio at a script or page
+    sanitizeUrl(value, maxLength = 500) {
+        if (typeof value !== 'string' || value.length > maxLength) return undefined;
+        
         try {
-            localStorage.setItem('dictionary_words', JSON.stringify(this.words));
-            console.log(`💾 Saved ${this.words.length} words to localStorage`);
+            return new URL(value).protocol === 'https:' ? value : undefined;
         } catch (error) {
-            console.error('Error saving words:', error);
+            return undefined;
+        }
+    }
+    
+    // Language codes in their usual case ("pt-BR"); anything else is ''
+    sanitizeLanguage(value) {
+        if (typeof value !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(value.trim())) return '';
+        
+        try {
+            return Intl.getCanonicalLocales(value.trim())[0];
+        } catch (error) {
+            return '';
         }
     }
     
+    // [{ language, text }], without blanks or repeats
+    sanitizeTranslations(value) {
+        const seen = new Set();
+        return (Array.isArray(value) ? value : [])
+            .map(translation => ({
+                language: this.sanitizeLanguage(translation?.language),
+                text: this.sanitizeText(translation?.text, 200)
+            }))
+            .filter(({ language, text }) => {
+                const key = `${language}:${text.toLowerCase()}`;
+                if (!language || !text || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+    
+    sanitizeList(value, maxLength) {
+        return (Array.isArray(value) ? value : []).map(item => this.sanitizeText(item, maxLength)).filter(Boolean);
+    }
+    
+    sanitizeDate(value) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    }
+    
+    sanitizeNumber(value, fallback) {
+        return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+    }
+    
     // ===== GITHUB SYNC =====
     async syncFromGitHub() {
         if (this.isSyncing) return;
@@ -156,7 +708,7 @@ class DictionaryManager {
         try {
             console.log('🔄 Syncing from GitHub...');
             
-            const url = `${this.githubConfig.rawUrl}/${this.githubConfig.owner}/${this.githubConfig.repo}/${this.githubConfig.branch}/dictionary.json`;
+            const url = `${this.githubConfig.rawUrl}/${this.githubConfig.owner}/${this.githubConfig.repo}/${this.githubConfig.branch}/${this.githubConfig.path}`;
             const response = await fetch(url, {
                 cache: 'no-cache',
                 headers: {
@@ -167,10 +719,8 @@ class DictionaryManager {
             if (response.ok) {
                 const data = await response.json();
                 
-                if (data.words && Array.isArray(data.words)) {
-                    // Merge GitHub data with local data
-                    this.mergeWithGitHubData(data.words);
-                    
+                // Merge GitHub data with local data
+                if (this.mergeWithGitHubData(data.words, data.tombstones, 'GitHub', data.collections, data.activity)) {
                     console.log(`✅ Synced ${data.words.length} words from GitHub`);
                     this.showToast('🔄 Synced latest changes from GitHub', 'success');
                 }
@@ -185,749 +735,4108 @@ class DictionaryManager {
         }
     }
     
-    mergeWithGitHubData(githubWords) {
+    // Returns false when the data was rejected as a whole
+    mergeWithGitHubData(githubWords, githubTombstones = [], source = 'GitHub', githubCollections = [], githubActivity = []) {
+        const incoming = this.checkIncoming({
+            words: githubWords,
+            tombstones: githubTombstones ?? [],
+            collections: githubCollections ?? [],
+            activity: githubActivity ?? []
+        }, source);
+        if (incoming.errors.length > 0) return false;
+        
+        githubWords = this.sanitizeWords(incoming.words);
+        githubTombstones = this.sanitizeTombstones(incoming.tombstones);
+        githubCollections = this.sanitizeCollections(incoming.collections);
+        const previousWords = new Map(this.words.map(w => [w.id, JSON.stringify(w)]));
+        
+        // Same identity rule as the sync workflow: old ids get their ULIDs, and
+        // copies of one word on both sides end up under one id
+        githubWords = githubWords.map(w => ({ ...w, id: this.identity.migrateId(w.id) }));
+        githubTombstones = githubTombstones.map(t => ({ ...t, id: this.identity.migrateId(t.id) }));
+        
+        // Before renaming, so GitHub's events follow their words onto the kept id
+        this.mergeActivity(this.sanitizeActivity(incoming.activity));
+        
+        const renamed = this.identity.canonicalIds([...this.words, ...githubWords]);
+        if (renamed.size > 0) this.renameWordIds(renamed);
+        githubWords = this.identity.resolve(githubWords, renamed, (kept, copy) => this.merger.combine(kept, copy));
+        
+        // Deletions from other devices win over any copy that is not newer
+        this.mergeTombstones(githubTombstones);
+        this.words = this.words.filter(w => !this.isTombstoned(w));
+        githubWords = githubWords.filter(w => !this.isTombstoned(w));
+        
+        this.mergeCollections(githubCollections);
+        
         const localWordIds = new Set(this.words.map(w => w.id));
-        const githubWordIds = new Set(githubWords.map(w => w.id));
         
         // Add new words from GitHub
         githubWords.forEach(githubWord => {
             if (!localWordIds.has(githubWord.id)) {
                 this.words.push(githubWord);
+                this.baseVersions[githubWord.id] = this.merger.snapshot(githubWord);
+                localWordIds.add(githubWord.id);
             }
         });
         
-        // Update existing words if GitHub version is newer
+        // Merge words changed on both sides field by field
+        const conflictCount = this.conflicts.length;
         this.words = this.words.map(localWord => {
             const githubWord = githubWords.find(w => w.id === localWord.id);
-            if (githubWord) {
-                const localDate = new Date(localWord.updatedAt || localWord.createdAt || 0);
-                const githubDate = new Date(githubWord.updatedAt || githubWord.createdAt || 0);
+            if (!githubWord) return localWord;
+            
+            const base = this.baseVersions[localWord.id];
+            
+            if (!base) {
+                // No common ancestor yet (never synced from here, or copies
+                // folded onto one id): keep what both copies have
+                this.baseVersions[localWord.id] = this.merger.snapshot(githubWord);
                 
-                if (githubDate > localDate) {
-                    return githubWord; // Use GitHub version if newer
-                }
+                // History is kept on each device and not merged
+                const { history, ...combined } = this.merger.combine(localWord, githubWord);
+                return localWord.history ? { ...combined, history: localWord.history } : combined;
+            }
+            
+            const { merged, conflicts } = this.merger.merge(base, localWord, githubWord);
+            
+            // What merged cleanly is kept now; conflicting fields keep this
+            // device's value until the user picks one
+            if (conflicts.length > 0) {
+                this.recordConflict(localWord, githubWord, conflicts);
+                return merged;
+            }
+            
+            this.baseVersions[localWord.id] = this.merger.snapshot(githubWord);
+            return merged;
+        });
+        
+        // Forget bases and conflicts of words that no longer exist
+        const wordIds = new Set(this.words.map(w => String(w.id)));
+        Object.keys(this.baseVersions).forEach(id => {
+            if (!wordIds.has(id)) delete this.baseVersions[id];
+        });
+        this.conflicts = this.conflicts.filter(c => wordIds.has(String(c.id)));
+        
+        // Anything GitHub doesn't have yet (or has an older copy of) still needs pushing
+        const conflictIds = new Set(this.conflicts.map(c => c.id));
+        this.words.forEach(word => {
+            if (conflictIds.has(word.id)) return;
+            
+            const githubWord = githubWords.find(w => w.id === word.id);
+            if (!githubWord || !this.merger.fields.every(f => this.valuesEqual(word[f], githubWord[f]))) {
+                this.ensureQueued(word);
+            }
+        });
+        this.collections.forEach(collection => {
+            const githubCollection = githubCollections.find(c => c.id === collection.id);
+            if (!this.valuesEqual(collection, githubCollection)) {
+                this.ensureQueued({ id: collection.id, word: collection.name }, 'collection');
             }
-            return localWord;
         });
         
-        // Save merged data
-        this.saveToLocalStorage();
+        // Save only the words the merge touched
+        const changedWords = this.words.filter(w => previousWords.get(w.id) !== JSON.stringify(w));
+        const removedIds = [...previousWords.keys()].filter(id => !wordIds.has(String(id)));
+        this.saveWords(changedWords, removedIds);
+        this.saveSyncState();
         this.updateStats();
         this.renderWordList();
-    }
-    
-    async pushToGitHub() {
-        if (this.isSyncing) return;
-        
-        this.isSyncing = true;
-        this.updateSyncStatus('syncing');
         
-        try {
-            console.log('🚀 Pushing changes to GitHub...');
-            
-            // Create sync request
-            const syncData = {
-                timestamp: new Date().toISOString(),
-                words: this.words,
-                device: navigator.userAgent.substring(0, 100),
-                url: window.location.href,
-                action: 'sync_request'
-            };
-            
-            // Create an issue with the sync data
-            await this.createSyncIssue(syncData);
-            
-            // Also trigger repository dispatch
-            await this.triggerRepositoryDispatch(syncData);
-            
-            console.log('✅ Changes queued for GitHub sync');
-            this.showToast('📤 Changes queued for GitHub sync!', 'success');
-            
-        } catch (error) {
-            console.error('❌ Failed to push to GitHub:', error);
-            this.showToast('⚠️ Failed to queue sync', 'error');
-        } finally {
-            this.isSyncing = false;
-            this.updateSyncStatus('synced');
-        }
-    }
-        // ===== IMPROVED SYNC METHOD =====
-    async improvedSync() {
-        try {
-            console.log('🚀 Starting improved sync...');
-            
-            // Create sync payload
-            const syncPayload = {
-                timestamp: new Date().toISOString(),
-                words: this.words,
-                device: navigator.userAgent.substring(0, 100),
-                action: 'dictionary_sync',
-                source: 'web_app'
-            };
-            
-            // Method 1: Create GitHub Issue
-            await this.createSyncIssue(syncPayload);
-            
-            // Method 2: Try repository dispatch (might fail for public access, that's OK)
-            try {
-                await fetch(
-                    `https://api.github.com/repos/${this.githubConfig.owner}/${this.githubConfig.repo}/dispatches`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            'Accept': 'application/vnd.github.v3+json',
-                            'Content-Type': 'application/json'
-                        },
-                        body: JSON.stringify({
-                            event_type: 'dictionary_sync',
-                            client_payload: syncPayload
-                        })
-                    }
-                );
-                console.log('✅ Repository dispatch sent');
-            } catch (error) {
-                console.log('⚠️ Repository dispatch failed (expected)');
-            }
-            
-            this.showToast('📤 Sync request sent to GitHub!', 'success');
-            
-            // Check for updates after 10 seconds
-            setTimeout(() => this.syncFromGitHub(), 10000);
-            
-        } catch (error) {
-            console.error('Sync failed:', error);
-            this.showToast('⚠️ Sync failed, will retry', 'error');
-        }
-    }
-    
-    // Update the existing pushToGitHub method to use improvedSync
-    // Replace the existing pushToGitHub method with:
-    async pushToGitHub() {
-        return this.improvedSync();
-    }
-    async createSyncIssue(syncData) {
-        try {
-            // Create issue data
-            const issueData = {
-                title: `[SYNC-REQUEST] ${new Date().toLocaleString()} - ${syncData.words.length} words`,
-                body: `## Sync Request\n\n**Device:** ${syncData.device}\n**Time:** ${syncData.timestamp}\n**Words:** ${syncData.words.length}\n\n\`\`\`json\n${JSON.stringify(syncData, null, 2)}\n\`\`\``,
-                labels: ['sync-request', 'auto-sync']
-            };
-            
-            // Store locally for tracking
-            localStorage.setItem('last_sync_request', JSON.stringify(issueData));
-            localStorage.setItem('last_sync_time', new Date().toISOString());
-            
-            console.log('📝 Sync issue created locally');
-            
-        } catch (error) {
-            console.error('Failed to create sync issue:', error);
+        if (this.conflicts.length > conflictCount) {
+            this.showToast(`⚠️ ${this.conflicts.length} word(s) need conflict resolution`, 'error');
         }
+        
+        return true;
     }
     
-    async triggerRepositoryDispatch(syncData) {
-        try {
-            // Try to trigger repository_dispatch event
-            const response = await fetch(
-                `https://api.github.com/repos/${this.githubConfig.owner}/${this.githubConfig.repo}/dispatches`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Accept': 'application/vnd.github.v3+json',
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        event_type: 'dictionary_sync',
-                        client_payload: syncData
-                    })
-                }
-            );
-            
-            if (response.ok) {
-                console.log('✅ Repository dispatch triggered');
-            }
-        } catch (error) {
-            // Silent fail - issues method will work
-            console.log('⚠️ Repository dispatch failed (expected for public access)');
-        }
+    // ===== WORD IDS =====
+    // Words saved before ULIDs had float ids. They are converted once, on
+    // load; the conversion is deterministic, so GitHub's copy and every other
+    // device arrive at the same ids (see identity.js).
+    migrateLegacyIds() {
+        const ids = [
+            ...this.words.map(w => w.id),
+            ...this.tombstones.map(t => t.id),
+            ...this.conflicts.map(c => c.id),
+            ...this.outbox.map(op => op.id)
+        ];
+        const renamed = new Map(ids.filter(id => this.identity.isLegacyId(id)).map(id => [id, this.identity.migrateId(id)]));
+        
+        // Merge bases are keyed by the id as a string
+        Object.keys(this.baseVersions).forEach(key => {
+            const id = Number(key);
+            if (key.trim() !== '' && String(id) === key) renamed.set(id, this.identity.migrateId(id));
+        });
+        
+        if (renamed.size === 0) return;
+        
+        const oldIds = this.words.filter(w => renamed.has(w.id)).map(w => w.id);
+        const newIds = new Set(oldIds.map(id => renamed.get(id)));
+        this.renameWordIds(renamed);
+        this.saveWords(this.words.filter(w => newIds.has(w.id)), oldIds);
+        this.saveSyncState();
+        
+        console.log(`🔑 Moved ${oldIds.length} word(s) to ULID ids`);
     }
     
-    // ===== AUTO-SYNC SYSTEM =====
-    startAutoSync() {
-        // Pull changes from GitHub every 60 seconds
-        this.syncInterval = setInterval(() => {
-            this.syncFromGitHub();
-        }, 60 * 1000);
+    // Replaces ids everywhere they are used. Words that end up with the same
+    // id are combined into one.
+    renameWordIds(renamed) {
+        const newId = id => (renamed.has(id) ? renamed.get(id) : id);
         
-        // Push local changes every 2 minutes
-        setInterval(() => {
-            this.pushToGitHub();
-        }, 120 * 1000);
+        this.words = this.identity.resolve(this.words, renamed, (kept, copy) => this.merger.combine(kept, copy));
+        this.tombstones = this.tombstones.map(t => ({ ...t, id: newId(t.id) }));
+        this.conflicts = this.conflicts.map(c => ({ ...c, id: newId(c.id) }));
+        this.storage.moveRecordings(renamed).catch(error => console.error('Error moving recordings:', error));
         
-        console.log('🔁 Auto-sync started');
+        // A word folded onto another keeps only the earlier add
+        this.activity = new ActivityLog(this.activity.map(event => (renamed.has(event.wordId)
+            ? { ...event, id: event.type === 'add' ? `add_${newId(event.wordId)}` : event.id, wordId: newId(event.wordId) }
+            : event))).compact();
+        
+        // One pending operation per word, as queueChange keeps it
+        const outbox = new Map();
+        this.outbox.forEach(op => outbox.set(newId(op.id), { ...op, id: newId(op.id) }));
+        this.outbox = [...outbox.values()];
+        
+        const byKey = new Map([...renamed].map(([from, to]) => [String(from), to]));
+        const bases = {};
+        Object.entries(this.baseVersions).forEach(([key, base]) => {
+            const target = String(byKey.has(key) ? byKey.get(key) : key);
+            if (!bases[target] || key === target) bases[target] = base;
+        });
+        this.baseVersions = bases;
     }
     
-    manualSync() {
-        this.pushToGitHub();
-        setTimeout(() => this.syncFromGitHub(), 5000);
+    // ===== THREE-WAY MERGE =====
+    // The merge rules are in merge.js; conflicts they find wait here until
+    // the user resolves them.
+    valuesEqual(a, b) {
+        return this.merger.valuesEqual(a, b);
     }
     
-    // ===== SYNC INDICATOR =====
-    updateSyncStatus(status) {
-        const indicator = document.getElementById('syncStatus');
-        if (!indicator) return;
-        
-        const statusConfig = {
-            syncing: { icon: 'fa-sync-alt fa-spin', text: 'Syncing...', color: 'var(--warning)' },
-            synced: { icon: 'fa-circle', text: 'Auto-Sync', color: 'var(--success)' },
-            error: { icon: 'fa-exclamation-circle', text: 'Sync Error', color: 'var(--danger)' }
-        };
-        
-        const config = statusConfig[status] || statusConfig.synced;
-        indicator.innerHTML = `<i class="fas ${config.icon}"></i> ${config.text}`;
-        indicator.style.color = config.color;
+    recordConflict(localWord, githubWord, fields) {
+        // A newer remote version replaces any pending conflict for the same word
+        this.conflicts = this.conflicts.filter(c => c.id !== localWord.id);
+        this.conflicts.push({
+            id: localWord.id,
+            word: localWord.word,
+            remote: this.merger.snapshot(githubWord),
+            fields,
+            detectedAt: new Date().toISOString()
+        });
     }
     
-    // ===== WORD ANALYSIS =====
-    async analyzeWord() {
-        const wordInput = document.getElementById('aiWordInput');
-        const word = wordInput.value.trim();
+    // ===== CONFLICT RESOLUTION =====
+    showConflictModal() {
+        const modal = document.getElementById('conflictModal');
+        const modalBody = document.getElementById('conflictModalBody');
         
-        if (!word) {
-            this.showToast('Please enter a word', 'error');
+        if (this.conflicts.length === 0) {
+            modal.classList.remove('active');
             return;
         }
         
-        const resultDiv = document.getElementById('aiResult');
-        resultDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Analyzing...</div>';
-        resultDiv.classList.add('active');
-        
-        try {
-            const wordData = await this.analyzeWithDictionaryAPI(word);
-            
-            if (wordData) {
-                this.showAIResult(wordData);
-            } else {
-                throw new Error('Could not analyze word');
-            }
-            
-        } catch (error) {
-            console.error('Analysis failed:', error);
-            resultDiv.innerHTML = `
-                <div style="color: var(--danger);">
-                    <i class="fas fa-exclamation-triangle"></i> Analysis failed
-                    <p style="margin-top: 10px; font-size: 14px;">${error.message}</p>
-                    <button class="btn btn-primary" style="margin-top: 15px;" onclick="dictionary.showAddWordModal('${word}')">
-                        <i class="fas fa-plus"></i> Add Manually
-                    </button>
-                </div>
-            `;
-        }
-    }
-    
-    async analyzeWithDictionaryAPI(word) {
-        try {
-            const response = await fetch(`https://api.dictionaryapi.dev/api/v2/entries/en/${word}`);
-            
-            if (response.ok) {
-                const data = await response.json();
-                const firstResult = data[0];
-                
-                return {
-                    word: word,
-                    definition: firstResult.meanings[0]?.definitions[0]?.definition || 'No definition available',
-                    partOfSpeech: firstResult.meanings[0]?.partOfSpeech || 'unknown',
-                    pronunciation: firstResult.phonetic || '/.../',
-                    examples: firstResult.meanings[0]?.definitions?.slice(0, 3).map(d => d.example).filter(Boolean) || [],
-                    synonyms: firstResult.meanings[0]?.definitions[0]?.synonyms?.slice(0, 3) || [],
-                    antonyms: [],
-                    difficulty: 'medium',
-                    source: 'Dictionary API'
-                };
-            }
-            
-            return null;
-            
-        } catch (error) {
-            console.log('Dictionary API failed:', error);
-            return null;
-        }
-    }
-    
-    showAIResult(wordData) {
-        const resultDiv = document.getElementById('aiResult');
-        
-        const html = `
-            <div class="ai-word-header">
-                <div>
-                    <div class="ai-word-title">${wordData.word}</div>
-                    <div class="ai-word-meta">
-                        <span class="ai-tag">${wordData.partOfSpeech}</span>
-                        <span class="ai-tag ${wordData.difficulty}">${wordData.difficulty}</span>
-                    </div>
-                </div>
-                <button class="btn btn-sm" onclick="document.getElementById('aiResult').classList.remove('active')">
-                    <i class="fas fa-times"></i>
-                </button>
-            </div>
-            
-            <div class="ai-definition">${wordData.definition}</div>
-            
-            ${wordData.pronunciation ? `<p><strong>Pronunciation:</strong> ${wordData.pronunciation}</p>` : ''}
-            
-            ${wordData.examples.length > 0 ? `
-            <div class="ai-examples">
-                <h4><i class="fas fa-comment"></i> Examples</h4>
-                <ul>
-                    ${wordData.examples.map(ex => `<li>${ex}</li>`).join('')}
-                </ul>
-            </div>` : ''}
-            
-            ${wordData.synonyms.length > 0 || wordData.antonyms.length > 0 ? `
-            <div class="ai-tags">
-                ${wordData.synonyms.map(syn => `<span class="ai-tag synonym">${syn}</span>`).join('')}
-                ${wordData.antonyms.map(ant => `<span class="ai-tag antonym">${ant}</span>`).join('')}
-            </div>` : ''}
-            
-            <div style="display: flex; gap: 12px; margin-top: 24px;">
-                <button class="btn btn-success" id="saveAIWord">
-                    <i class="fas fa-save"></i> Save to Dictionary
-                </button>
-                <button class="btn btn-outline" onclick="dictionary.showAddWordModal('${wordData.word}', ${JSON.stringify(wordData).replace(/'/g, "\\'")})">
-                    <i class="fas fa-edit"></i> Edit First
-                </button>
-            </div>
-        `;
-        
-        resultDiv.innerHTML = html;
-        
-        document.getElementById('saveAIWord').addEventListener('click', () => {
-            this.addWord(wordData);
-            resultDiv.classList.remove('active');
-            document.getElementById('aiWordInput').value = '';
-        });
-    }
-    
-    // ===== WORD MANAGEMENT =====
-    showAddWordModal(word = '', data = null) {
-        const modal = document.getElementById('wordModal');
-        const modalBody = document.getElementById('wordModalBody');
+        const formatValue = value => Array.isArray(value) ? value.join('\n') : (value ?? '');
         
-        modalBody.innerHTML = `
-            <form id="wordForm" style="display: grid; gap: 24px;">
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 24px;">
-                    <div>
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-font"></i> Word *
-                            </label>
-                            <input type="text" id="formWord" value="${word}" required 
-                                   style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-book"></i> Definition *
-                            </label>
-                            <textarea id="formDefinition" rows="4" required 
-                                      style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">${data?.definition || ''}</textarea>
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-comment"></i> Examples (one per line)
-                            </label>
-                            <textarea id="formExamples" rows="3"
-                                      style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">${data?.examples?.join('\n') || ''}</textarea>
-                        </div>
-                    </div>
-                    
-                    <div>
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-layer-group"></i> Part of Speech
-                            </label>
-                            <select id="formPartOfSpeech" 
-                                    style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
-                                <option value="noun" ${(data?.partOfSpeech === 'noun' || !data) ? 'selected' : ''}>Noun</option>
-                                <option value="verb" ${data?.partOfSpeech === 'verb' ? 'selected' : ''}>Verb</option>
-                                <option value="adjective" ${data?.partOfSpeech === 'adjective' ? 'selected' : ''}>Adjective</option>
-                                <option value="adverb" ${data?.partOfSpeech === 'adverb' ? 'selected' : ''}>Adverb</option>
-                            </select>
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-bolt"></i> Difficulty
-                            </label>
-                            <select id="formDifficulty" 
-                                    style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
-                                <option value="easy" ${data?.difficulty === 'easy' ? 'selected' : ''}>Easy</option>
-                                <option value="medium" ${(data?.difficulty === 'medium' || !data) ? 'selected' : ''}>Medium</option>
-                                <option value="hard" ${data?.difficulty === 'hard' ? 'selected' : ''}>Hard</option>
-                            </select>
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-sync-alt"></i> Synonyms (comma separated)
+        modalBody.innerHTML = html`
+            <form id="conflictForm" style="display: grid; gap: 24px;">
+                ${this.conflicts.map((conflict, i) => html`
+                <div class="conflict-item">
+                    <h3 class="conflict-word">${conflict.word}</h3>
+                    ${conflict.fields.map((f, j) => html`
+                    <div class="conflict-field">
+                        <h4>${this.conflictLabel(conflict, f)}</h4>
+                        <div class="conflict-options">
+                            <label class="conflict-option">
+                                <input type="radio" name="conflict-${i}-${j}" value="local" checked>
+                                <span><strong>This device</strong><span class="conflict-value">${formatValue(f.local)}</span></span>
                             </label>
-                            <input type="text" id="formSynonyms" value="${data?.synonyms?.join(', ') || ''}"
-                                   style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-random"></i> Antonyms (comma separated)
+                            <label class="conflict-option">
+                                <input type="radio" name="conflict-${i}-${j}" value="remote">
+                                <span><strong>GitHub</strong><span class="conflict-value">${formatValue(f.remote)}</span></span>
                             </label>
-                            <input type="text" id="formAntonyms" value="${data?.antonyms?.join(', ') || ''}"
-                                   style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
-                        </div>
-                        
-                        <div style="margin-bottom: 20px;">
-                            <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
-                                <i class="fas fa-volume-up"></i> Pronunciation
+                            <label class="conflict-option">
+                                <input type="radio" name="conflict-${i}-${j}" value="custom">
+                                <span><strong>Edit manually</strong>
+                                    <textarea id="conflict-${i}-${j}-custom" rows="${Array.isArray(f.local) ? 3 : 2}">${formatValue(f.local)}</textarea>
+                                </span>
                             </label>
-                            <input type="text" id="formPronunciation" value="${data?.pronunciation || ''}"
-                                   style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
                         </div>
                     </div>
+                    `)}
                 </div>
+                `)}
                 
-                <div style="display: flex; gap: 12px; margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--border);">
-                    <button type="button" class="btn" style="flex: 1;" onclick="document.getElementById('wordModal').classList.remove('active')">
-                        Cancel
+                <div style="display: flex; gap: 12px; padding-top: 24px; border-top: 1px solid var(--border);">
+                    <button type="button" class="btn" style="flex: 1;" onclick="document.getElementById('conflictModal').classList.remove('active')">
+                        Later
                     </button>
                     <button type="submit" class="btn btn-primary" style="flex: 1;">
-                        <i class="fas fa-save"></i> Save Word
+                        <i class="fas fa-check"></i> Resolve
                     </button>
                 </div>
             </form>
         `;
         
-        const form = document.getElementById('wordForm');
-        form.onsubmit = (e) => {
+        // Editing the text box implies choosing the manual option
+        modalBody.querySelectorAll('.conflict-option textarea').forEach(textarea => {
+            textarea.addEventListener('focus', () => {
+                textarea.closest('.conflict-option').querySelector('input[type="radio"]').checked = true;
+            });
+        });
+        
+        document.getElementById('conflictForm').onsubmit = (e) => {
             e.preventDefault();
-            this.saveWordFromForm();
+            this.resolveConflicts();
         };
         
         modal.classList.add('active');
-        document.getElementById('formWord').focus();
     }
     
-    saveWordFromForm() {
-        const wordData = {
-            word: document.getElementById('formWord').value.trim(),
-            definition: document.getElementById('formDefinition').value.trim(),
-            partOfSpeech: document.getElementById('formPartOfSpeech').value,
-            difficulty: document.getElementById('formDifficulty').value,
-            pronunciation: document.getElementById('formPronunciation').value.trim(),
-            examples: document.getElementById('formExamples').value.split('\n').filter(e => e.trim()),
-            synonyms: document.getElementById('formSynonyms').value.split(',').map(s => s.trim()).filter(s => s),
-            antonyms: document.getElementById('formAntonyms').value.split(',').map(a => a.trim()).filter(a => a),
-            source: 'Manual Entry'
-        };
+    // "definitions (sense 2)" for a field of a sense
+    conflictLabel(conflict, f) {
+        if (f.sense === undefined) return f.field;
         
-        this.addWord(wordData);
-        document.getElementById('wordModal').classList.remove('active');
+        const senses = this.words.find(w => w.id === conflict.id)?.senses || [];
+        const position = senses.findIndex(sense => sense.id === f.sense) + 1;
+        return position > 0 ? `${f.field} (sense ${position})` : `${f.field} (removed sense)`;
     }
     
-    addWord(wordData) {
-        const newWord = {
-            id: Date.now() + Math.random(),
-            ...wordData,
-            mastered: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    resolveConflicts() {
+        const resolvedWords = [];
         
-        this.words.push(newWord);
-        this.saveToLocalStorage();
+        this.conflicts.forEach((conflict, i) => {
+            const word = this.words.find(w => w.id === conflict.id);
+            if (!word) return;
+            
+            conflict.fields.forEach((f, j) => {
+                const choice = document.querySelector(`input[name="conflict-${i}-${j}"]:checked`)?.value || 'local';
+                
+                // Sense conflicts change that sense, if it's still there
+                const target = f.sense === undefined ? word : (word.senses || []).find(sense => sense.id === f.sense);
+                if (!target) return;
+                
+                if (choice === 'remote') {
+                    target[f.field] = f.remote;
+                } else if (choice === 'custom') {
+                    const text = document.getElementById(`conflict-${i}-${j}-custom`).value;
+                    target[f.field] = Array.isArray(f.local) || Array.isArray(f.remote)
+                        ? text.split('\n').map(item => item.trim()).filter(Boolean)
+                        : text.trim();
+                } else {
+                    target[f.field] = f.local;
+                }
+            });
+            this.applyPrimarySense(word);
+            
+            // The rest of the word was merged when the conflict was found, so
+            // the choices are final
+            word.updatedAt = new Date().toISOString();
+            this.baseVersions[conflict.id] = conflict.remote;
+            this.queueChange('upsert', word);
+            resolvedWords.push(word);
+        });
+        
+        const resolved = this.conflicts.length;
+        this.conflicts = [];
+        
+        this.saveWords(resolvedWords);
+        this.saveSyncState('conflicts', 'baseVersions');
         this.updateStats();
         this.renderWordList();
+        this.updateSyncStatus('synced');
         
-        // Trigger sync to GitHub
-        this.pushToGitHub();
+        document.getElementById('conflictModal').classList.remove('active');
+        this.showToast(`${resolved} conflict(s) resolved`, 'success');
+    }
+    
+    // ===== TOMBSTONES =====
+    // A tombstone records that a word was deleted. Any copy of the word whose
+    // last update is not newer than the deletion is dropped during merges,
+    // both here and in the auto-sync workflow.
+    isTombstoned(word) {
+        return this.tombstones.some(tombstone => this.identity.isDeletedBy(word, tombstone));
+    }
+    
+    addTombstone(word) {
+        this.mergeTombstones([{
+            id: word.id,
+            word: word.word,
+            ...(word.language ? { language: word.language } : {}),
+            deletedAt: new Date().toISOString()
+        }]);
+    }
+    
+    mergeTombstones(incoming) {
+        if (!Array.isArray(incoming)) return;
         
-        this.showToast(`"${newWord.word}" added!`, 'success');
-        return newWord;
+        incoming.forEach(tombstone => {
+            if (!tombstone || tombstone.id === undefined || !tombstone.deletedAt) return;
+            
+            const existing = this.tombstones.find(t => t.id === tombstone.id);
+            if (!existing) {
+                this.tombstones.push({ ...tombstone });
+            } else if (new Date(tombstone.deletedAt) > new Date(existing.deletedAt)) {
+                existing.deletedAt = tombstone.deletedAt;
+            }
+        });
+        
+        this.purgeExpiredTombstones();
     }
     
-    toggleMastered(wordId) {
-        const word = this.words.find(w => w.id === wordId);
-        if (word) {
-            word.mastered = !word.mastered;
-            word.updatedAt = new Date().toISOString();
+    purgeExpiredTombstones() {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.tombstoneRetentionDays);
+        
+        this.tombstones = this.tombstones.filter(t => new Date(t.deletedAt) > cutoff);
+    }
+    
+    // ===== OUTBOX =====
+    // Local changes are recorded as one pending operation per word. A newer
+    // change to the same word replaces the older one, and the outbox is only
+    // pushed while it has something in it.
+    queueChange(type, word) {
+        this.outbox = this.outbox.filter(op => op.id !== word.id);
+        this.outbox.push({
+            id: word.id,
+            word: word.word,
+            type,
+            queuedAt: new Date().toISOString()
+        });
+        
+        this.saveSyncState('outbox');
+        if (!this.isSyncing) this.updateSyncStatus('synced');
+        this.schedulePush();
+    }
+    
+    ensureQueued(word, type = 'upsert') {
+        if (this.outbox.some(op => op.id === word.id)) return;
+        
+        this.outbox.push({
+            id: word.id,
+            word: word.word,
+            type,
+            queuedAt: new Date().toISOString()
+        });
+        this.schedulePush();
+    }
+    
+    schedulePush(delay = 2000) {
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => this.pushToGitHub(), delay);
+    }
+    
+    // ===== GITHUB WRITE-BACK =====
+    async pushToGitHub() {
+        if (this.isSyncing || this.outbox.length === 0) return;
+        
+        // The 'online' listener (or Background Sync) flushes the outbox once we're back
+        if (!navigator.onLine) {
+            this.updateSyncStatus('synced');
+            this.requestBackgroundSync();
+            return;
+        }
+        
+        const token = this.getGitHubToken();
+        if (!token) {
+            // Without a token we can only keep the request locally; the
+            // indicator keeps saying so until a token is saved
+            await this.createSyncIssue(this.buildSyncPayload());
+            this.updateSyncStatus('synced');
+            if (!this.tokenHintShown) {
+                this.tokenHintShown = true;
+                this.showToast(`🔑 Connect GitHub in Settings to push ${this.outbox.length} pending change(s)`, 'info');
+            }
+            return;
+        }
+        
+        // Remember exactly which operations this push covers
+        const flushing = new Map(this.outbox.map(op => [op.id, op.queuedAt]));
+        let failed = false;
+        
+        this.isSyncing = true;
+        this.updateSyncStatus('syncing');
+        
+        try {
+            console.log(`🚀 Pushing ${flushing.size} change(s) to GitHub...`);
             
-            this.saveToLocalStorage();
-            this.updateStats();
-            this.renderWordList();
+            await this.commitDictionaryToGitHub(token);
             
-            // Trigger sync
-            this.pushToGitHub();
+            this.outbox = this.outbox.filter(op => flushing.get(op.id) !== op.queuedAt);
+            this.pushRetryCount = 0;
+            this.saveSyncState('outbox');
             
-            this.showToast(
-                `"${word.word}" ${word.mastered ? 'marked as mastered!' : 'unmarked'}`,
-                'success'
+            console.log('✅ dictionary.json committed to GitHub');
+            this.showToast('📤 Changes pushed to GitHub!', 'success');
+            
+        } catch (error) {
+            failed = true;
+            this.pushRetryCount++;
+            
+            const delay = Math.min(this.maxPushBackoff, 5000 * 2 ** (this.pushRetryCount - 1));
+            console.error('❌ Failed to push to GitHub:', error);
+            this.showToast(`⚠️ Push failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s`, 'error');
+            this.schedulePush(delay);
+            if (!navigator.onLine) this.requestBackgroundSync();
+            
+        } finally {
+            this.isSyncing = false;
+            this.lastSyncTime = new Date();
+            this.updateSyncStatus(failed ? 'error' : 'synced');
+            
+            // Changes made while we were pushing go out in the next round
+            if (!failed && this.outbox.length > 0) this.schedulePush();
+        }
+    }
+    
+    // Commits dictionary.json through the Contents API. The write is conditional
+    // on the SHA we read, so if someone else (or the workflow) committed in
+    // between, GitHub rejects it and we merge their version and try again.
+    async commitDictionaryToGitHub(token, maxAttempts = 3) {
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const remote = await this.fetchDictionaryFile(token);
+            
+            const remoteWords = Array.isArray(remote.data?.words) ? remote.data.words : [];
+            if (remote.data) {
+                this.mergeWithGitHubData(remoteWords, remote.data.tombstones, 'GitHub', remote.data.collections, remote.data.activity);
+            }
+            
+            // Words with an unresolved conflict keep their GitHub version for now
+            const conflictIds = new Set(this.conflicts.map(c => c.id));
+            const words = this.words.map(word =>
+                conflictIds.has(word.id) ? (remoteWords.find(w => this.identity.migrateId(w.id) === word.id) || word) : word
             );
+            
+            // Nothing to write if GitHub already has all of it
+            if (remote.data && this.dictionaryMatches(remote.data, words)) {
+                return;
+            }
+            
+            const dictionaryDoc = {
+                words: words.map(word => this.sharedWord(word)),
+                tombstones: this.tombstones,
+                collections: this.collections,
+                activity: this.activity,
+                metadata: {
+                    ...(remote.data?.metadata || {}),
+                    lastSync: new Date().toISOString(),
+                    totalWords: this.words.length,
+                    version: '2.0',
+                    source: 'Web App'
+                }
+            };
+            
+            const body = {
+                message: `📝 Web app sync: ${new Date().toISOString()} (${this.words.length} words)`,
+                content: this.encodeBase64(JSON.stringify(dictionaryDoc, null, 2) + '\n'),
+                branch: this.githubConfig.branch
+            };
+            if (remote.sha) body.sha = remote.sha;
+            
+            const response = await fetch(this.getContentsUrl(), {
+                method: 'PUT',
+                headers: this.getGitHubHeaders(token),
+                body: JSON.stringify(body)
+            });
+            
+            if (response.ok) {
+                // What we just wrote is now the common ancestor of every word
+                words.forEach(word => {
+                    this.baseVersions[word.id] = this.merger.snapshot(word);
+                });
+                this.saveSyncState('baseVersions');
+                return;
+            }
+            
+            // 409: SHA no longer matches, 422: file appeared since we looked
+            if ((response.status === 409 || response.status === 422) && attempt < maxAttempts) {
+                console.log(`⚠️ dictionary.json changed on GitHub, retrying (${attempt}/${maxAttempts})...`);
+                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+                continue;
+            }
+            
+            throw new Error(await this.describeGitHubError(response));
+        }
+    }
+    
+    dictionaryMatches(remoteData, words) {
+        const remoteWords = remoteData.words || [];
+        const remoteTombstones = remoteData.tombstones || [];
+        
+        if (remoteWords.length !== words.length) return false;
+        if (this.tombstones.some(t => !remoteTombstones.some(r => r.id === t.id && r.deletedAt === t.deletedAt))) return false;
+        if (this.collections.some(c => !this.valuesEqual(c, (remoteData.collections || []).find(r => r.id === c.id)))) return false;
+        
+        const remoteEventIds = new Set((remoteData.activity || []).map(event => event.id));
+        if (this.activity.some(event => !remoteEventIds.has(event.id))) return false;
+        
+        return words.every(word => {
+            const remoteWord = remoteWords.find(w => w.id === word.id);
+            return remoteWord && this.merger.fields.every(f => this.valuesEqual(word[f], remoteWord[f]));
+        });
+    }
+    
+    async fetchDictionaryFile(token) {
+        const response = await fetch(`${this.getContentsUrl()}?ref=${encodeURIComponent(this.githubConfig.branch)}`, {
+            cache: 'no-cache',
+            headers: this.getGitHubHeaders(token)
+        });
+        
+        if (response.status === 404) {
+            return { sha: null, data: null };
+        }
+        if (!response.ok) {
+            throw new Error(await this.describeGitHubError(response));
+        }
+        
+        const file = await response.json();
+        let text = file.content ? this.decodeBase64(file.content) : '';
+        
+        // Files over 1 MB come back without inline content
+        if (!text && file.size > 0) {
+            const raw = await fetch(`${this.getContentsUrl()}?ref=${encodeURIComponent(this.githubConfig.branch)}`, {
+                cache: 'no-cache',
+                headers: { ...this.getGitHubHeaders(token), 'Accept': 'application/vnd.github.raw+json' }
+            });
+            text = raw.ok ? await raw.text() : '';
+        }
+        
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.error('dictionary.json on GitHub is not valid JSON:', error);
+        }
+        
+        return { sha: file.sha, data };
+    }
+    
+    async describeGitHubError(response) {
+        if (response.status === 401) return 'GitHub token is invalid or expired';
+        if (response.status === 403) return 'GitHub token lacks Contents write access';
+        if (response.status === 404) return 'Repository not found or not accessible with this token';
+        
+        try {
+            const body = await response.json();
+            return body.message || `GitHub API error ${response.status}`;
+        } catch (error) {
+            return `GitHub API error ${response.status}`;
         }
     }
     
-    deleteWord(wordId) {
-        const word = this.words.find(w => w.id === wordId);
-        if (!word) return;
+    getContentsUrl() {
+        const { apiUrl, owner, repo, path } = this.githubConfig;
+        return `${apiUrl}/repos/${owner}/${repo}/contents/${path}`;
+    }
+    
+    getGitHubHeaders(token) {
+        return {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'X-GitHub-Api-Version': '2022-11-28'
+        };
+    }
+    
+    encodeBase64(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+    
+    decodeBase64(base64) {
+        const binary = atob(base64.replace(/\s/g, ''));
+        return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    }
+    
+    // Payload for the issue-based sync request, limited to what is in the
+    // outbox. Never put the token in here: issue bodies and dispatch payloads
+    // are readable by anyone.
+    // A word as it leaves this device: edit history (up to historyLimit
+    // versions) stays local, so it is neither pushed nor merged
+    sharedWord(word) {
+        const { history, ...shared } = word;
+        return shared;
+    }
+    
+    buildSyncPayload() {
+        const pendingIds = new Set(this.outbox.map(op => op.id));
+        
+        return {
+            timestamp: new Date().toISOString(),
+            operations: this.outbox,
+            words: this.words.filter(w => pendingIds.has(w.id)).map(word => this.sharedWord(word)),
+            tombstones: this.tombstones.filter(t => pendingIds.has(t.id)),
+            collections: this.collections.filter(c => pendingIds.has(c.id)),
+            activity: this.activity.filter(event => pendingIds.has(event.wordId)),
+            device: navigator.userAgent.substring(0, 100),
+            action: 'dictionary_sync',
+            source: 'web_app'
+        };
+    }
+    
+    async createSyncIssue(syncData) {
+        try {
+            // Create issue data
+            const issueData = {
+                title: `[SYNC-REQUEST] ${new Date().toLocaleString()} - ${syncData.words.length} words`,
+                body: `## Sync Request\n\n**Device:** ${syncData.device}\n**Time:** ${syncData.timestamp}\n**Words:** ${syncData.words.length}\n\n\`\`\`json\n${JSON.stringify(syncData, null, 2)}\n\`\`\``,
+                labels: ['sync-request', 'auto-sync']
+            };
+            
+            // Store locally for tracking
+            this.storage.setSetting('last_sync_request', JSON.stringify(issueData));
+            this.storage.setSetting('last_sync_time', new Date().toISOString());
+            
+            console.log('📝 Sync issue created locally');
+            
+        } catch (error) {
+            console.error('Failed to create sync issue:', error);
+        }
+    }
+    
+    // ===== GITHUB SETTINGS =====
+    getGitHubToken() {
+        return this.storage.getSetting('dictionary_github_token', '');
+    }
+    
+    showSettingsModal() {
+        const modal = document.getElementById('settingsModal');
+        const hasToken = Boolean(this.getGitHubToken());
+        
+        document.getElementById('settingsRepo').textContent =
+            `${this.currentWorkspace().name}: ${this.describeSyncTarget(this.githubConfig)}`;
+        document.getElementById('settingsToken').value = '';
+        document.getElementById('settingsToken').placeholder = hasToken ? '•••••••• (saved)' : 'github_pat_...';
+        document.getElementById('settingsTokenStatus').textContent = hasToken
+            ? 'A token is saved on this device.'
+            : 'No token saved. Changes stay on this device until you add one.';
+        document.getElementById('settingsProviders').value = JSON.stringify(this.getLookupProviderConfig(), null, 2);
+        document.getElementById('settingsProvidersStatus').textContent = '';
+        this.renderQuarantine();
+        this.renderDictionarySettings();
+        document.getElementById('settingsDictionariesStatus').textContent = '';
+        this.renderWorkspaceSettings();
+        this.resetWorkspaceForm();
+        document.getElementById('settingsWorkspacesStatus').textContent = '';
+        this.renderShortcutSettings();
+        document.getElementById('settingsShortcutsStatus').textContent = '';
+        
+        modal.classList.add('active');
+    }
+    
+    async saveGitHubSettings() {
+        const token = document.getElementById('settingsToken').value.trim() || this.getGitHubToken();
+        const status = document.getElementById('settingsTokenStatus');
+        
+        if (!token) {
+            status.textContent = 'Enter a token first.';
+            return;
+        }
+        
+        status.textContent = 'Checking token...';
+        
+        try {
+            const { apiUrl, owner, repo } = this.githubConfig;
+            const response = await fetch(`${apiUrl}/repos/${owner}/${repo}`, {
+                headers: this.getGitHubHeaders(token)
+            });
+            
+            if (!response.ok) {
+                status.textContent = await this.describeGitHubError(response);
+                return;
+            }
+            
+            const repoInfo = await response.json();
+            if (repoInfo.permissions && !repoInfo.permissions.push) {
+                status.textContent = 'This token can read the repository but not write to it.';
+                return;
+            }
+            
+            this.storage.setSetting('dictionary_github_token', token);
+            document.getElementById('settingsModal').classList.remove('active');
+            this.showToast('🔑 GitHub token saved', 'success');
+            
+            this.pushToGitHub();
+            
+        } catch (error) {
+            status.textContent = `Could not reach GitHub: ${error.message}`;
+        }
+    }
+    
+    removeGitHubToken() {
+        this.storage.removeSetting('dictionary_github_token');
+        this.updateSyncStatus('synced');
+        document.getElementById('settingsModal').classList.remove('active');
+        this.showToast('GitHub token removed from this device', 'info');
+    }
+    
+    // ===== LOOKUP PROVIDERS =====
+    getLookupProviderConfig() {
+        const saved = this.storage.getSetting('dictionary_lookup_providers');
+        if (!saved) return this.defaultLookupProviders;
+        
+        try {
+            return JSON.parse(saved);
+        } catch (error) {
+            console.error('Invalid lookup provider settings:', error);
+            return this.defaultLookupProviders;
+        }
+    }
+    
+    createLookupChain() {
+        try {
+            return LookupChain.fromConfig(this.getLookupProviderConfig());
+        } catch (error) {
+            console.error('Falling back to default lookup providers:', error);
+            return LookupChain.fromConfig(this.defaultLookupProviders);
+        }
+    }
+    
+    saveLookupProviders() {
+        const status = document.getElementById('settingsProvidersStatus');
+        
+        try {
+            const config = JSON.parse(document.getElementById('settingsProviders').value);
+            if (!Array.isArray(config) || config.length === 0) {
+                throw new Error('Expected a list with at least one provider');
+            }
+            
+            // Bad provider settings throw here, before anything is saved
+            this.lookupChain = LookupChain.fromConfig(config);
+            this.storage.setSetting('dictionary_lookup_providers', JSON.stringify(config));
+            status.textContent = `Saved. Lookups try: ${this.lookupChain.providers.map(p => p.name).join(' → ')}`;
+            this.renderDictionarySettings();
+            
+        } catch (error) {
+            status.textContent = `Not saved: ${error.message}`;
+        }
+    }
+    
+    resetLookupProviders() {
+        this.storage.removeSetting('dictionary_lookup_providers');
+        this.lookupChain = this.createLookupChain();
+        document.getElementById('settingsProviders').value = JSON.stringify(this.defaultLookupProviders, null, 2);
+        document.getElementById('settingsProvidersStatus').textContent = 'Restored the default providers.';
+        this.renderDictionarySettings();
+    }
+    
+    // ===== AUTO-SYNC SYSTEM =====
+    startAutoSync() {
+        // Pull changes from GitHub every 60 seconds
+        this.syncInterval = setInterval(() => {
+            this.syncFromGitHub();
+        }, 60 * 1000);
+        
+        // Pick up anything left in the outbox every 2 minutes (backoff handles failures)
+        setInterval(() => {
+            if (this.outbox.length > 0 && this.pushRetryCount === 0) this.pushToGitHub();
+        }, 120 * 1000);
+        
+        // Flush as soon as the connection comes back
+        window.addEventListener('online', () => this.pushToGitHub());
+        window.addEventListener('offline', () => this.updateSyncStatus('synced'));
+        
+        console.log('🔁 Auto-sync started');
+    }
+    
+    manualSync() {
+        clearTimeout(this.pushTimer);
+        this.pushToGitHub();
+        setTimeout(() => this.syncFromGitHub(), 5000);
+    }
+    
+    // ===== OFFLINE & INSTALL =====
+    // sw.js caches the app shell and the last dictionary file, so the app
+    // starts without a connection and can be installed. Pushes waiting for a
+    // connection are also handed to Background Sync: the worker wakes this
+    // page to flush the outbox once the connection is back, even if the tab
+    // is in the background.
+    setupOfflineSupport() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            this.serviceWorkerRegistration = registration;
+            console.log('📴 Offline support ready');
+            if (this.outbox.length > 0 && !navigator.onLine) this.requestBackgroundSync();
+        }).catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+        
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'flush-outbox') this.flushForBackgroundSync(event.ports[0]);
+        });
+    }
+    
+    // Without a token there is nothing a retry could push
+    async requestBackgroundSync() {
+        const sync = this.serviceWorkerRegistration?.sync;
+        if (!sync || !this.getGitHubToken()) return;
+        
+        try {
+            await sync.register('dictionary-outbox');
+            console.log('📴 Pending changes will be pushed when the connection is back');
+        } catch (error) {
+            console.warn('Background Sync is not available:', error);
+        }
+    }
+    
+    // Answers the worker: pushed is false while anything is left, so it retries
+    async flushForBackgroundSync(port) {
+        await this.ready;
+        await this.pushToGitHub();
+        port?.postMessage({ pushed: this.outbox.length === 0 });
+    }
+    
+    // Browsers that support it offer "Install" through our own button
+    setupInstallPrompt() {
+        const button = document.getElementById('installBtn');
+        
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            button.style.display = '';
+        });
+        
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            button.style.display = 'none';
+            this.showToast('📱 Dictionary installed', 'success');
+        });
+    }
+    
+    async installApp() {
+        if (!this.installPrompt) return;
+        
+        this.installPrompt.prompt();
+        const { outcome } = await this.installPrompt.userChoice;
+        console.log(`📱 Install prompt ${outcome}`);
+        
+        this.installPrompt = null;
+        document.getElementById('installBtn').style.display = 'none';
+    }
+    
+    // ===== SYNC INDICATOR =====
+    updateSyncStatus(status) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+        
+        const pendingCount = this.outbox.length;
+        const statusConfig = {
+            syncing: { icon: 'fa-sync-alt fa-spin', text: 'Syncing...', color: 'var(--warning)' },
+            synced: { icon: 'fa-circle', text: 'Auto-Sync', color: 'var(--success)' },
+            pending: { icon: 'fa-cloud-upload-alt', text: `${pendingCount} Pending`, color: 'var(--warning)' },
+            disconnected: { icon: 'fa-key', text: `Connect GitHub to push ${pendingCount} pending change(s)`, color: 'var(--warning)' },
+            offline: { icon: 'fa-plug', text: pendingCount ? `Offline (${pendingCount} pending)` : 'Offline', color: 'var(--text-3)' },
+            error: { icon: 'fa-exclamation-circle', text: 'Sync Error', color: 'var(--danger)' }
+        };
+        
+        if (status === 'synced') {
+            if (!navigator.onLine) status = 'offline';
+            else if (pendingCount > 0) status = this.getGitHubToken() ? 'pending' : 'disconnected';
+        }
+        
+        let config = statusConfig[status] || statusConfig.synced;
+        if (status !== 'syncing' && this.conflicts.length > 0) {
+            config = { icon: 'fa-code-branch', text: `${this.conflicts.length} Conflict(s)`, color: 'var(--danger)' };
+        }
+        
+        indicator.innerHTML = html`<i class="fas ${config.icon}"></i> ${config.text}`;
+        indicator.style.color = config.color;
+    }
+    
+    // ===== WORD ANALYSIS =====
+    async analyzeWord() {
+        const wordInput = document.getElementById('aiWordInput');
+        const word = wordInput.value.trim();
+        
+        if (!word) {
+            this.showToast('Please enter a word', 'error');
+            return;
+        }
+        
+        const resultDiv = document.getElementById('aiResult');
+        resultDiv.innerHTML = '<div style="text-align: center; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Analyzing...</div>';
+        resultDiv.classList.add('active');
+        
+        try {
+            const { wordData, errors } = await this.lookupWord(word);
+            
+            if (wordData) {
+                this.showAIResult(wordData);
+            } else {
+                throw new Error(errors.length > 0
+                    ? `No provider could find this word (${errors.join('; ')})`
+                    : 'No provider could find this word');
+            }
+            
+        } catch (error) {
+            console.error('Analysis failed:', error);
+            const { language } = this.currentDictionary();
+            const unsupported = !this.hasLookupProvider(language);
+            
+            resultDiv.innerHTML = html`
+                <div style="color: var(--danger);">
+                    <i class="fas fa-exclamation-triangle"></i> ${unsupported ? 'Lookup unavailable' : 'Analysis failed'}
+                    <p style="margin-top: 10px; font-size: 14px;">${unsupported
+                        ? `None of your lookup providers covers ${this.languageName(language)}. Add one under Settings → Lookup providers, or add the word yourself.`
+                        : error.message}</p>
+                    <button class="btn btn-primary" style="margin-top: 15px;" id="addManuallyBtn">
+                        <i class="fas fa-plus"></i> Add Manually
+                    </button>
+                    ${unsupported ? html`
+                    <button class="btn btn-outline" style="margin-top: 15px;" id="lookupSettingsBtn">
+                        <i class="fas fa-cog"></i> Lookup Providers
+                    </button>
+                    ` : ''}
+                </div>
+            `;
+            document.getElementById('addManuallyBtn').addEventListener('click', () => this.showAddWordModal(word));
+            document.getElementById('lookupSettingsBtn')?.addEventListener('click', () => {
+                this.showSettingsModal();
+                document.getElementById('settingsProviders').focus();
+            });
+        }
+    }
+    
+    hasLookupProvider(language) {
+        return this.lookupChain.providers.some(provider => provider.supports(language));
+    }
+    
+    // Asks each lookup provider for the dictionary's language in turn; the
+    // first with an answer wins
+    async lookupWord(word) {
+        const { language, translationLanguage } = this.currentDictionary();
+        const { result, provider, errors } = await this.lookupChain.lookup(word, language);
+        if (!result) return { wordData: null, errors };
+        
+        // Only translations into the dictionary's other language are kept
+        const { translations: offered = [], ...fields } = result;
+        const base = code => code.split('-')[0];
+        const translations = translationLanguage
+            ? offered
+                .filter(translation => base(translation.language) === base(translationLanguage))
+                .map(({ text }) => ({ language: translationLanguage, text }))
+            : [];
+        
+        const wordData = this.applyPrimarySense({
+            ...fields,
+            ...(translations.length > 0 ? { translations: this.sanitizeTranslations(translations) } : {}),
+            difficulty: this.estimateDifficulty(result.word, result.senses),
+            source: provider.name
+        });
+        
+        console.log(`🔎 "${word}" found by ${provider.name}`);
+        return { wordData, errors };
+    }
+    
+    // Rough guess until quizzes and reviews say otherwise: long words with
+    // few, narrow senses tend to be the rare ones
+    estimateDifficulty(word, senses) {
+        const length = word.replace(/[^a-z]/gi, '').length;
+        
+        if (length <= 5 && senses.length > 1) return 'easy';
+        if (length >= 10 || (length >= 8 && senses.length === 1)) return 'hard';
+        return 'medium';
+    }
+    
+    // ===== SENSES =====
+    // A word can have several senses, each with its own part of speech,
+    // definitions, examples, synonyms and antonyms. The top-level fields
+    // (definition, partOfSpeech, examples, synonyms, antonyms) mirror the
+    // first sense so older clients and the card grid keep working.
+    getSenses(word) {
+        return this.merger.sensesOf(word);
+    }
+    
+    applyPrimarySense(word) {
+        return this.merger.applyPrimarySense(word);
+    }
+    
+    // Senses are matched by id when merging (merge.js); new ones get a ULID
+    // so senses added on two devices never share one
+    giveSenseIds(word) {
+        if (word.senses) word.senses = this.merger.withSenseIds(word.senses, () => this.identity.newId());
+        return word;
+    }
+    
+    renderSenses(word) {
+        const senses = this.getSenses(word);
+        
+        return senses.map((sense, i) => html`
+            <div class="sense-block">
+                <h3>${senses.length > 1 ? `${i + 1}. ` : ''}<span class="word-tag">${sense.partOfSpeech}</span></h3>
+                <ol class="sense-definitions">
+                    ${sense.definitions.map(def => html`<li>${def}</li>`)}
+                </ol>
+                ${sense.examples.length > 0 ? html`
+                <div class="examples-list">
+                    ${sense.examples.map(ex => html`<div class="example-item">${ex}</div>`)}
+                </div>
+                ` : ''}
+                ${sense.synonyms.length > 0 || sense.antonyms.length > 0 ? html`
+                <div class="tags-container">
+                    ${sense.synonyms.map(syn => html`<span class="ai-tag synonym">${syn}</span>`)}
+                    ${sense.antonyms.map(ant => html`<span class="ai-tag antonym">${ant}</span>`)}
+                </div>
+                ` : ''}
+            </div>
+        `);
+    }
+    
+    showAIResult(wordData) {
+        const resultDiv = document.getElementById('aiResult');
+        const senses = this.getSenses(wordData);
+        
+        const content = html`
+            <div class="ai-word-header">
+                <div>
+                    <div class="ai-word-title">${wordData.word}</div>
+                    <div class="ai-word-meta">
+                        <span class="ai-tag">${senses.length} sense${senses.length === 1 ? '' : 's'}</span>
+                        <span class="ai-tag ${wordData.difficulty}">${wordData.difficulty}</span>
+                        <span class="ai-tag provider" title="Lookup provider"><i class="fas fa-database"></i> ${wordData.source}</span>
+                    </div>
+                </div>
+                <button class="btn btn-sm" onclick="document.getElementById('aiResult').classList.remove('active')">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            
+            ${wordData.pronunciation ? html`<p><strong>Pronunciation:</strong> ${wordData.pronunciation}</p>` : ''}
+            ${wordData.translations ? html`<p><strong>Translations:</strong> ${wordData.translations.map(translation => translation.text).join(', ')}</p>` : ''}
+            
+            <div class="ai-senses">
+                ${senses.map((sense, i) => html`
+                <label class="ai-sense">
+                    <input type="checkbox" class="ai-sense-check" value="${i}" ${i === 0 ? 'checked' : ''}>
+                    <div>
+                        <span class="ai-tag">${sense.partOfSpeech}</span>
+                        <div class="ai-definition">${sense.definitions[0]}</div>
+                        ${sense.definitions.length > 1 ? html`<p class="ai-sense-more">+${sense.definitions.length - 1} more definition(s)</p>` : ''}
+                        ${sense.examples.length > 0 ? html`<p class="ai-sense-example">“${sense.examples[0]}”</p>` : ''}
+                        ${sense.synonyms.length > 0 || sense.antonyms.length > 0 ? html`
+                        <div class="ai-tags">
+                            ${sense.synonyms.slice(0, 5).map(syn => html`<span class="ai-tag synonym">${syn}</span>`)}
+                            ${sense.antonyms.slice(0, 5).map(ant => html`<span class="ai-tag antonym">${ant}</span>`)}
+                        </div>` : ''}
+                    </div>
+                </label>
+                `)}
+            </div>
+            
+            <div style="display: flex; gap: 12px; margin-top: 24px;">
+                <button class="btn btn-success" id="saveAIWord">
+                    <i class="fas fa-save"></i> Save Selected
+                </button>
+                <button class="btn btn-outline" id="editAIWord">
+                    <i class="fas fa-edit"></i> Edit First
+                </button>
+            </div>
+        `;
+        
+        resultDiv.innerHTML = content;
+        
+        // Only the senses the user ticked are kept
+        const selectedData = () => {
+            const picked = [...resultDiv.querySelectorAll('.ai-sense-check:checked')].map(box => senses[Number(box.value)]);
+            return this.applyPrimarySense({ ...wordData, senses: picked.length > 0 ? picked : [senses[0]] });
+        };
+        
+        document.getElementById('saveAIWord').addEventListener('click', () => {
+            this.addWord(selectedData());
+            resultDiv.classList.remove('active');
+            document.getElementById('aiWordInput').value = '';
+        });
+        
+        document.getElementById('editAIWord').addEventListener('click', () => {
+            const data = selectedData();
+            this.showAddWordModal(data.word, data);
+        });
+    }
+    
+    // ===== WORD MANAGEMENT =====
+    // Pass editId to edit an existing word instead of adding a new one
+    showAddWordModal(word = '', data = null, editId = null) {
+        const modal = document.getElementById('wordModal');
+        const modalBody = document.getElementById('wordModalBody');
+        const senses = data ? this.getSenses(data) : [{ partOfSpeech: 'noun', definitions: [], examples: [], synonyms: [], antonyms: [] }];
+        const collections = this.getCollections({ smart: false });
+        
+        // New words start in the tag or collection being looked at
+        const isNew = editId === null;
+        const tags = data?.tags || (isNew && this.currentFilter.startsWith('tag:') ? [this.currentFilter.slice(4)] : []);
+        const memberOf = data?.collections || (isNew && this.currentFilter.startsWith('collection:') ? [this.currentFilter.slice(11)] : []);
+        const { translationLanguage } = this.currentDictionary();
+        
+        modalBody.innerHTML = html`
+            <form id="wordForm" style="display: grid; gap: 24px;" ${editId !== null ? html`data-edit-id="${editId}"` : ''} ${data?.audio ? html`data-audio="${data.audio}"` : ''}>
+                <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 24px;">
+                    <div>
+                        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                            <i class="fas fa-font"></i> Word *
+                        </label>
+                        <input type="text" id="formWord" value="${word}" required 
+                               style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                    </div>
+                    
+                    <div>
+                        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                            <i class="fas fa-volume-up"></i> Pronunciation
+                        </label>
+                        <input type="text" id="formPronunciation" value="${data?.pronunciation || ''}"
+                               style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                    </div>
+                    
+                    <div>
+                        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                            <i class="fas fa-bolt"></i> Difficulty
+                        </label>
+                        <select id="formDifficulty" 
+                                style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                            <option value="easy" ${data?.difficulty === 'easy' ? 'selected' : ''}>Easy</option>
+                            <option value="medium" ${(data?.difficulty === 'medium' || !data) ? 'selected' : ''}>Medium</option>
+                            <option value="hard" ${data?.difficulty === 'hard' ? 'selected' : ''}>Hard</option>
+                        </select>
+                    </div>
+                </div>
+                
+                <div style="display: grid; grid-template-columns: ${collections.length > 0 ? '1fr 1fr' : '1fr'}; gap: 24px;">
+                    <div>
+                        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                            <i class="fas fa-tags"></i> Tags (comma separated)
+                        </label>
+                        <input type="text" id="formTags" list="formTagOptions" value="${tags.join(', ')}" placeholder="course-101, chapter 3"
+                               style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                        <datalist id="formTagOptions">
+                            ${this.getTags().map(({ tag }) => html`<option value="${tag}"></option>`)}
+                        </datalist>
+                    </div>
+                    
+                    ${collections.length > 0 ? html`
+                    <div>
+                        <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                            <i class="fas fa-folder"></i> Collections
+                        </label>
+                        <div class="word-collections" id="formCollections">
+                            ${collections.map(collection => html`
+                            <label><input type="checkbox" value="${collection.id}" ${memberOf.some(id => String(id) === String(collection.id)) ? 'checked' : ''}> ${collection.name}</label>
+                            `)}
+                        </div>
+                    </div>
+                    ` : ''}
+                </div>
+                
+                ${translationLanguage ? html`
+                <div>
+                    <label style="display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);">
+                        <i class="fas fa-language"></i> ${this.languageName(translationLanguage)} translations (comma separated)
+                    </label>
+                    <input type="text" id="formTranslations" value="${this.translationsOf(data || {}, translationLanguage).join(', ')}"
+                           style="width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                </div>
+                ` : ''}
+                
+                <div id="formSenses" style="display: grid; gap: 16px;">
+                    ${senses.map(sense => this.renderSenseFields(sense))}
+                </div>
+                
+                <button type="button" class="btn btn-outline" id="addSenseBtn">
+                    <i class="fas fa-plus"></i> Add Sense
+                </button>
+                
+                <div style="display: flex; gap: 12px; margin-top: 24px; padding-top: 24px; border-top: 1px solid var(--border);">
+                    <button type="button" class="btn" style="flex: 1;" onclick="document.getElementById('wordModal').classList.remove('active')">
+                        Cancel
+                    </button>
+                    <button type="submit" class="btn btn-primary" style="flex: 1;">
+                        <i class="fas fa-save"></i> ${editId !== null ? 'Save Changes' : 'Save Word'}
+                    </button>
+                </div>
+            </form>
+        `;
+        
+        const sensesContainer = document.getElementById('formSenses');
+        
+        document.getElementById('addSenseBtn').addEventListener('click', () => {
+            sensesContainer.insertAdjacentHTML('beforeend', this.renderSenseFields({
+                partOfSpeech: 'noun', definitions: [], examples: [], synonyms: [], antonyms: []
+            }));
+        });
+        
+        sensesContainer.addEventListener('click', (e) => {
+            const remove = e.target.closest('.sense-remove');
+            if (remove && sensesContainer.children.length > 1) {
+                remove.closest('.sense-fields').remove();
+            }
+        });
+        
+        const form = document.getElementById('wordForm');
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.saveWordFromForm();
+        };
+        
+        modal.classList.add('active');
+        document.getElementById('formWord').focus();
+    }
+    
+    renderSenseFields(sense) {
+        const fieldStyle = 'width: 100%; padding: 12px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);';
+        const labelStyle = 'display: block; margin-bottom: 8px; font-weight: 500; color: var(--text-2);';
+        const partsOfSpeech = ['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'interjection'];
+        if (!partsOfSpeech.includes(sense.partOfSpeech)) partsOfSpeech.push(sense.partOfSpeech);
+        
+        return html`
+            <fieldset class="sense-fields" ${sense.id ? html`data-sense-id="${sense.id}"` : ''}>
+                <legend>
+                    <select class="sense-pos" style="padding: 8px; border: 2px solid var(--border); border-radius: 8px; background: var(--bg-2); color: var(--text-1);">
+                        ${partsOfSpeech.map(pos => html`<option value="${pos}" ${sense.partOfSpeech === pos ? 'selected' : ''}>${pos.charAt(0).toUpperCase() + pos.slice(1)}</option>`)}
+                    </select>
+                    <button type="button" class="btn btn-sm sense-remove" title="Remove sense">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </legend>
+                
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+                    <div>
+                        <label style="${labelStyle}"><i class="fas fa-book"></i> Definitions (one per line) *</label>
+                        <textarea class="sense-definitions-input" rows="3" style="${fieldStyle}">${sense.definitions.join('\n')}</textarea>
+                    </div>
+                    <div>
+                        <label style="${labelStyle}"><i class="fas fa-comment"></i> Examples (one per line)</label>
+                        <textarea class="sense-examples" rows="3" style="${fieldStyle}">${sense.examples.join('\n')}</textarea>
+                    </div>
+                    <div>
+                        <label style="${labelStyle}"><i class="fas fa-sync-alt"></i> Synonyms (comma separated)</label>
+                        <input type="text" class="sense-synonyms" value="${sense.synonyms.join(', ')}" style="${fieldStyle}">
+                    </div>
+                    <div>
+                        <label style="${labelStyle}"><i class="fas fa-random"></i> Antonyms (comma separated)</label>
+                        <input type="text" class="sense-antonyms" value="${sense.antonyms.join(', ')}" style="${fieldStyle}">
+                    </div>
+                </div>
+            </fieldset>
+        `;
+    }
+    
+    saveWordFromForm() {
+        const splitLines = text => text.split('\n').map(line => line.trim()).filter(Boolean);
+        const splitCommas = text => text.split(',').map(item => item.trim()).filter(Boolean);
+        
+        const senses = [...document.querySelectorAll('#formSenses .sense-fields')].map(fields => ({
+            ...(fields.dataset.senseId ? { id: fields.dataset.senseId } : {}),
+            partOfSpeech: fields.querySelector('.sense-pos').value,
+            definitions: splitLines(fields.querySelector('.sense-definitions-input').value),
+            examples: splitLines(fields.querySelector('.sense-examples').value),
+            synonyms: splitCommas(fields.querySelector('.sense-synonyms').value),
+            antonyms: splitCommas(fields.querySelector('.sense-antonyms').value)
+        })).filter(sense => sense.definitions.length > 0);
+        
+        if (senses.length === 0) {
+            this.showToast('Add at least one definition', 'error');
+            return;
+        }
+        
+        const wordData = this.applyPrimarySense({
+            word: document.getElementById('formWord').value.trim(),
+            difficulty: document.getElementById('formDifficulty').value,
+            pronunciation: document.getElementById('formPronunciation').value.trim(),
+            senses
+        });
+        
+        // Checkbox values and data-* attributes are strings, whatever the id's type
+        const checked = new Set([...document.querySelectorAll('#formCollections input:checked')].map(input => input.value));
+        const lists = {
+            tags: this.sanitizeTags(splitCommas(document.getElementById('formTags').value)),
+            collections: this.getCollections({ smart: false }).filter(c => checked.has(String(c.id))).map(c => c.id)
+        };
+        
+        const { editId, audio } = document.getElementById('wordForm').dataset;
+        const editing = editId !== undefined ? this.words.find(w => String(w.id) === editId) : null;
+        
+        // The field only has the dictionary's translation language; the others stay as they were
+        const translationsInput = document.getElementById('formTranslations');
+        if (translationsInput) {
+            const { translationLanguage } = this.currentDictionary();
+            wordData.translations = this.sanitizeTranslations([
+                ...(editing?.translations || []).filter(translation => translation.language !== translationLanguage),
+                ...splitCommas(translationsInput.value).map(text => ({ language: translationLanguage, text }))
+            ]);
+        }
+        
+        // Same word key means same word (see identity.js), so no second copy
+        const language = editing ? this.languageOf(editing) : this.currentDictionary().language;
+        const wordKey = this.identity.wordKey(wordData.word, language);
+        const duplicate = this.words.find(w => w !== editing && this.identity.wordKey(w.word, w.language) === wordKey);
+        if (duplicate) {
+            this.showToast(`"${duplicate.word}" is already in your dictionary`, 'error');
+            return;
+        }
+        
+        if (editing) {
+            this.updateWord(editing.id, { ...wordData, ...lists });
+            this.viewWord(editing.id);
+            return;
+        }
+        
+        // Audio found by a lookup comes along; edits keep the word's own
+        this.addWord({ ...wordData, ...lists, ...(this.sanitizeUrl(audio) ? { audio } : {}), source: 'Manual Entry' });
+        document.getElementById('wordModal').classList.remove('active');
+    }
+    
+    addWord(wordData) {
+        const newWord = {
+            id: this.identity.newId(),
+            language: this.currentDictionary().language,
+            ...wordData,
+            mastered: false,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.giveSenseIds(newWord);
+        this.dropEmptyLists(newWord);
+        
+        this.words.push(newWord);
+        this.searchIndex.add(newWord);
+        this.saveWords([newWord]);
+        this.recordActivity('add', newWord);
+        this.queueChange('upsert', newWord);
+        this.updateStats();
+        this.renderWordList();
+        
+        this.showToast(`"${newWord.word}" added!`, 'success');
+        return newWord;
+    }
+    
+    editWord(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        this.showAddWordModal(word.word, word, word.id);
+    }
+    
+    // Applies an edit in place; the version being replaced goes into the
+    // word's history so it can be restored later
+    updateWord(wordId, changes) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return null;
+        
+        // Tags and collections organize a word rather than change it, so they
+        // don't go into its history
+        const { tags, collections, ...content } = changes;
+        const edited = this.recordEdit(word, content);
+        const organized = this.organizeWord(word, { tags, collections });
+        
+        if (!edited && !organized) {
+            this.showToast('No changes to save', 'info');
+            return word;
+        }
+        
+        this.saveWords([word]);
+        this.queueChange('upsert', word);
+        this.updateStats();
+        this.renderWordList();
+        
+        this.showToast(`"${word.word}" updated`, 'success');
+        return word;
+    }
+    
+    // Returns false (and changes nothing) when the edit is a no-op
+    recordEdit(word, changes) {
+        const previous = this.historyVersion(word);
+        if (this.valuesEqual(previous, this.historyVersion({ ...word, ...changes }))) return false;
+        
+        const now = new Date().toISOString();
+        word.history = [...(word.history || []), { savedAt: word.updatedAt || now, ...previous }].slice(-this.historyLimit);
+        Object.assign(word, changes, { updatedAt: now });
+        this.giveSenseIds(word);
+        this.applyPrimarySense(word);
+        this.dropEmptyLists(word);
+        this.searchIndex.add(word);
+        return true;
+    }
+    
+    // Replaces a word's tags and/or collections (undefined leaves a list
+    // alone). Returns false when nothing changed.
+    organizeWord(word, lists) {
+        const changed = Object.entries(lists).filter(([key, value]) => value !== undefined && !this.valuesEqual(word[key] || [], value));
+        if (changed.length === 0) return false;
+        
+        changed.forEach(([key, value]) => { word[key] = value; });
+        this.dropEmptyLists(word);
+        word.updatedAt = new Date().toISOString();
+        this.searchIndex.add(word);
+        return true;
+    }
+    
+    // No tags, collections or translations are stored as missing fields, not empty lists
+    dropEmptyLists(word) {
+        ['tags', 'collections', 'translations'].forEach(key => Array.isArray(word[key]) && word[key].length === 0 && delete word[key]);
+        return word;
+    }
+    
+    historyVersion(word) {
+        const version = {};
+        this.historyFields.forEach(field => {
+            const value = field === 'senses' ? this.getSenses(word) : field === 'translations' ? word.translations || [] : word[field] ?? '';
+            version[field] = JSON.parse(JSON.stringify(value));
+        });
+        return version;
+    }
+    
+    showWordHistory(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        // Newest first; the index points back into word.history for restoring
+        const entries = (word.history || [])
+            .map((version, index) => ({ version, index }))
+            .sort((a, b) => (b.version.savedAt || '').localeCompare(a.version.savedAt || ''));
+        
+        document.getElementById('wordModalBody').innerHTML = html`
+            <div class="word-history">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px;">
+                    <h2 style="font-size: 24px;"><i class="fas fa-history"></i> History of "${word.word}"</h2>
+                    <button class="btn btn-sm" onclick="dictionary.viewWord(${jsArg(word.id)})">
+                        <i class="fas fa-arrow-left"></i> Back
+                    </button>
+                </div>
+                
+                ${entries.length === 0 ? html`
+                <p style="color: var(--text-3);">No earlier versions. Edits you make will show up here.</p>
+                ` : entries.map(({ version, index }) => html`
+                <div class="history-item">
+                    <div class="history-item-header">
+                        <div>
+                            <strong>${version.word}</strong>
+                            ${version.pronunciation ? html`<span style="font-family: monospace; color: var(--text-3);">${version.pronunciation}</span>` : ''}
+                            <span class="word-badge ${version.difficulty}">${version.difficulty}</span>
+                        </div>
+                        <span class="history-date">Saved ${new Date(version.savedAt).toLocaleString()}</span>
+                    </div>
+                    <div class="definition-content">${this.renderSenses(version)}</div>
+                    <button class="btn btn-outline btn-sm" style="margin-top: 12px;" onclick="dictionary.restoreWordVersion(${jsArg(word.id)}, ${index})">
+                        <i class="fas fa-undo"></i> Restore This Version
+                    </button>
+                </div>
+                `)}
+            </div>
+        `;
+    }
+    
+    // Restoring is itself an edit, so the current version stays in history
+    restoreWordVersion(wordId, index) {
+        const word = this.words.find(w => w.id === wordId);
+        const version = word?.history?.[index];
+        if (!version) return;
+        
+        const { savedAt, ...changes } = version;
+        this.updateWord(wordId, changes);
+        this.viewWord(wordId);
+    }
+    
+    toggleMastered(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (word) {
+            // The user's choice holds over the review schedule (see gradeWord)
+            word.mastered = !word.mastered;
+            word.masteredOverride = word.mastered;
+            word.updatedAt = new Date().toISOString();
+            
+            this.saveWords([word]);
+            this.recordActivity(word.mastered ? 'master' : 'unmaster', word);
+            this.queueChange('upsert', word);
+            this.updateStats();
+            this.renderWordList();
+            
+            this.showToast(
+                `"${word.word}" ${word.mastered ? 'marked as mastered!' : 'unmarked'}`,
+                'success'
+            );
+        }
+    }
+    
+    deleteWord(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        if (confirm(`Delete "${word.word}" from your dictionary?`)) {
+            this.words = this.words.filter(w => w.id !== wordId);
+            this.searchIndex.remove(word.id);
+            this.addTombstone(word);
+            // Mastery counts words that are still here
+            if (word.mastered) this.recordActivity('unmaster', word);
+            
+            this.saveWords([], [word.id]);
+            this.saveSyncState('tombstones');
+            this.queueChange('delete', word);
+            this.updateStats();
+            this.renderWordList();
+            
+            document.getElementById('wordModal').classList.remove('active');
+            this.showToast(`"${word.word}" deleted`, 'success');
+        }
+    }
+    
+    viewWord(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        const modal = document.getElementById('wordModal');
+        const modalBody = document.getElementById('wordModalBody');
+        const collections = this.getCollections({ smart: false });
+        
+        modalBody.innerHTML = html`
+            <div class="word-detail">
+                <div class="word-main">
+                    <h1 class="word-title-large">${word.word}</h1>
+                    
+                    <div class="word-meta-grid">
+                        <div class="meta-item">
+                            <div class="meta-icon">
+                                <i class="fas fa-layer-group"></i>
+                            </div>
+                            <div class="meta-content">
+                                <h4>Part of Speech</h4>
+                                <p>${[...new Set(this.getSenses(word).map(sense => sense.partOfSpeech))].join(', ')}</p>
+                            </div>
+                        </div>
+                        
+                        <div class="meta-item">
+                            <div class="meta-icon">
+                                <i class="fas fa-bolt"></i>
+                            </div>
+                            <div class="meta-content">
+                                <h4>Difficulty</h4>
+                                <p><span class="word-badge ${word.difficulty}">${word.difficulty}</span></p>
+                            </div>
+                        </div>
+                        
+                        <div class="meta-item">
+                            <div class="meta-icon">
+                                <i class="fas fa-star"></i>
+                            </div>
+                            <div class="meta-content">
+                                <h4>Status</h4>
+                                <p><span class="word-badge ${word.mastered ? 'mastered' : ''}">${word.mastered ? 'Mastered' : 'Learning'}</span></p>
+                            </div>
+                        </div>
+                        
+                        <div class="meta-item">
+                            <div class="meta-icon">
+                                <i class="fas fa-calendar"></i>
+                            </div>
+                            <div class="meta-content">
+                                <h4>Added</h4>
+                                <p>${new Date(word.createdAt).toLocaleDateString()}</p>
+                            </div>
+                        </div>
+                        
+                        <div class="meta-item">
+                            <div class="meta-icon">
+                                <i class="fas fa-redo"></i>
+                            </div>
+                            <div class="meta-content">
+                                <h4>Next Review</h4>
+                                <p>${this.scheduler.isDue(word) ? 'Due today' : new Date(word.review.due).toLocaleDateString()}</p>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <div class="definition-box">
+                        <h3>${this.getSenses(word).length > 1 ? 'Senses' : 'Definition'}</h3>
+                        <div class="definition-content">${this.renderSenses(word)}</div>
+                    </div>
+                </div>
+                
+                <div class="word-sidebar">
+                    <div>
+                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
+                            <i class="fas fa-volume-up"></i> Pronunciation
+                        </h3>
+                        <div class="pronunciation-line">
+                            <button class="btn btn-sm" onclick="dictionary.playPronunciation(${jsArg(word.id)})" title="${word.audio ? 'Play recording' : 'Read aloud'}">
+                                <i class="fas fa-play"></i> Play
+                            </button>
+                            ${word.pronunciation ? html`<span style="font-size: 18px; font-family: monospace;">${word.pronunciation}</span>` : ''}
+                        </div>
+                        <div class="recording-panel" id="recordingPanel" data-word-id="${word.id}"></div>
+                    </div>
+                    
+                    ${(word.translations || []).length > 0 ? html`
+                    <div>
+                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
+                            <i class="fas fa-language"></i> Translations
+                        </h3>
+                        ${[...new Set(word.translations.map(translation => translation.language))].map(language => html`
+                        <p class="translation-row"><span class="translation-language">${this.languageName(language)}</span> ${this.translationsOf(word, language).join(', ')}</p>
+                        `)}
+                    </div>
+                    ` : ''}
+                    
+                    <div>
+                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
+                            <i class="fas fa-tags"></i> Tags
+                        </h3>
+                        ${(word.tags || []).length > 0 ? html`
+                        <div class="word-meta">
+                            ${word.tags.map(tag => html`<button class="word-tag" onclick="dictionary.showFilter(${jsArg(`tag:${tag}`)})">#${tag}</button>`)}
+                        </div>
+                        ` : html`<p style="color: var(--text-3);">No tags yet. Add some with Edit.</p>`}
+                    </div>
+                    
+                    ${collections.length > 0 ? html`
+                    <div>
+                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
+                            <i class="fas fa-folder"></i> Collections
+                        </h3>
+                        <div class="word-collections">
+                            ${collections.map(collection => html`
+                            <label>
+                                <input type="checkbox" ${(word.collections || []).includes(collection.id) ? 'checked' : ''}
+                                       onchange="dictionary.toggleWordCollection(${jsArg(word.id)}, ${jsArg(collection.id)})"> ${collection.name}
+                            </label>
+                            `)}
+                        </div>
+                    </div>
+                    ` : ''}
+                    
+                    <div style="margin-top: auto; display: grid; gap: 12px;">
+                        <div style="display: flex; gap: 12px;">
+                            <button class="btn btn-primary" onclick="dictionary.editWord(${jsArg(word.id)})" style="flex: 1;">
+                                <i class="fas fa-edit"></i> Edit
+                            </button>
+                            <button class="btn btn-outline" onclick="dictionary.showWordHistory(${jsArg(word.id)})" style="flex: 1;">
+                                <i class="fas fa-history"></i> History (${(word.history || []).length})
+                            </button>
+                        </div>
+                        <div style="display: flex; gap: 12px;">
+                            <button class="btn ${word.mastered ? 'btn-warning' : 'btn-success'}" onclick="dictionary.toggleMastered(${jsArg(word.id)})" style="flex: 1;">
+                                <i class="fas fa-star"></i> ${word.mastered ? 'Unmark Mastered' : 'Mark as Mastered'}
+                            </button>
+                            <button class="btn btn-danger" onclick="dictionary.deleteWord(${jsArg(word.id)})" style="flex: 1;">
+                                <i class="fas fa-trash"></i> Delete
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        modal.classList.add('active');
+        this.renderRecordingPanel(word.id);
+    }
+    
+    // ===== PRONUNCIATION =====
+    // The reference is the audio a lookup provider linked to, or speech
+    // synthesis when there is none. The user's own recording of a word stays
+    // on this device (see storage.js) and isn't synced; the word only keeps
+    // `recordedAt`, so other devices can say where the recording is.
+    async playPronunciation(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        try {
+            await this.audio.play(word);
+        } catch (error) {
+            console.error('Error playing pronunciation:', error);
+            this.showToast('Could not play the pronunciation', 'error');
+        }
+    }
+    
+    async renderRecordingPanel(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        const isShowing = () => document.getElementById('recordingPanel')?.dataset.wordId === String(wordId);
+        if (!word || !isShowing()) return;
+        
+        const recording = await this.getLocalRecording(wordId);
+        
+        // The modal may have moved on to another word meanwhile
+        if (!isShowing()) return;
+        const panel = document.getElementById('recordingPanel');
+        const recordingNow = this.recording?.wordId === wordId;
+        
+        if (!this.storage.db || !this.audio.canRecord) {
+            panel.innerHTML = html`<p class="recording-note">${this.storage.db ? 'This browser can\'t record audio.' : 'Recording needs a browser with IndexedDB.'}</p>`;
+            return;
+        }
+        
+        panel.innerHTML = html`
+            <h4>My pronunciation</h4>
+            <p class="recording-note">
+                ${recording ? html`Recorded ${new Date(recording.recordedAt).toLocaleDateString()} · ${recording.duration.toFixed(1)} s · kept on this device only`
+                    : word.recordedAt ? html`Recorded on another device on ${new Date(word.recordedAt).toLocaleDateString()}. Recordings stay on the device they were made on; record it again to have one here.`
+                    : 'Recordings stay on this device and aren\'t synced.'}
+            </p>
+            <div class="recording-actions">
+                ${recordingNow ? html`
+                <button class="btn btn-sm btn-danger" onclick="dictionary.stopRecording()">
+                    <i class="fas fa-stop"></i> Stop
+                </button>
+                ` : html`
+                <button class="btn btn-sm" onclick="dictionary.startRecording(${jsArg(word.id)})" ${this.recording ? 'disabled' : ''}>
+                    <i class="fas fa-microphone"></i> ${recording ? 'Record again' : 'Record'}
+                </button>
+                `}
+                ${recording && !recordingNow ? html`
+                <button class="btn btn-sm" onclick="dictionary.playRecording(${jsArg(word.id)})">
+                    <i class="fas fa-play"></i> Mine
+                </button>
+                <button class="btn btn-sm" onclick="dictionary.compareRecording(${jsArg(word.id)})" title="Reference, then your recording">
+                    <i class="fas fa-exchange-alt"></i> Compare
+                </button>
+                <button class="btn-icon" onclick="dictionary.deleteRecording(${jsArg(word.id)})" title="Delete recording">
+                    <i class="fas fa-trash" style="color: var(--danger);"></i>
+                </button>
+                ` : ''}
+            </div>
+            <div class="waveforms" id="waveforms"></div>
+        `;
+        
+        if (recording && !recordingNow) this.renderWaveforms(word, recording);
+    }
+    
+    // Reference and recording drawn one above the other. The reference only
+    // shows when its host allows reading the audio (CORS).
+    async renderWaveforms(word, recording) {
+        const container = document.getElementById('waveforms');
+        const [reference, mine] = await Promise.all([
+            word.audio ? this.audio.envelope(word.audio) : null,
+            this.audio.envelope(recording.blob)
+        ]);
+        if (!container.isConnected) return;
+        
+        const waveform = (label, { duration, peaks }) => html`
+            <div class="waveform">
+                <span class="waveform-label">${label}</span>
+                <div class="waveform-bars">${peaks.map(peak => html`<span style="height: ${Math.max(4, Math.round(peak * 100))}%;"></span>`)}</div>
+                <span class="waveform-duration">${duration.toFixed(1)} s</span>
+            </div>
+        `;
+        container.innerHTML = html`${reference ? waveform('Reference', reference) : ''}${mine ? waveform('You', mine) : ''}`;
+    }
+    
+    async startRecording(wordId) {
+        if (this.recording) return;
+        
+        let take;
+        try {
+            take = await this.audio.record();
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.showToast(error.name === 'NotAllowedError' ? 'Microphone access was blocked' : 'Could not start recording', 'error');
+            return;
+        }
+        
+        this.recording = { wordId, take };
+        this.renderRecordingPanel(wordId);
+        
+        // Stop, or the time limit, finishes the take
+        take.finished
+            .then(clip => this.saveRecording(wordId, clip))
+            .catch(error => {
+                console.error('Error recording:', error);
+                this.showToast('Recording failed', 'error');
+            })
+            .finally(() => {
+                this.recording = null;
+                this.renderRecordingPanel(wordId);
+            });
+    }
+    
+    stopRecording() {
+        this.recording?.take.stop();
+    }
+    
+    async saveRecording(wordId, { blob, mimeType, duration }) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        const recordedAt = new Date().toISOString();
+        await this.storage.putRecording({ wordId, blob, mimeType, duration, recordedAt });
+        this.markRecorded(word, recordedAt);
+        console.log(`🎙️ Saved a ${duration.toFixed(1)} s recording`);
+        this.showToast('Recording saved on this device', 'success');
+    }
+    
+    // Notes on the word (and so on every device) whether it was recorded
+    markRecorded(word, recordedAt) {
+        if (recordedAt) word.recordedAt = recordedAt;
+        else delete word.recordedAt;
+        word.updatedAt = new Date().toISOString();
+        
+        this.saveWords([word]);
+        this.queueChange('upsert', word);
+    }
+    
+    // The recording made on this device, or null when there is none here
+    // (it may have been made on another device)
+    async getLocalRecording(wordId) {
+        try {
+            const recording = await this.storage.getRecording(wordId);
+            return recording?.blob ? recording : null;
+        } catch (error) {
+            console.error('Error loading recording:', error);
+            return null;
+        }
+    }
+    
+    async playRecording(wordId) {
+        try {
+            const recording = await this.getLocalRecording(wordId);
+            if (recording) await this.audio.playClip(recording.blob);
+        } catch (error) {
+            console.error('Error playing recording:', error);
+            this.showToast('Could not play your recording', 'error');
+        }
+    }
+    
+    // The reference, a short pause, then the user's take
+    async compareRecording(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        try {
+            const recording = await this.getLocalRecording(wordId);
+            if (!recording) return;
+            
+            await this.audio.play(word);
+            await new Promise(resolve => setTimeout(resolve, 500));
+            await this.audio.playClip(recording.blob);
+        } catch (error) {
+            console.error('Error comparing pronunciations:', error);
+            this.showToast('Could not play both pronunciations', 'error');
+        }
+    }
+    
+    async deleteRecording(wordId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word || !confirm(`Delete your recording of "${word.word}"?`)) return;
+        
+        try {
+            await this.storage.deleteRecordings([wordId]);
+            this.markRecorded(word, null);
+            this.showToast('Recording deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+            this.showToast('Could not delete the recording', 'error');
+        }
+        this.renderRecordingPanel(wordId);
+    }
+    
+    // ===== TAGS & COLLECTIONS =====
+    // Tags are free text on each word. Collections are named groups kept in
+    // dictionary.json next to the words: a manual collection lists its words
+    // in each word's `collections`, a smart one (a saved filter) has a search
+    // query and holds whatever matches it. All of them appear as filters.
+    getCollections({ smart } = {}) {
+        return this.collections
+            .filter(collection => !collection.deletedAt)
+            .filter(collection => smart === undefined || (collection.query !== undefined) === smart)
+            .sort((a, b) => this.collator.compare(a.name, b.name));
+    }
+    
+    findCollection(id) {
+        return this.getCollections().find(collection => String(collection.id) === String(id)) || null;
+    }
+    
+    // Same rule as the sync workflow: the newest copy of each collection wins
+    mergeCollections(incoming) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.tombstoneRetentionDays);
+        
+        this.collections = this.identity.resolveCollections([...this.collections, ...incoming], cutoff);
+    }
+    
+    // Every tag in use and how many words have it, most used first
+    getTags() {
+        const counts = new Map();
+        this.currentWords().forEach(word => (word.tags || []).forEach(tag => {
+            const entry = counts.get(tag.toLowerCase()) || { tag, count: 0 };
+            entry.count++;
+            counts.set(tag.toLowerCase(), entry);
+        }));
+        
+        return [...counts.values()].sort((a, b) => (b.count - a.count) || this.collator.compare(a.tag, b.tag));
+    }
+    
+    // Asks for a name; null when cancelled or already taken
+    askCollectionName(message, current = '', exceptId = null) {
+        const answer = prompt(message, current);
+        if (answer === null) return null;
+        
+        const name = this.sanitizeText(answer, 60);
+        if (!name) return null;
+        
+        const taken = this.getCollections().find(c => c.id !== exceptId && c.name.toLowerCase() === name.toLowerCase());
+        if (taken) {
+            this.showToast(`There is already a collection or filter called "${taken.name}"`, 'error');
+            return null;
+        }
+        return name;
+    }
+    
+    createCollection() {
+        const name = this.askCollectionName('Name the new collection (a course, book or topic):');
+        if (!name) return;
+        
+        const now = new Date().toISOString();
+        const collection = { id: this.identity.newId(), name, createdAt: now, updatedAt: now };
+        this.saveCollection(collection);
+        this.showToast(`Collection "${name}" created. Add words to it from their details or the word form.`, 'success');
+    }
+    
+    // Saves what's in the search box as a smart filter and switches to it
+    saveSearchAsFilter() {
+        const input = document.getElementById('searchInput');
+        const query = input.value.trim();
+        if (!query) {
+            this.showToast('Type a search first, e.g. tag:gre is:due', 'info');
+            return;
+        }
+        
+        const name = this.askCollectionName(`Name the smart filter for "${query}":`);
+        if (!name) return;
+        
+        const now = new Date().toISOString();
+        const collection = { id: this.identity.newId(), name, query, createdAt: now, updatedAt: now };
+        this.saveCollection(collection);
+        
+        input.value = '';
+        this.setFilter(`collection:${collection.id}`);
+        this.showToast(`Smart filter "${name}" saved`, 'success');
+    }
+    
+    renameCollection(id) {
+        const collection = this.findCollection(id);
+        if (!collection) return;
+        
+        const name = this.askCollectionName('New name:', collection.name, collection.id);
+        if (!name || name === collection.name) return;
+        
+        this.saveCollection({ ...collection, name, updatedAt: new Date().toISOString() });
+    }
+    
+    editFilterQuery(id) {
+        const collection = this.findCollection(id);
+        if (!collection || collection.query === undefined) return;
+        
+        const answer = prompt(`Search for "${collection.name}":`, collection.query);
+        const query = answer === null ? '' : this.sanitizeText(answer, 500);
+        if (!query || query === collection.query) return;
+        
+        this.saveCollection({ ...collection, query, updatedAt: new Date().toISOString() });
+        this.renderWordList();
+    }
+    
+    // Words stay where they are; only the collection goes
+    deleteCollection(id) {
+        const collection = this.findCollection(id);
+        if (!collection || !confirm(`Delete "${collection.name}"? Its words stay in your dictionary.`)) return;
+        
+        // Its words drop the id in the same save and push as the deletion
+        const members = this.words.filter(word => word.collections?.includes(collection.id));
+        members.forEach(word => this.organizeWord(word, { collections: word.collections.filter(c => c !== collection.id) }));
+        this.saveWords(members);
+        members.forEach(word => this.queueChange('upsert', word));
+        
+        const now = new Date().toISOString();
+        this.saveCollection({ ...collection, updatedAt: now, deletedAt: now });
+        this.renderWordList();
+        
+        if (this.currentFilter === `collection:${collection.id}`) this.setFilter('all');
+        this.showToast(`"${collection.name}" deleted`, 'success');
+    }
+    
+    saveCollection(collection) {
+        this.collections = [...this.collections.filter(c => c.id !== collection.id), collection];
+        this.saveSyncState('collections');
+        this.queueChange('collection', { id: collection.id, word: collection.name });
+        this.updateStats();
+    }
+    
+    toggleWordCollection(wordId, collectionId) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        const current = word.collections || [];
+        const collections = current.includes(collectionId)
+            ? current.filter(id => id !== collectionId)
+            : [...current, collectionId];
+        
+        this.organizeWord(word, { collections });
+        this.saveWords([word]);
+        this.queueChange('upsert', word);
+        this.updateStats();
+        this.renderWordList();
+    }
+    
+    // Buttons in the filter panel (data-action) other than the filters themselves
+    runFilterAction(action, id) {
+        switch (action) {
+            case 'new-collection': return this.createCollection();
+            case 'save-search': return this.saveSearchAsFilter();
+            case 'rename': return this.renameCollection(id);
+            case 'edit-query': return this.editFilterQuery(id);
+            case 'delete': return this.deleteCollection(id);
+        }
+    }
+    
+    renderCustomFilters() {
+        const container = document.getElementById('customFilters');
+        const tags = this.getTags();
+        
+        // What was being shown may be gone (deleted on another device, last tag removed)
+        const filter = this.currentFilter.toLowerCase();
+        const gone = (filter.startsWith('collection:') && !this.findCollection(this.currentFilter.slice(11))) ||
+            (filter.startsWith('tag:') && !tags.some(({ tag }) => `tag:${tag.toLowerCase()}` === filter));
+        if (gone) {
+            this.currentFilter = 'all';
+            document.querySelector('.filter-btn[data-filter="all"]').classList.add('active');
+        }
+        
+        const button = (collection, icon) => {
+            const filter = `collection:${collection.id}`;
+            return html`
+                <button class="filter-btn ${this.currentFilter === filter ? 'active' : ''}" data-filter="${filter}"
+                        title="${collection.query !== undefined ? collection.query : ''}">
+                    <i class="fas ${icon}"></i>
+                    <span class="filter-name">${collection.name}</span>
+                    <span class="filter-count">${this.filterWords(this.currentWords(), filter).length}</span>
+                    <span class="filter-actions">
+                        ${collection.query !== undefined ? html`<i class="fas fa-search" data-action="edit-query" data-id="${collection.id}" title="Change the search"></i>` : ''}
+                        <i class="fas fa-pen" data-action="rename" data-id="${collection.id}" title="Rename"></i>
+                        <i class="fas fa-times" data-action="delete" data-id="${collection.id}" title="Delete"></i>
+                    </span>
+                </button>
+            `;
+        };
+        
+        const manual = this.getCollections({ smart: false });
+        const smart = this.getCollections({ smart: true });
+        
+        container.innerHTML = html`
+            <div class="filter-group">
+                <h4>
+                    <span><i class="fas fa-folder"></i> Collections</span>
+                    <button class="filter-add" data-action="new-collection" title="New collection"><i class="fas fa-plus"></i></button>
+                </h4>
+                ${manual.length > 0
+                    ? html`<div class="filter-buttons">${manual.map(collection => button(collection, 'fa-folder-open'))}</div>`
+                    : html`<p class="settings-hint">Group words by course, book or topic.</p>`}
+            </div>
+            
+            <div class="filter-group">
+                <h4>
+                    <span><i class="fas fa-magic"></i> Smart Filters</span>
+                    <button class="filter-add" data-action="save-search" title="Save the current search as a smart filter"><i class="fas fa-plus"></i></button>
+                </h4>
+                ${smart.length > 0
+                    ? html`<div class="filter-buttons">${smart.map(collection => button(collection, 'fa-magic'))}</div>`
+                    : html`<p class="settings-hint">Search (e.g. <code>tag:gre is:due</code>), then press + to keep it here.</p>`}
+            </div>
+            
+            ${tags.length > 0 ? html`
+            <div class="filter-group">
+                <h4><span><i class="fas fa-tags"></i> Tags</span></h4>
+                <div class="filter-tags">
+                    ${tags.map(({ tag, count }) => html`
+                    <button class="filter-tag ${this.currentFilter.toLowerCase() === `tag:${tag.toLowerCase()}` ? 'active' : ''}" data-filter="tag:${tag}">
+                        #${tag} <span>${count}</span>
+                    </button>
+                    `)}
+                </div>
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    // ===== SPACED REPETITION =====
+    // The SM-2 schedule is in review.js; this grades words from the review
+    // modal and runs review sessions.
+    gradeWord(wordId, quality) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        const wasMastered = word.mastered;
+        this.scheduler.grade(word, quality);
+        
+        this.recordActivity('review', word, { quality, difficulty: word.difficulty, partOfSpeech: word.partOfSpeech });
+        if (word.mastered !== wasMastered) this.recordActivity(word.mastered ? 'master' : 'unmaster', word);
+        
+        this.saveWords([word]);
+        this.queueChange('upsert', word);
+        this.updateStats();
+        this.renderWordList(document.getElementById('searchInput').value);
+    }
+    
+    // Reviews the due words in what the grid is showing (filter and search)
+    startReview() {
+        const scope = this.getExportScope();
+        const queue = this.getFilteredWords()
+            .filter(word => this.scheduler.isDue(word))
+            .sort((a, b) => new Date(a.review?.due || 0) - new Date(b.review?.due || 0))
+            .map(word => word.id);
+        
+        const scoped = scope.filter !== 'all' || scope.search !== '';
+        
+        if (queue.length === 0) {
+            this.showToast(scoped ? `🎉 Nothing due in ${this.exporter.describeScope(scope)}` : '🎉 Nothing due for review today!', 'success');
+            return;
+        }
+        
+        this.reviewSession = { queue, total: queue.length, revealed: false, graded: 0, scope: scoped ? this.exporter.describeScope(scope) : null };
+        this.renderReviewCard();
+        document.getElementById('reviewModal').classList.add('active');
+    }
+    
+    renderReviewCard() {
+        const body = document.getElementById('reviewModalBody');
+        const session = this.reviewSession;
+        const word = session && this.words.find(w => w.id === session.queue[0]);
+        
+        if (!word) {
+            body.innerHTML = html`
+                <div class="review-done">
+                    <i class="fas fa-check-circle"></i>
+                    <h3>Review complete</h3>
+                    <p>You reviewed ${session ? session.graded : 0} word(s). See you tomorrow!</p>
+                    <button class="btn btn-primary" onclick="document.getElementById('reviewModal').classList.remove('active')">
+                        Done
+                    </button>
+                </div>
+            `;
+            this.reviewSession = null;
+            return;
+        }
+        
+        body.innerHTML = html`
+            <div class="review-card">
+                <div class="review-progress">${session.total - session.queue.length + 1} / ${session.total}${session.scope ? ` · ${session.scope}` : ''}</div>
+                <h1 class="word-title-large">${word.word}</h1>
+                ${word.pronunciation ? html`<p class="review-pronunciation">${word.pronunciation}</p>` : ''}
+                
+                ${session.revealed ? html`
+                <div class="review-answer">
+                    <div class="definition-box">
+                        <h3>${word.partOfSpeech}</h3>
+                        <div class="definition-content">${word.definition}</div>
+                    </div>
+                    ${(word.examples || []).length > 0 ? html`
+                    <div class="examples-list">
+                        ${word.examples.map(ex => html`<div class="example-item">${ex}</div>`)}
+                    </div>
+                    ` : ''}
+                </div>
+                
+                <div class="review-grades">
+                    <button class="btn btn-danger" onclick="dictionary.answerReview(1)">Again</button>
+                    <button class="btn btn-warning" onclick="dictionary.answerReview(3)">Hard</button>
+                    <button class="btn btn-primary" onclick="dictionary.answerReview(4)">Good</button>
+                    <button class="btn btn-success" onclick="dictionary.answerReview(5)">Easy</button>
+                </div>
+                ` : html`
+                <button class="btn btn-primary review-reveal" onclick="dictionary.revealAnswer()">
+                    <i class="fas fa-eye"></i> Show Definition
+                </button>
+                `}
+            </div>
+        `;
+    }
+    
+    revealAnswer() {
+        if (!this.reviewSession) return;
+        
+        this.reviewSession.revealed = true;
+        this.renderReviewCard();
+    }
+    
+    answerReview(quality) {
+        const session = this.reviewSession;
+        if (!session || !session.revealed) return;
+        
+        const wordId = session.queue.shift();
+        this.gradeWord(wordId, quality);
+        session.graded++;
+        
+        // Forgotten words come back at the end of this session
+        if (quality < 3) session.queue.push(wordId);
+        
+        session.revealed = false;
+        this.renderReviewCard();
+    }
+    
+    // ===== QUIZ =====
+    startQuiz() {
+        const generator = new QuizGenerator(this.currentWords(), text => this.searchIndex.normalize(text));
+        const questions = generator.generate(10);
+        
+        if (questions.length === 0) {
+            this.showToast('Add a few more words with examples or synonyms to take a quiz', 'info');
+            return;
+        }
+        
+        this.quizSession = { generator, questions, index: 0, score: 0, feedback: null };
+        this.renderQuizQuestion();
+        document.getElementById('quizModal').classList.add('active');
+    }
+    
+    renderQuizQuestion() {
+        const body = document.getElementById('quizModalBody');
+        const session = this.quizSession;
+        const question = session.questions[session.index];
+        
+        if (!question) {
+            const percent = Math.round((session.score / session.questions.length) * 100);
+            body.innerHTML = html`
+                <div class="review-done">
+                    <i class="fas fa-trophy"></i>
+                    <h3>${session.score} / ${session.questions.length} correct (${percent}%)</h3>
+                    <p>Your results were saved to each word's stats.</p>
+                    <div style="display: flex; gap: 12px;">
+                        <button class="btn btn-outline" onclick="document.getElementById('quizModal').classList.remove('active')">Close</button>
+                        <button class="btn btn-primary" onclick="dictionary.startQuiz()"><i class="fas fa-redo"></i> New Quiz</button>
+                    </div>
+                </div>
+            `;
+            this.quizSession = null;
+            return;
+        }
+        
+        const labels = {
+            definition: 'Which word means this?',
+            cloze: 'Fill in the blank',
+            matching: `Match each word with a ${question.relation === 'synonyms' ? 'synonym' : 'antonym'}`,
+            spelling: 'Spell the word'
+        };
+        const answered = session.feedback !== null;
+        
+        let content = '';
+        if (question.kind === 'definition') {
+            content = html`
+                <p class="quiz-prompt">${question.prompt}</p>
+                <div class="quiz-options">
+                    ${question.options.map((option, i) => html`
+                    <button type="button" class="quiz-option ${answered && option === question.answer ? 'correct' : ''}" ${answered ? 'disabled' : ''} onclick="dictionary.answerQuiz(${i})">
+                        ${option}
+                    </button>
+                    `)}
+                </div>
+            `;
+        } else if (question.kind === 'matching') {
+            content = html`
+                <div class="quiz-matching">
+                    ${question.pairs.map(pair => html`
+                    <div class="quiz-match-row">
+                        <strong>${pair.word}</strong>
+                        <select data-word-id="${pair.wordId}" ${answered ? 'disabled' : ''}>
+                            <option value="">Choose...</option>
+                            ${question.options.map(option => html`<option value="${option}">${option}</option>`)}
+                        </select>
+                        ${answered ? html`<span class="quiz-match-answer">${pair.match}</span>` : ''}
+                    </div>
+                    `)}
+                </div>
+                ${answered ? '' : html`<button type="submit" class="btn btn-primary">Check</button>`}
+            `;
+        } else {
+            content = html`
+                <p class="quiz-prompt ${question.kind === 'spelling' ? 'review-pronunciation' : ''}">${question.prompt}</p>
+                <p class="quiz-hint">${question.hint}</p>
+                <input type="text" id="quizAnswer" class="settings-input" autocomplete="off" spellcheck="false" ${answered ? 'disabled' : ''}>
+                ${answered ? '' : html`<button type="submit" class="btn btn-primary">Check</button>`}
+            `;
+        }
+        
+        body.innerHTML = html`
+            <form id="quizForm" class="review-card">
+                <div class="review-progress">Question ${session.index + 1} / ${session.questions.length} • ${labels[question.kind]}</div>
+                ${content}
+                ${answered ? html`
+                <div class="quiz-feedback ${session.feedback.correct ? 'correct' : 'incorrect'}">
+                    ${session.feedback.correct ? html`<i class="fas fa-check"></i> Correct!` : html`<i class="fas fa-times"></i> Not quite${question.kind === 'matching' ? '' : html` — the answer is <strong>${question.answer}</strong>`}`}
+                </div>
+                <button type="button" class="btn btn-primary" onclick="dictionary.nextQuizQuestion()">
+                    Next <i class="fas fa-arrow-right"></i>
+                </button>
+                ` : ''}
+            </form>
+        `;
+        
+        // Keep what the user typed or picked visible after checking
+        if (answered && question.kind === 'matching') {
+            body.querySelectorAll('select[data-word-id]').forEach(select => {
+                select.value = session.feedback.answer[select.dataset.wordId] || '';
+            });
+        } else if (answered && question.kind !== 'definition') {
+            document.getElementById('quizAnswer').value = session.feedback.answer;
+        }
+        
+        document.getElementById('quizForm').onsubmit = (e) => {
+            e.preventDefault();
+            this.answerQuiz();
+        };
+        
+        document.getElementById('quizAnswer')?.focus();
+    }
+    
+    answerQuiz(optionIndex = null) {
+        const session = this.quizSession;
+        if (!session || session.feedback) return;
+        
+        const question = session.questions[session.index];
+        let answer;
+        
+        if (question.kind === 'definition') {
+            answer = question.options[optionIndex];
+        } else if (question.kind === 'matching') {
+            answer = {};
+            document.querySelectorAll('#quizForm select[data-word-id]').forEach(select => {
+                answer[select.dataset.wordId] = select.value;
+            });
+        } else {
+            answer = document.getElementById('quizAnswer').value;
+        }
+        
+        const { correct, results } = session.generator.check(question, answer);
+        results.forEach(result => this.recordQuizResult(result.wordId, result.correct));
+        
+        if (correct) session.score++;
+        session.feedback = { correct, answer };
+        
+        this.updateStats();
+        this.renderWordList(document.getElementById('searchInput').value);
+        this.renderQuizQuestion();
+    }
+    
+    nextQuizQuestion() {
+        if (!this.quizSession) return;
+        
+        this.quizSession.index++;
+        this.quizSession.feedback = null;
+        this.renderQuizQuestion();
+    }
+    
+    recordQuizResult(wordId, correct) {
+        const word = this.words.find(w => w.id === wordId);
+        if (!word) return;
+        
+        const stats = word.quiz || { attempts: 0, correct: 0 };
+        word.quiz = {
+            attempts: stats.attempts + 1,
+            correct: stats.correct + (correct ? 1 : 0),
+            lastAttempt: new Date().toISOString()
+        };
+        
+        // With enough answers, how well the word is known decides its difficulty
+        if (word.quiz.attempts >= this.quizDifficultyThreshold) {
+            const accuracy = word.quiz.correct / word.quiz.attempts;
+            word.difficulty = accuracy >= 0.8 ? 'easy' : accuracy >= 0.5 ? 'medium' : 'hard';
+        }
+        
+        word.updatedAt = new Date().toISOString();
+        
+        this.saveWords([word]);
+        this.queueChange('upsert', word);
+    }
+    
+    // ===== ACTIVITY & ANALYTICS =====
+    // Every add, (un)master and review is logged (see activity.js). The log
+    // syncs with the words, so the charts cover all devices.
+    activityEvent(type, word, details = {}) {
+        return {
+            // One add per word, so devices that backfill the same word agree
+            id: type === 'add' ? `add_${word.id}` : this.identity.newId(),
+            type,
+            at: new Date().toISOString(),
+            wordId: word.id,
+            word: word.word,
+            ...details
+        };
+    }
+    
+    recordActivity(type, word, details = {}) {
+        this.activity.push(this.activityEvent(type, word, details));
+        this.saveSyncState('activity');
+    }
+    
+    mergeActivity(incoming) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.activityRetentionDays);
+        this.activity = new ActivityLog([...this.activity, ...incoming]).compact(cutoff);
+    }
+    
+    // Words from before the log existed get an add event at their creation
+    // date, and mastered ones a master event at their last update
+    backfillActivity() {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - this.activityRetentionDays);
+        
+        const ids = new Set(this.activity.map(event => event.id));
+        const masteredIds = new Set(this.activity.filter(event => event.type === 'master').map(event => event.wordId));
+        const missing = [];
+        
+        this.words.forEach(word => {
+            const addedAt = word.createdAt || word.updatedAt;
+            if (addedAt && new Date(addedAt) >= cutoff && !ids.has(`add_${word.id}`)) {
+                missing.push({ ...this.activityEvent('add', word), at: addedAt });
+            }
+            
+            if (word.mastered && word.updatedAt && new Date(word.updatedAt) >= cutoff && !masteredIds.has(word.id)) {
+                missing.push({ ...this.activityEvent('master', word), id: `master_${word.id}`, at: word.updatedAt });
+            }
+        });
+        
+        if (missing.length === 0) return;
+        
+        this.mergeActivity(missing);
+        this.saveSyncState('activity');
+        console.log(`📈 Backfilled ${missing.length} activity event(s)`);
+    }
+    
+    showAnalytics(period = 'day') {
+        const log = new ActivityLog(this.activity);
+        const modal = document.getElementById('analyticsModal');
+        const modalBody = document.getElementById('analyticsModalBody');
+        
+        if (this.activity.length === 0) {
+            modalBody.innerHTML = html`
+                <div class="empty-state" style="padding: 20px;">
+                    <i class="fas fa-chart-line"></i>
+                    <h3>No activity yet</h3>
+                    <p>Add and review some words and your progress will show up here.</p>
+                </div>
+            `;
+            modal.classList.add('active');
+            return;
+        }
+        
+        const monthAgo = new Date();
+        monthAgo.setDate(monthAgo.getDate() - 30);
+        
+        const streaks = log.streaks();
+        const recent = log.accuracy('difficulty', monthAgo).reduce(
+            (total, group) => ({ reviews: total.reviews + group.reviews, correct: total.correct + group.correct }),
+            { reviews: 0, correct: 0 }
+        );
+        const added = period === 'week' ? log.added('week', 12) : log.added('day', 30);
+        const mastery = log.mastery(90);
+        const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 100) : 0);
+        
+        modalBody.innerHTML = html`
+            <div class="analytics">
+                <div class="analytics-summary">
+                    <div class="analytics-stat">
+                        <strong>${streaks.current} day${streaks.current === 1 ? '' : 's'}</strong>
+                        <span>Current streak${streaks.current > 0 && !streaks.activeToday ? ' (review today to keep it)' : ''}</span>
+                    </div>
+                    <div class="analytics-stat">
+                        <strong>${streaks.longest} day${streaks.longest === 1 ? '' : 's'}</strong>
+                        <span>Longest streak</span>
+                    </div>
+                    <div class="analytics-stat">
+                        <strong>${recent.reviews}</strong>
+                        <span>Reviews in the last 30 days</span>
+                    </div>
+                    <div class="analytics-stat">
+                        <strong>${recent.reviews > 0 ? `${percent(recent.correct, recent.reviews)}%` : '–'}</strong>
+                        <span>Remembered in the last 30 days</span>
+                    </div>
+                </div>
+                
+                <section class="analytics-section">
+                    <div class="analytics-section-header">
+                        <h4>Words added</h4>
+                        <div class="analytics-toggle">
+                            <button class="btn btn-sm ${period === 'day' ? 'btn-primary' : 'btn-outline'}" onclick="dictionary.showAnalytics('day')">Daily</button>
+                            <button class="btn btn-sm ${period === 'week' ? 'btn-primary' : 'btn-outline'}" onclick="dictionary.showAnalytics('week')">Weekly</button>
+                        </div>
+                    </div>
+                    ${this.renderBarChart(added, period === 'week' ? 'week of ' : '')}
+                </section>
+                
+                <section class="analytics-section">
+                    <div class="analytics-section-header">
+                        <h4>Mastered words, last 90 days</h4>
+                        <span class="analytics-note">${mastery[mastery.length - 1].count} now</span>
+                    </div>
+                    ${this.renderLineChart(mastery)}
+                </section>
+                
+                <section class="analytics-section analytics-columns">
+                    <div>
+                        <h4>Accuracy by difficulty</h4>
+                        ${this.renderAccuracy(log.accuracy('difficulty'))}
+                    </div>
+                    <div>
+                        <h4>Accuracy by part of speech</h4>
+                        ${this.renderAccuracy(log.accuracy('partOfSpeech').slice(0, 8))}
+                    </div>
+                </section>
+                
+                <section class="analytics-section">
+                    <div class="analytics-section-header">
+                        <h4>Activity this year</h4>
+                        <span class="analytics-note">Adds, reviews and mastered words per day</span>
+                    </div>
+                    ${this.renderHeatmap(log.heatmap())}
+                </section>
+            </div>
+        `;
+        
+        modal.classList.add('active');
+    }
+    
+    renderBarChart(series, prefix = '') {
+        const max = Math.max(1, ...series.map(point => point.count));
+        
+        return html`
+            <div class="analytics-bars">
+                ${series.map(point => html`
+                    <div class="analytics-bar" title="${prefix}${point.label}: ${point.count}">
+                        <div style="height: ${point.count / max * 100}%"></div>
+                    </div>
+                `)}
+            </div>
+            <div class="analytics-axis"><span>${series[0].label}</span><span>${series[series.length - 1].label}</span></div>
+        `;
+    }
+    
+    renderLineChart(series) {
+        const max = Math.max(1, ...series.map(point => point.count));
+        const step = 300 / Math.max(1, series.length - 1);
+        const points = series.map((point, i) => `${(i * step).toFixed(1)},${(100 - point.count / max * 95).toFixed(1)}`).join(' ');
+        
+        return html`
+            <svg class="analytics-line" viewBox="0 0 300 100" preserveAspectRatio="none" role="img" aria-label="Mastered words over the last ${series.length} days">
+                <polyline points="0,100 ${points} 300,100" class="analytics-line-area"></polyline>
+                <polyline points="${points}" class="analytics-line-stroke"></polyline>
+            </svg>
+            <div class="analytics-axis"><span>${series[0].label}</span><span>${series[series.length - 1].label}</span></div>
+        `;
+    }
+    
+    renderAccuracy(groups) {
+        if (groups.length === 0) return html`<p class="analytics-note">No reviews yet</p>`;
+        
+        return groups.map(group => {
+            const share = Math.round(group.correct / group.reviews * 100);
+            return html`
+                <div class="accuracy-row" title="${group.correct} of ${group.reviews} remembered">
+                    <span class="accuracy-label">${group.key}</span>
+                    <div class="accuracy-track"><div style="width: ${share}%"></div></div>
+                    <span class="accuracy-value">${share}%</span>
+                </div>
+            `;
+        });
+    }
+    
+    renderHeatmap(days) {
+        const level = count => (count === 0 ? 0 : count <= 2 ? 1 : count <= 5 ? 2 : count <= 9 ? 3 : 4);
+        
+        return html`
+            <div class="heatmap">
+                ${days.map(({ day, count, future }) => html`
+                    <span class="heatmap-day ${future ? 'future' : `level-${level(count)}`}" title="${future ? '' : `${day}: ${count}`}"></span>
+                `)}
+            </div>
+        `;
+    }
+    
+    // ===== UI RENDERING =====
+    renderWordList(search = document.getElementById('searchInput').value) {
+        const emptyState = document.getElementById('emptyState');
+        const results = this.searchWords(search);
+        const items = this.groupResults(results);
+        
+        emptyState.classList.toggle('active', results.length === 0);
+        this.wordGrid.setItems(items);
+        this.renderJumpBar(items, search);
+    }
+    
+    // Cards are drawn by cards.js; this is what they need from the app
+    cardView(word) {
+        return { translationLanguage: this.currentDictionary().translationLanguage, selected: word.id === this.selectedWordId };
+    }
+    
+    wordCardVersion(item) {
+        return this.wordCards.version(item, this.cardView(item.word));
+    }
+    
+    renderWordCard(item) {
+        return this.wordCards.render(item, this.cardView(item.word));
+    }
+    
+    // The words the grid is showing: current filter plus search
+    getFilteredWords(search = document.getElementById('searchInput').value) {
+        return this.searchWords(search).map(result => result.word);
+    }
+    
+    // Search results for the current filter: [{ word, score, terms }], best
+    // match first when there is search text, then in the chosen sort order
+    searchWords(search = document.getElementById('searchInput').value) {
+        this.searchIndex.sync(this.words);
+        
+        const words = this.filterWords(this.currentWords(), this.currentFilter);
+        return this.searchIndex.search(search, words)
+            .sort((a, b) => (b.score - a.score) || this.compareWords(a.word, b.word));
+    }
+    
+    // Smart filters run their search once for the whole list instead of per word
+    filterWords(words, filter) {
+        const collection = filter.startsWith('collection:') ? this.findCollection(filter.slice(11)) : null;
+        if (collection?.query === undefined) return words.filter(word => this.matchesFilter(word, filter));
+        
+        this.searchIndex.sync(this.words);
+        const matching = new Set(this.searchIndex.search(collection.query, words).map(result => result.word));
+        return words.filter(word => matching.has(word));
+    }
+    
+    matchesFilter(word, filter) {
+        if (filter.startsWith('tag:')) {
+            const tag = filter.slice(4).toLowerCase();
+            return (word.tags || []).some(t => t.toLowerCase() === tag);
+        }
+        
+        if (filter.startsWith('collection:')) {
+            const collection = this.findCollection(filter.slice(11));
+            if (!collection) return false;
+            if (collection.query !== undefined) return this.filterWords([word], filter).length > 0;
+            return (word.collections || []).includes(collection.id);
+        }
+        
+        switch(filter) {
+            case 'mastered': return word.mastered;
+            case 'learning': return !word.mastered;
+            case 'difficult': return word.difficulty === 'hard';
+            case 'due': return this.scheduler.isDue(word);
+            case 'recent': 
+                const weekAgo = new Date();
+                weekAgo.setDate(weekAgo.getDate() - 7);
+                return new Date(word.createdAt) > weekAgo;
+            default: return true;
+        }
+    }
+    
+    setFilter(filter) {
+        this.currentFilter = filter;
+        
+        document.querySelectorAll('.filters [data-filter]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter.toLowerCase() === filter.toLowerCase());
+        });
+        
+        this.renderWordList(document.getElementById('searchInput').value);
+    }
+    
+    // Closes the word modal and shows a filter (tag links in word details)
+    showFilter(filter) {
+        document.getElementById('wordModal').classList.remove('active');
+        this.setFilter(filter);
+    }
+    
+    describeFilter(filter) {
+        const builtIn = { all: 'All words', mastered: 'Mastered', learning: 'Learning', difficult: 'Difficult', recent: 'Recent', due: 'Due today' };
+        if (builtIn[filter]) return builtIn[filter];
+        if (filter.startsWith('tag:')) return `Tag: #${filter.slice(4)}`;
+        
+        const collection = filter.startsWith('collection:') ? this.findCollection(filter.slice(11)) : null;
+        if (!collection) return filter;
+        return `${collection.query !== undefined ? 'Smart filter' : 'Collection'}: ${collection.name}`;
+    }
+    
+    updateStats() {
+        const words = this.currentWords();
+        document.getElementById('totalWords').textContent = words.length;
+        
+        const mastered = words.filter(w => w.mastered).length;
+        document.getElementById('masteredWords').textContent = mastered;
+        
+        const weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - 7);
+        const recent = words.filter(w => new Date(w.createdAt) > weekAgo).length;
+        document.getElementById('recentWords').textContent = recent;
+        
+        const difficult = words.filter(w => w.difficulty === 'hard').length;
+        document.getElementById('difficultWords').textContent = difficult;
+        
+        // Collection, tag, dictionary and workspace counts change with the words
+        this.renderCustomFilters();
+        this.discoverDictionaries();
+        this.renderDictionarySelect();
+        this.updateWorkspaceCount();
+        
+        const due = words.filter(w => this.scheduler.isDue(w)).length;
+        document.getElementById('dueCount').textContent = due;
+        
+        const quizTotals = words.reduce((totals, w) => {
+            totals.attempts += w.quiz?.attempts || 0;
+            totals.correct += w.quiz?.correct || 0;
+            return totals;
+        }, { attempts: 0, correct: 0 });
+        document.getElementById('quizAnswers').textContent = quizTotals.attempts;
+        document.getElementById('quizAccuracy').textContent = quizTotals.attempts > 0
+            ? `${Math.round((quizTotals.correct / quizTotals.attempts) * 100)}%`
+            : '–';
+    }
+    
+    showExportModal() {
+        const words = this.getFilteredWords();
+        const scope = this.getExportScope();
+        const formats = this.exporter.formats;
+        
+        document.getElementById('exportModalBody').innerHTML = html`
+            <p class="settings-hint" style="margin: 0 0 20px;">
+                Exporting <strong>${words.length}</strong> of ${this.currentWords().length} word(s) · ${this.exporter.describeScope(scope)}
+            </p>
+            <div class="export-formats">
+                ${Object.entries(formats).map(([key, format]) => html`
+                <button class="export-format" onclick="dictionary.exportDictionary(${jsArg(key)})" ${words.length === 0 ? 'disabled' : ''}>
+                    <i class="fas ${format.icon}"></i>
+                    <strong>${format.label}</strong>
+                    <span>${format.description}</span>
+                </button>
+                `)}
+            </div>
+        `;
+        
+        document.getElementById('exportModal').classList.add('active');
+    }
+    
+    getExportScope() {
+        return {
+            filter: this.currentFilter,
+            label: this.describeFilter(this.currentFilter),
+            search: document.getElementById('searchInput').value.trim(),
+            language: this.currentDictionary().language
+        };
+    }
+    
+    // Exports what the grid is showing (current filter and search)
+    async exportDictionary(format = 'json') {
+        const words = this.getFilteredWords();
+        const scope = this.getExportScope();
+        
+        if (words.length === 0) {
+            this.showToast('No words match the current filter', 'error');
+            return;
+        }
+        
+        try {
+            let file;
+            switch (format) {
+                case 'csv': file = this.exporter.toCSV(words); break;
+                case 'anki':
+                    this.showToast('Building Anki deck...', 'info');
+                    // A collection becomes a deck of the same name
+                    file = await this.exporter.toAnki(words, scope.filter.startsWith('collection:') ? this.findCollection(scope.filter.slice(11))?.name : undefined);
+                    break;
+                case 'html':
+                case 'print': file = this.exporter.toHTML(words, scope); break;
+                case 'markdown': file = this.exporter.toMarkdown(words, scope); break;
+                default: file = this.exporter.toJSON(words, scope);
+            }
+            
+            if (format === 'print') {
+                this.printDocument(file.content);
+            } else {
+                this.downloadFile(file);
+                this.showToast(`Exported ${words.length} word(s) as ${this.exporter.formats[format]?.label || 'JSON'}`, 'success');
+            }
+            
+            document.getElementById('exportModal').classList.remove('active');
+            
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        }
+    }
+    
+    downloadFile({ filename, type, content }) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    // Opens the study sheet in a new tab and brings up the print dialog
+    // (where "Save as PDF" is available)
+    printDocument(markup) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            this.showToast('Allow pop-ups to print the study sheet', 'error');
+            return;
+        }
+        
+        printWindow.document.write(markup);
+        printWindow.document.close();
+        
+        // A written document may already be loaded by now, and then 'load' never comes
+        const print = () => {
+            printWindow.focus();
+            printWindow.print();
+        };
+        if (printWindow.document.readyState === 'complete') {
+            print();
+        } else {
+            printWindow.addEventListener('load', print, { once: true });
+        }
+    }
+    
+    // ===== WORKSPACES =====
+    // A workspace is a separate set of words: its own database on this device
+    // and its own sync target (GitHub owner, repo, branch and path). The list
+    // is kept on this device. There is one token for all of them, so it needs
+    // access to every repository a workspace syncs to.
+    setupWorkspaces() {
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getSetting('dictionary_workspaces', '[]'));
+        } catch (error) {
+            console.error('Ignoring saved workspaces:', error);
+        }
+        
+        const workspaces = (Array.isArray(saved) ? saved : []).map(entry => this.sanitizeWorkspace(entry)).filter(Boolean);
+        
+        // The default workspace holds the words saved before workspaces existed
+        if (!workspaces.some(w => w.id === 'default')) workspaces.unshift(this.workspaces[0]);
+        this.workspaces = workspaces;
+        
+        const current = this.storage.getSetting('dictionary_workspace', 'default');
+        this.applyWorkspace(this.workspaces.find(w => w.id === current) || this.workspaces[0]);
+        this.renderWorkspaceSelect();
+    }
+    
+    sanitizeWorkspace(entry) {
+        const id = typeof entry?.id === 'string' && /^[\w-]+$/.test(entry.id) ? entry.id : null;
+        const target = this.sanitizeSyncTarget(entry || {});
+        if (!id || !target) return null;
+        
+        const name = typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim().slice(0, 60) : 'Untitled';
+        return { id, name, ...target, wordCount: this.sanitizeNumber(entry.wordCount, undefined) };
+    }
+    
+    // { owner, repo, branch, path }, or null if it can't be a file on GitHub
+    sanitizeSyncTarget({ owner, repo, branch, path }) {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        const target = {
+            owner: text(owner),
+            repo: text(repo),
+            branch: text(branch),
+            path: text(path).replace(/^\/+/, '')
+        };
+        
+        const valid = /^[A-Za-z0-9-]+$/.test(target.owner) &&
+            /^[\w.-]+$/.test(target.repo) &&
+            /^[^\s~^:?*[\\]+$/.test(target.branch) &&
+            /^[^\s?#]+$/.test(target.path) &&
+            !target.path.split('/').includes('..');
+        return valid ? target : null;
+    }
+    
+    saveWorkspaces() {
+        this.storage.setSetting('dictionary_workspaces', JSON.stringify(this.workspaces));
+    }
+    
+    currentWorkspace() {
+        return this.workspaces.find(w => w.id === this.currentWorkspaceId) || this.workspaces[0];
+    }
+    
+    describeSyncTarget({ owner, repo, branch, path }) {
+        return `${owner}/${repo} @ ${branch} → ${path}`;
+    }
+    
+    // Points storage and sync at a workspace; loading its words is up to the caller
+    applyWorkspace(workspace) {
+        const { owner, repo, branch, path } = workspace;
+        
+        this.currentWorkspaceId = workspace.id;
+        this.githubConfig = { ...this.githubConfig, owner, repo, branch, path };
+        this.storage = new DictionaryStorage(workspace.id === 'default' ? null : workspace.id);
+    }
+    
+    // Returns false if the switch had to wait (a sync is running)
+    async switchWorkspace(id) {
+        const workspace = this.workspaces.find(w => w.id === id);
+        if (!workspace || workspace.id === this.currentWorkspaceId) return true;
+        
+        // A sync in flight would merge its result into the wrong words
+        if (this.isSyncing) {
+            this.showToast('⏳ Wait for the sync to finish, then switch workspaces', 'info');
+            this.renderWorkspaceSelect();
+            return false;
+        }
+        
+        clearTimeout(this.pushTimer);
+        this.pushRetryCount = 0;
+        this.stopRecording();
+        this.audio.stop();
+        this.reviewSession = null;
+        this.quizSession = null;
+        this.importSession = null;
+        document.querySelectorAll('.modal.active').forEach(modal => {
+            if (modal.id !== 'settingsModal') modal.classList.remove('active');
+        });
+        
+        this.storage.close();
+        this.applyWorkspace(workspace);
+        this.storage.setSetting('dictionary_workspace', workspace.id);
+        this.clearWorkspaceState();
+        await this.loadFromStorage();
+        
+        this.collapsedGroups.clear();
+        this.updateStats();
+        this.setFilter('all');
+        this.renderWorkspaceSelect();
+        this.updateSyncStatus('synced');
+        if (document.getElementById('settingsModal').classList.contains('active')) this.showSettingsModal();
+        
+        console.log(`🗂️ Switched to workspace "${workspace.name}" (${this.words.length} words)`);
+        this.showToast(`🗂️ ${workspace.name}`, 'success');
+        
+        this.syncFromGitHub();
+        return true;
+    }
+    
+    // The switcher shows how many words each workspace had when last open
+    updateWorkspaceCount() {
+        const workspace = this.currentWorkspace();
+        if (workspace.wordCount === this.words.length) return;
+        
+        workspace.wordCount = this.words.length;
+        this.saveWorkspaces();
+        this.renderWorkspaceSelect();
+        this.renderWorkspaceSettings();
+    }
+    
+    renderWorkspaceSelect() {
+        const current = this.currentWorkspace();
+        
+        document.getElementById('workspaceSelect').innerHTML = html`${this.workspaces.map(workspace => html`
+            <option value="${workspace.id}" ${workspace === current ? 'selected' : ''}>${workspace.name}${workspace.wordCount !== undefined ? ` (${workspace.wordCount})` : ''}</option>
+        `)}`;
+    }
+    
+    renderWorkspaceSettings() {
+        const current = this.currentWorkspace();
+        
+        document.getElementById('settingsWorkspaces').innerHTML = html`${this.workspaces.map(workspace => html`
+            <div class="dictionary-item ${workspace === current ? 'active' : ''}">
+                <span>
+                    <strong>${workspace.name}</strong>${workspace.wordCount !== undefined ? ` · ${workspace.wordCount} word(s)` : ''}
+                    <span class="workspace-target">${this.describeSyncTarget(workspace)}</span>
+                </span>
+                <span class="dictionary-item-actions">
+                    ${workspace === current ? html`<span class="settings-hint">Current</span>` : html`
+                    <button type="button" class="btn btn-sm" onclick="dictionary.switchWorkspace(${jsArg(workspace.id)})">Open</button>
+                    `}
+                    <button type="button" class="btn-icon" onclick="dictionary.editWorkspace(${jsArg(workspace.id)})" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    ${workspace.id === 'default' ? '' : html`
+                    <button type="button" class="btn-icon" onclick="dictionary.removeWorkspace(${jsArg(workspace.id)})" title="Delete">
+                        <i class="fas fa-times"></i>
+                    </button>
+                    `}
+                </span>
+            </div>
+        `)}`;
+    }
+    
+    // Fills the form with a workspace; saving then changes it instead of adding one
+    editWorkspace(id) {
+        const workspace = this.workspaces.find(w => w.id === id);
+        if (!workspace) return;
+        
+        this.editingWorkspaceId = workspace.id;
+        document.getElementById('settingsWorkspaceName').value = workspace.name;
+        document.getElementById('settingsWorkspaceRepo').value = `${workspace.owner}/${workspace.repo}`;
+        document.getElementById('settingsWorkspaceBranch').value = workspace.branch;
+        document.getElementById('settingsWorkspacePath').value = workspace.path;
+        document.getElementById('settingsWorkspaceSaveBtn').innerHTML = html`<i class="fas fa-save"></i> Save`;
+        document.getElementById('settingsWorkspaceCancelBtn').style.display = '';
+        document.getElementById('settingsWorkspaceName').focus();
+    }
+    
+    resetWorkspaceForm() {
+        this.editingWorkspaceId = null;
+        ['settingsWorkspaceName', 'settingsWorkspaceRepo', 'settingsWorkspaceBranch', 'settingsWorkspacePath'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('settingsWorkspaceSaveBtn').innerHTML = html`<i class="fas fa-plus"></i> Add`;
+        document.getElementById('settingsWorkspaceCancelBtn').style.display = 'none';
+    }
+    
+    async saveWorkspace() {
+        const field = id => document.getElementById(id).value.trim();
+        const status = document.getElementById('settingsWorkspacesStatus');
+        const editing = this.workspaces.find(w => w.id === this.editingWorkspaceId);
+        const name = field('settingsWorkspaceName').slice(0, 60);
+        const [owner = '', repo = '', ...rest] = field('settingsWorkspaceRepo').split('/');
+        const target = rest.length === 0 && this.sanitizeSyncTarget({
+            owner,
+            repo,
+            branch: field('settingsWorkspaceBranch') || 'main',
+            path: field('settingsWorkspacePath') || 'dictionary.json'
+        });
+        
+        if (!name) {
+            status.textContent = 'Give the workspace a name.';
+            return;
+        }
+        if (!target) {
+            status.textContent = 'Use a repository like "owner/repo", a branch name and a file path such as "dictionary.json".';
+            return;
+        }
+        
+        // Two workspaces in one file would keep overwriting each other's words
+        const sameFile = this.workspaces.find(w => w !== editing &&
+            w.owner.toLowerCase() === target.owner.toLowerCase() &&
+            w.repo.toLowerCase() === target.repo.toLowerCase() &&
+            w.branch === target.branch &&
+            w.path === target.path);
+        if (sameFile) {
+            status.textContent = `"${sameFile.name}" already syncs to that file.`;
+            return;
+        }
+        
+        if (editing) {
+            const moved = this.describeSyncTarget(editing) !== this.describeSyncTarget(target);
+            Object.assign(editing, { name, ...target });
+            this.saveWorkspaces();
+            this.resetWorkspaceForm();
+            
+            // Words the new file doesn't have yet are queued by the next pull
+            if (editing.id === this.currentWorkspaceId) {
+                this.githubConfig = { ...this.githubConfig, ...target };
+                if (moved) this.syncFromGitHub();
+            }
+            
+            this.renderWorkspaceSelect();
+            this.renderWorkspaceSettings();
+            status.textContent = moved ? `"${name}" now syncs to ${this.describeSyncTarget(target)}.` : `Saved "${name}".`;
+            return;
+        }
+        
+        const workspace = { id: this.identity.newId(), name, ...target };
+        this.workspaces.push(workspace);
+        this.saveWorkspaces();
+        this.resetWorkspaceForm();
+        
+        if (await this.switchWorkspace(workspace.id)) {
+            document.getElementById('settingsWorkspacesStatus').textContent = `Added "${name}".`;
+        } else {
+            this.renderWorkspaceSettings();
+            status.textContent = `Added "${name}". Open it once the sync has finished.`;
+        }
+    }
+    
+    // Deletes the workspace's words on this device; its file on GitHub stays
+    async removeWorkspace(id) {
+        const workspace = this.workspaces.find(w => w.id === id);
+        const status = document.getElementById('settingsWorkspacesStatus');
+        if (!workspace || workspace.id === 'default') return;
+        
+        if (!confirm(`Delete the workspace "${workspace.name}" from this device? Changes that haven't been pushed are lost; ${this.describeSyncTarget(workspace)} on GitHub is left alone.`)) return;
+        if (workspace.id === this.currentWorkspaceId && !(await this.switchWorkspace('default'))) return;
+        
+        this.workspaces = this.workspaces.filter(w => w !== workspace);
+        this.saveWorkspaces();
+        if (this.editingWorkspaceId === workspace.id) this.resetWorkspaceForm();
+        
+        try {
+            await new DictionaryStorage(workspace.id).destroy();
+        } catch (error) {
+            console.error('Error deleting workspace data:', error);
+        }
+        
+        this.renderWorkspaceSelect();
+        this.renderWorkspaceSettings();
+        status.textContent = `Deleted "${workspace.name}".`;
+        console.log(`🗑️ Deleted workspace "${workspace.name}"`);
+    }
+    
+    // ===== LANGUAGES =====
+    // A dictionary is a language pair: the language its words are in and,
+    // optionally, one to translate them into. Words carry their language
+    // (`word.language`, English when missing) and sync with it. The list of
+    // dictionaries is kept on this device and picks up any language that
+    // arrives with synced words. Sorting, search, lookups and speech follow
+    // the dictionary being shown.
+    setupDictionaries() {
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getSetting('dictionary_languages', '[]'));
+        } catch (error) {
+            console.error('Ignoring saved dictionaries:', error);
+        }
+        
+        this.dictionaries = [];
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+            const language = this.sanitizeLanguage(entry?.language);
+            if (language) this.registerDictionary(language, this.sanitizeLanguage(entry.translationLanguage));
+        });
+        this.discoverDictionaries();
+        
+        const current = this.storage.getSetting('dictionary_current', '');
+        this.applyDictionary(this.dictionaries.find(d => d.id === current) || this.dictionaries[0]);
+        
+        document.getElementById('languageOptions').innerHTML = html`${this.commonLanguages.map(code => html`<option value="${code}">${this.languageName(code)}</option>`)}`;
+        this.renderDictionarySelect();
+    }
+    
+    // Adds a dictionary for every word language that has none (English when
+    // there are no words at all)
+    discoverDictionaries() {
+        const languages = new Set(this.words.map(word => this.languageOf(word)));
+        if (this.dictionaries.length === 0 && languages.size === 0) languages.add('en');
+        
+        const added = [...languages]
+            .filter(language => !this.dictionaries.some(d => d.language === language))
+            .map(language => this.registerDictionary(language, ''));
+        
+        if (added.length > 0) {
+            this.saveDictionaries();
+            console.log(`🌐 Added ${added.length} dictionary(s) for synced words`);
+        }
+    }
+    
+    dictionaryId(language, translationLanguage) {
+        return translationLanguage ? `${language}>${translationLanguage}` : language;
+    }
+    
+    registerDictionary(language, translationLanguage) {
+        const id = this.dictionaryId(language, translationLanguage);
+        const existing = this.dictionaries.find(d => d.id === id);
+        if (existing) return existing;
+        
+        const dictionary = { id, language, translationLanguage };
+        this.dictionaries.push(dictionary);
+        return dictionary;
+    }
+    
+    saveDictionaries() {
+        this.storage.setSetting('dictionary_languages', JSON.stringify(
+            this.dictionaries.map(({ language, translationLanguage }) => ({ language, translationLanguage }))
+        ));
+    }
+    
+    currentDictionary() {
+        return this.dictionaries.find(d => d.id === this.currentDictionaryId) || this.dictionaries[0];
+    }
+    
+    // The words in the dictionary being shown
+    currentWords() {
+        const { language } = this.currentDictionary();
+        return this.words.filter(word => this.languageOf(word) === language);
+    }
+    
+    languageOf(word) {
+        return word.language || 'en';
+    }
+    
+    // A word's translations into one language, as text
+    translationsOf(word, language = this.currentDictionary().translationLanguage) {
+        return this.wordCards.translationsOf(word, language);
+    }
+    
+    // "German", "Portuguese (Brazil)"... in the browser's own language
+    languageName(code) {
+        try {
+            this.languageNames = this.languageNames || new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' });
+            return this.languageNames.of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+    
+    describeDictionary({ language, translationLanguage }) {
+        return translationLanguage
+            ? `${this.languageName(language)} → ${this.languageName(translationLanguage)}`
+            : this.languageName(language);
+    }
+    
+    applyDictionary(dictionary) {
+        this.currentDictionaryId = dictionary.id;
+        this.collator = new Intl.Collator(dictionary.language);
+        this.searchIndex.setLocale(dictionary.language);
+        this.audio.lang = dictionary.language;
+        document.getElementById('aiWordInput').placeholder = `Enter any ${this.languageName(dictionary.language)} word...`;
+    }
+    
+    switchDictionary(id) {
+        const dictionary = this.dictionaries.find(d => d.id === id);
+        if (!dictionary) return;
+        
+        this.applyDictionary(dictionary);
+        this.storage.setSetting('dictionary_current', dictionary.id);
+        this.collapsedGroups.clear();
+        
+        this.updateStats();
+        this.renderWordList();
+        this.renderDictionarySettings();
+        console.log(`🌐 Showing ${this.describeDictionary(dictionary)}`);
+    }
+    
+    wordCountsByLanguage() {
+        const counts = new Map();
+        this.words.forEach(word => counts.set(this.languageOf(word), (counts.get(this.languageOf(word)) || 0) + 1));
+        return counts;
+    }
+    
+    renderDictionarySelect() {
+        const counts = this.wordCountsByLanguage();
+        const current = this.currentDictionary();
+        
+        document.getElementById('dictionarySelect').innerHTML = html`${this.dictionaries.map(dictionary => html`
+            <option value="${dictionary.id}" ${dictionary === current ? 'selected' : ''}>${this.describeDictionary(dictionary)} (${counts.get(dictionary.language) || 0})</option>
+        `)}`;
+    }
+    
+    renderDictionarySettings() {
+        const counts = this.wordCountsByLanguage();
+        const current = this.currentDictionary();
+        
+        document.getElementById('settingsDictionaries').innerHTML = html`${this.dictionaries.map(dictionary => html`
+            <div class="dictionary-item ${dictionary === current ? 'active' : ''}">
+                <span>
+                    <strong>${this.describeDictionary(dictionary)}</strong> · ${counts.get(dictionary.language) || 0} word(s)
+                    ${this.hasLookupProvider(dictionary.language) ? '' : html`· <span style="color: var(--danger);">no lookup provider</span>`}
+                </span>
+                <span class="dictionary-item-actions">
+                    ${dictionary === current ? html`<span class="settings-hint">Showing</span>` : html`
+                    <button type="button" class="btn btn-sm" onclick="dictionary.switchDictionary(${jsArg(dictionary.id)})">Open</button>
+                    `}
+                    <button type="button" class="btn-icon" onclick="dictionary.removeDictionary(${jsArg(dictionary.id)})" title="Remove">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            </div>
+        `)}`;
+    }
+    
+    addDictionary() {
+        const languageInput = document.getElementById('settingsDictionaryLanguage');
+        const translationInput = document.getElementById('settingsDictionaryTranslation');
+        const status = document.getElementById('settingsDictionariesStatus');
+        const language = this.sanitizeLanguage(languageInput.value);
+        const translationLanguage = this.sanitizeLanguage(translationInput.value);
+        
+        if (!language || (translationInput.value.trim() && !translationLanguage)) {
+            status.textContent = 'Use language codes such as "es", "de" or "pt-BR".';
+            return;
+        }
+        if (translationLanguage === language) {
+            status.textContent = 'Pick a different language to translate into.';
+            return;
+        }
+        
+        const exists = this.dictionaries.some(d => d.id === this.dictionaryId(language, translationLanguage));
+        const dictionary = this.registerDictionary(language, translationLanguage);
+        this.saveDictionaries();
+        
+        languageInput.value = '';
+        translationInput.value = '';
+        this.switchDictionary(dictionary.id);
+        status.textContent = exists ? `${this.describeDictionary(dictionary)} already exists.` : `Added ${this.describeDictionary(dictionary)}.`;
+    }
+    
+    // Words stay with their language, so a dictionary can only go while
+    // another one shows its words (or it has none)
+    removeDictionary(id) {
+        const dictionary = this.dictionaries.find(d => d.id === id);
+        const status = document.getElementById('settingsDictionariesStatus');
+        if (!dictionary) return;
+        
+        const shared = this.dictionaries.some(d => d !== dictionary && d.language === dictionary.language);
+        if (!shared && this.words.some(word => this.languageOf(word) === dictionary.language)) {
+            status.textContent = `${this.describeDictionary(dictionary)} still has words. Delete them first.`;
+            return;
+        }
+        if (this.dictionaries.length === 1) {
+            status.textContent = 'Keep at least one dictionary.';
+            return;
+        }
+        
+        this.dictionaries = this.dictionaries.filter(d => d !== dictionary);
+        this.saveDictionaries();
+        status.textContent = `Removed ${this.describeDictionary(dictionary)}.`;
+        
+        if (this.currentDictionaryId === dictionary.id) this.switchDictionary(this.dictionaries[0].id);
+        else this.renderDictionarySettings();
+        this.renderDictionarySelect();
+    }
+    
+    // ===== SORTING & GROUPING =====
+    // The list toolbar: sort order, sections with collapsible headers, and an
+    // A-Z bar. The choices are saved in this browser next to the theme.
+    setupListView() {
+        const sortSelect = document.getElementById('sortSelect');
+        const groupSelect = document.getElementById('groupSelect');
+        const allowed = select => [...select.options].map(option => option.value);
+        
+        const sortOrder = this.storage.getSetting('dictionary_sort', 'alphabetical');
+        const groupBy = this.storage.getSetting('dictionary_group', 'none');
+        this.sortOrder = allowed(sortSelect).includes(sortOrder) ? sortOrder : 'alphabetical';
+        this.groupBy = allowed(groupSelect).includes(groupBy) ? groupBy : 'none';
+        
+        sortSelect.value = this.sortOrder;
+        groupSelect.value = this.groupBy;
+    }
+    
+    setSortOrder(order) {
+        this.sortOrder = order;
+        this.storage.setSetting('dictionary_sort', order);
+        this.renderWordList();
+    }
+    
+    setGroupBy(groupBy) {
+        this.groupBy = groupBy;
+        this.collapsedGroups.clear();
+        this.storage.setSetting('dictionary_group', groupBy);
+        this.renderWordList();
+    }
+    
+    // Two words in the chosen order; ties go A-Z
+    compareWords(a, b, order = this.sortOrder) {
+        const time = value => (value ? new Date(value).getTime() : 0);
+        const alphabetical = this.collator.compare(a.word, b.word);
+        const rank = word => this.difficultyRank[word.difficulty] ?? 1;
+        
+        switch (order) {
+            case 'newest': return (time(b.createdAt) - time(a.createdAt)) || alphabetical;
+            case 'updated': return (time(b.updatedAt || b.createdAt) - time(a.updatedAt || a.createdAt)) || alphabetical;
+            case 'difficulty': return (rank(a) - rank(b)) || alphabetical;
+            // Never reviewed counts as due now (see isDue)
+            case 'due': return (time(a.review?.due) - time(b.review?.due)) || alphabetical;
+            default: return alphabetical;
+        }
+    }
+    
+    // First letter without accents; digits and symbols go under "#"
+    letterOf(word) {
+        const letter = this.searchIndex.normalize(word.word).trim().charAt(0).toLocaleUpperCase(this.currentDictionary().language);
+        return /\p{L}/u.test(letter) ? letter : '#';
+    }
+    
+    // The section a word is shown in: { key, label }
+    groupOf(word) {
+        switch (this.groupBy) {
+            case 'letter': {
+                const letter = this.letterOf(word);
+                return { key: letter, label: letter };
+            }
+            case 'partOfSpeech': {
+                const pos = word.partOfSpeech || 'unknown';
+                return { key: pos, label: pos.charAt(0).toUpperCase() + pos.slice(1) };
+            }
+            case 'difficulty': {
+                const difficulty = word.difficulty || 'medium';
+                return { key: difficulty, label: difficulty.charAt(0).toUpperCase() + difficulty.slice(1) };
+            }
+            default: return null;
+        }
+    }
+    
+    // Difficulty sections go hardest first, others A-Z with "#" and "unknown" last
+    compareGroups(a, b) {
+        if (this.groupBy === 'difficulty') {
+            return (this.difficultyRank[a.key] ?? 1) - (this.difficultyRank[b.key] ?? 1);
+        }
+        
+        const last = group => (group.key === '#' || group.key === 'unknown' ? 1 : 0);
+        return (last(a) - last(b)) || this.collator.compare(a.key, b.key);
+    }
+    
+    // Each section's header ({ group, count, collapsed }) followed by its
+    // words, in list order. Collapsed sections keep just the header.
+    groupResults(results) {
+        if (this.groupBy === 'none') return results;
+        
+        const sections = new Map();
+        results.forEach(result => {
+            const group = this.groupOf(result.word);
+            if (!sections.has(group.key)) sections.set(group.key, { group, results: [] });
+            sections.get(group.key).results.push(result);
+        });
+        
+        return [...sections.values()]
+            .sort((a, b) => this.compareGroups(a.group, b.group))
+            .flatMap(({ group, results }) => {
+                const collapsed = this.collapsedGroups.has(group.key);
+                return [{ group, count: results.length, collapsed }, ...(collapsed ? [] : results)];
+            });
+    }
+    
+    toggleGroup(key) {
+        if (this.collapsedGroups.has(key)) this.collapsedGroups.delete(key);
+        else this.collapsedGroups.add(key);
+        
+        this.renderWordList();
+    }
+    
+    renderGroupHeader({ group, count, collapsed }) {
+        return html`
+            <button type="button" class="group-header ${collapsed ? 'collapsed' : ''}" aria-expanded="${collapsed ? 'false' : 'true'}" onclick="dictionary.toggleGroup(${jsArg(group.key)})">
+                <i class="fas fa-chevron-down"></i>
+                <span>${group.label}</span>
+                <span class="group-count">${count}</span>
+            </button>
+        `;
+    }
+    
+    // Links to the first word (or section) of each letter, whenever the list
+    // is in letter order: grouped by letter, or A-Z without a search
+    renderJumpBar(items, search) {
+        const bar = document.getElementById('jumpBar');
+        const byLetter = this.groupBy === 'letter' || (this.groupBy === 'none' && this.sortOrder === 'alphabetical' && !search.trim());
+        
+        this.jumpTargets = new Map();
+        if (byLetter) {
+            items.forEach((item, index) => {
+                const letter = item.group ? item.group.key : this.letterOf(item.word);
+                if (!this.jumpTargets.has(letter)) this.jumpTargets.set(letter, index);
+            });
+        }
+        
+        bar.hidden = this.jumpTargets.size === 0;
+        if (bar.hidden) return;
+        
+        const others = [...this.jumpTargets.keys()].filter(letter => !/^[A-Z#]$/.test(letter));
+        const letters = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', ...others.sort(this.collator.compare), '#'];
+        
+        bar.innerHTML = html`${letters.map(letter => html`
+            <button type="button" class="jump-letter" ${this.jumpTargets.has(letter) ? '' : 'disabled'} onclick="dictionary.jumpTo(${jsArg(letter)})">${letter}</button>
+        `)}`;
+    }
+    
+    jumpTo(letter) {
+        const index = this.jumpTargets.get(letter);
+        if (index === undefined) return;
+        
+        // Land below the sticky toolbar
+        this.wordGrid.scrollToIndex(index, document.getElementById('listToolbar').offsetHeight + 16);
+    }
+    
+    // ===== IMPORT =====
+    showImportModal() {
+        const sources = this.importer.sources;
+        this.importSession = null;
+        
+        document.getElementById('importModalBody').innerHTML = html`
+            <div class="import-step">
+                <div class="settings-section">
+                    <label for="importSource"><i class="fas fa-file-import"></i> Import from</label>
+                    <select id="importSource" class="settings-input">
+                        ${Object.entries(sources).map(([key, label]) => html`<option value="${key}">${label}</option>`)}
+                    </select>
+                </div>
+                <div class="settings-section">
+                    <label for="importFile"><i class="fas fa-file"></i> File</label>
+                    <input type="file" id="importFile" class="settings-input" accept=".json">
+                    <p class="settings-hint" id="importHint"></p>
+                    <p class="settings-status" id="importStatus"></p>
+                </div>
+                <div style="display: flex; gap: 12px; padding-top: 24px; border-top: 1px solid var(--border);">
+                    <button type="button" class="btn" style="flex: 1;" onclick="document.getElementById('importModal').classList.remove('active')">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="importReadBtn" style="flex: 1;">
+                        <i class="fas fa-arrow-right"></i> Next
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        const hints = {
+            json: ['.json', 'A file saved with Export, or a copy of dictionary.json.'],
+            csv: ['.csv,.tsv,.txt', 'You can choose which column holds each field on the next step.'],
+            anki: ['.apkg,.txt,.tsv', 'An .apkg package, or File → Export → "Notes in Plain Text". The first field is the word, the second the definition.'],
+            kindle: ['.db', 'Connect your Kindle and pick system/vocabulary/vocab.db. Definitions are looked up; the sentences from your books become examples.']
+        };
+        
+        const sourceSelect = document.getElementById('importSource');
+        const showHint = () => {
+            const [accept, hint] = hints[sourceSelect.value];
+            document.getElementById('importFile').accept = accept;
+            document.getElementById('importHint').textContent = hint;
+        };
+        sourceSelect.addEventListener('change', showHint);
+        showHint();
+        
+        document.getElementById('importReadBtn').addEventListener('click', () => this.readImportFile());
+        document.getElementById('importModal').classList.add('active');
+    }
+    
+    async readImportFile() {
+        const source = document.getElementById('importSource').value;
+        const file = document.getElementById('importFile').files[0];
+        const status = document.getElementById('importStatus');
         
-        if (confirm(`Delete "${word.word}" from your dictionary?`)) {
-            this.words = this.words.filter(w => w.id !== wordId);
+        if (!file) {
+            status.textContent = 'Choose a file first.';
+            return;
+        }
+        
+        status.textContent = 'Reading file...';
+        
+        try {
+            let candidates;
             
-            this.saveToLocalStorage();
-            this.updateStats();
-            this.renderWordList();
+            if (source === 'json') {
+                candidates = this.importer.parseJSON(await file.text());
+            } else if (source === 'csv') {
+                const rows = this.importer.parseDelimited(await file.text());
+                if (rows.length === 0) throw new Error('The file is empty');
+                this.importSession = { source, rows };
+                this.renderImportMapping();
+                return;
+            } else if (source === 'anki') {
+                candidates = /\.apkg$/i.test(file.name)
+                    ? await this.importer.parseAnkiPackage(await file.arrayBuffer())
+                    : this.importer.parseAnkiText(await file.text());
+            } else {
+                candidates = await this.importer.parseKindle(await file.arrayBuffer());
+            }
             
-            // Trigger sync
-            this.pushToGitHub();
+            this.importSession = { source };
+            await this.previewImport(candidates);
             
-            document.getElementById('wordModal').classList.remove('active');
-            this.showToast(`"${word.word}" deleted`, 'success');
+        } catch (error) {
+            console.error('Import failed:', error);
+            status.textContent = `Could not read this file: ${error.message}`;
         }
     }
     
-    viewWord(wordId) {
-        const word = this.words.find(w => w.id === wordId);
-        if (!word) return;
-        
-        const modal = document.getElementById('wordModal');
-        const modalBody = document.getElementById('wordModalBody');
+    renderImportMapping() {
+        const { rows } = this.importSession;
+        const headers = rows[0];
+        const mapping = this.importer.guessMapping(headers);
+        const hasHeader = this.importer.looksLikeHeader(headers);
+        const labels = {
+            word: 'Word *', definition: 'Definition *', partOfSpeech: 'Part of speech', pronunciation: 'Pronunciation',
+            examples: 'Examples', synonyms: 'Synonyms', antonyms: 'Antonyms', difficulty: 'Difficulty',
+            tags: 'Tags', senses: 'Senses (JSON, replaces the sense columns)'
+        };
+        const columnName = (header, i) => (hasHeader && header ? `${i + 1}: ${header}` : `Column ${i + 1}`);
         
-        modalBody.innerHTML = `
-            <div class="word-detail">
-                <div class="word-main">
-                    <h1 class="word-title-large">${word.word}</h1>
-                    
-                    <div class="word-meta-grid">
-                        <div class="meta-item">
-                            <div class="meta-icon">
-                                <i class="fas fa-layer-group"></i>
-                            </div>
-                            <div class="meta-content">
-                                <h4>Part of Speech</h4>
-                                <p>${word.partOfSpeech}</p>
-                            </div>
-                        </div>
-                        
-                        <div class="meta-item">
-                            <div class="meta-icon">
-                                <i class="fas fa-bolt"></i>
-                            </div>
-                            <div class="meta-content">
-                                <h4>Difficulty</h4>
-                                <p><span class="word-badge ${word.difficulty}">${word.difficulty}</span></p>
-                            </div>
-                        </div>
-                        
-                        <div class="meta-item">
-                            <div class="meta-icon">
-                                <i class="fas fa-star"></i>
-                            </div>
-                            <div class="meta-content">
-                                <h4>Status</h4>
-                                <p><span class="word-badge ${word.mastered ? 'mastered' : ''}">${word.mastered ? 'Mastered' : 'Learning'}</span></p>
-                            </div>
-                        </div>
-                        
-                        <div class="meta-item">
-                            <div class="meta-icon">
-                                <i class="fas fa-calendar"></i>
-                            </div>
-                            <div class="meta-content">
-                                <h4>Added</h4>
-                                <p>${new Date(word.createdAt).toLocaleDateString()}</p>
-                            </div>
-                        </div>
-                    </div>
-                    
-                    <div class="definition-box">
-                        <h3>Definition</h3>
-                        <div class="definition-content">${word.definition}</div>
-                    </div>
-                </div>
+        document.getElementById('importModalBody').innerHTML = html`
+            <div class="import-step">
+                <label class="import-checkbox">
+                    <input type="checkbox" id="importHasHeader" ${hasHeader ? 'checked' : ''}> First row is a header
+                </label>
                 
-                <div class="word-sidebar">
-                    ${word.pronunciation ? `
-                    <div>
-                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
-                            <i class="fas fa-volume-up"></i> Pronunciation
-                        </h3>
-                        <p style="font-size: 18px; font-family: monospace;">${word.pronunciation}</p>
-                    </div>
-                    ` : ''}
-                    
-                    ${word.examples.length > 0 ? `
+                <div class="import-mapping">
+                    ${this.importer.columnFields.map(field => html`
                     <div>
-                        <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
-                            <i class="fas fa-comment"></i> Examples
-                        </h3>
-                        <div class="examples-list">
-                            ${word.examples.map(ex => `<div class="example-item">${ex}</div>`).join('')}
-                        </div>
-                    </div>
-                    ` : ''}
-                    
-                    ${word.synonyms.length > 0 || word.antonyms.length > 0 ? `
-                    <div class="synonyms-antonyms">
-                        ${word.synonyms.length > 0 ? `
-                        <div>
-                            <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
-                                <i class="fas fa-sync-alt"></i> Synonyms
-                            </h3>
-                            <div class="tags-container">
-                                ${word.synonyms.map(syn => `<span class="ai-tag synonym">${syn}</span>`).join('')}
-                            </div>
-                        </div>
-                        ` : ''}
-                        
-                        ${word.antonyms.length > 0 ? `
-                        <div>
-                            <h3 style="font-size: 16px; margin-bottom: 12px; color: var(--text-2);">
-                                <i class="fas fa-random"></i> Antonyms
-                            </h3>
-                            <div class="tags-container">
-                                ${word.antonyms.map(ant => `<span class="ai-tag antonym">${ant}</span>`).join('')}
-                            </div>
-                        </div>
-                        ` : ''}
-                    </div>
-                    ` : ''}
-                    
-                    <div style="margin-top: auto;">
-                        <div style="display: flex; gap: 12px;">
-                            <button class="btn ${word.mastered ? 'btn-warning' : 'btn-success'}" onclick="dictionary.toggleMastered(${word.id})" style="flex: 1;">
-                                <i class="fas fa-star"></i> ${word.mastered ? 'Unmark Mastered' : 'Mark as Mastered'}
-                            </button>
-                            <button class="btn btn-danger" onclick="dictionary.deleteWord(${word.id})" style="flex: 1;">
-                                <i class="fas fa-trash"></i> Delete
-                            </button>
-                        </div>
+                        <label for="importMap-${field}">${labels[field]}</label>
+                        <select id="importMap-${field}" class="settings-input">
+                            <option value="-1">(none)</option>
+                            ${headers.map((header, i) => html`<option value="${i}" ${mapping[field] === i ? 'selected' : ''}>${columnName(header, i)}</option>`)}
+                        </select>
                     </div>
+                    `)}
+                </div>
+                
+                <p class="settings-hint">Lists can be separated with "|" (definitions, examples) or commas (synonyms, antonyms, tags). ${rows.length} row(s) found.</p>
+                <p class="settings-status" id="importStatus"></p>
+                
+                <div style="display: flex; gap: 12px; padding-top: 24px; border-top: 1px solid var(--border);">
+                    <button type="button" class="btn" style="flex: 1;" onclick="dictionary.showImportModal()">
+                        <i class="fas fa-arrow-left"></i> Back
+                    </button>
+                    <button type="button" class="btn btn-primary" id="importMapBtn" style="flex: 1;">
+                        <i class="fas fa-eye"></i> Preview
+                    </button>
                 </div>
             </div>
         `;
         
-        modal.classList.add('active');
-    }
-    
-    // ===== UI RENDERING =====
-    renderWordList(search = '') {
-        const grid = document.getElementById('wordsGrid');
-        const emptyState = document.getElementById('emptyState');
-        
-        let filteredWords = this.words.filter(word => {
-            if (search) {
-                const searchLower = search.toLowerCase();
-                if (!word.word.toLowerCase().includes(searchLower) && 
-                    !word.definition.toLowerCase().includes(searchLower)) {
-                    return false;
-                }
-            }
+        document.getElementById('importMapBtn').addEventListener('click', () => {
+            const chosen = {};
+            this.importer.columnFields.forEach(field => {
+                chosen[field] = Number(document.getElementById(`importMap-${field}`).value);
+            });
             
-            switch(this.currentFilter) {
-                case 'mastered': return word.mastered;
-                case 'learning': return !word.mastered;
-                case 'difficult': return word.difficulty === 'hard';
-                case 'recent': 
-                    const weekAgo = new Date();
-                    weekAgo.setDate(weekAgo.getDate() - 7);
-                    return new Date(word.createdAt) > weekAgo;
-                default: return true;
+            if (chosen.word < 0) {
+                document.getElementById('importStatus').textContent = 'Choose the column that holds the word.';
+                return;
             }
+            
+            const dataRows = document.getElementById('importHasHeader').checked ? rows.slice(1) : rows;
+            this.previewImport(this.importer.rowsToCandidates(dataRows, chosen));
         });
+    }
+    
+    async previewImport(candidates) {
+        const body = document.getElementById('importModalBody');
         
-        filteredWords.sort((a, b) => a.word.localeCompare(b.word));
+        // Kindle words arrive without definitions; fetch them for words we don't have yet
+        const { language } = this.currentDictionary();
+        const existingKeys = new Set(this.words.map(word => this.importer.dedupeKey(word.word, this.languageOf(word))));
+        const toLookUp = candidates.filter(c => c.needsLookup && !existingKeys.has(this.importer.dedupeKey(c.word, language)));
         
-        if (filteredWords.length === 0) {
-            grid.innerHTML = '';
-            emptyState.classList.add('active');
-            return;
+        for (let i = 0; i < toLookUp.length; i++) {
+            const candidate = toLookUp[i];
+            body.innerHTML = html`<div style="text-align: center; padding: 20px;"><i class="fas fa-spinner fa-spin"></i> Looking up definitions... ${i + 1} / ${toLookUp.length}</div>`;
+            
+            const { wordData } = await this.lookupWord(candidate.word);
+            if (wordData) {
+                candidate.senses = this.importer.mergeSenses(wordData.senses, candidate.senses);
+                candidate.pronunciation = candidate.pronunciation || wordData.pronunciation;
+                candidate.difficulty = candidate.difficulty || wordData.difficulty;
+            }
         }
         
-        emptyState.classList.remove('active');
+        // Words keep their own language, so they are matched against every dictionary
+        const plan = this.importer.plan(candidates, this.words, this.currentDictionary().language);
+        this.importSession = { ...this.importSession, plan };
+        
+        const rows = [
+            ...plan.add.map(entry => ({ word: entry.candidate.word, action: 'add', detail: entry.candidate.senses[0]?.definitions[0] || '' })),
+            ...plan.merge.map(entry => ({ word: entry.existing.word, action: 'merge', detail: 'New senses, definitions or examples' })),
+            ...plan.skip.map(entry => ({
+                word: entry.candidate.word || '(empty)',
+                action: 'skip',
+                detail: entry.errors ? `${entry.reason}: ${entry.errors.join('; ')}` : entry.reason
+            }))
+        ];
+        const shown = rows.slice(0, 200);
+        const importCount = plan.add.length + plan.merge.length;
         
-        grid.innerHTML = filteredWords.map(word => `
-            <div class="word-card" onclick="dictionary.viewWord(${word.id})">
-                <div class="word-header">
-                    <h3 class="word-title">${word.word}</h3>
-                    <span class="word-badge ${word.difficulty}">${word.difficulty}</span>
+        body.innerHTML = html`
+            <div class="import-step">
+                <div class="import-summary">
+                    <span class="word-badge import-add">${plan.add.length} new</span>
+                    <span class="word-badge import-merge">${plan.merge.length} to merge</span>
+                    <span class="word-badge import-skip">${plan.skip.length} skipped</span>
                 </div>
-                <p class="word-definition">${word.definition}</p>
-                <div class="word-footer">
-                    <div class="word-meta">
-                        <span class="word-tag">${word.partOfSpeech}</span>
-                        ${word.mastered ? '<span class="word-tag" style="background: rgba(59,130,246,0.1); color: var(--info);">Mastered</span>' : ''}
-                    </div>
-                    <div class="word-actions">
-                        <button class="btn-icon" onclick="event.stopPropagation(); dictionary.toggleMastered(${word.id})" title="${word.mastered ? 'Unmark mastered' : 'Mark as mastered'}">
-                            <i class="fas fa-star" style="${word.mastered ? 'color: var(--info);' : 'color: var(--text-3);'}"></i>
-                        </button>
-                        <button class="btn-icon" onclick="event.stopPropagation(); dictionary.deleteWord(${word.id})" title="Delete">
-                            <i class="fas fa-trash" style="color: var(--danger);"></i>
-                        </button>
-                    </div>
+                
+                <div class="import-preview">
+                    <table>
+                        <thead><tr><th>Word</th><th>Action</th><th>Details</th></tr></thead>
+                        <tbody>
+                            ${shown.map(row => html`
+                            <tr>
+                                <td>${row.word}</td>
+                                <td><span class="word-badge import-${row.action}">${row.action}</span></td>
+                                <td>${row.detail}</td>
+                            </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                    ${rows.length > shown.length ? html`<p class="settings-hint">…and ${rows.length - shown.length} more</p>` : ''}
+                </div>
+                
+                <div style="display: flex; gap: 12px; padding-top: 24px; border-top: 1px solid var(--border);">
+                    <button type="button" class="btn" style="flex: 1;" onclick="dictionary.showImportModal()">
+                        <i class="fas fa-arrow-left"></i> Start Over
+                    </button>
+                    <button type="button" class="btn btn-success" style="flex: 1;" onclick="dictionary.applyImport()" ${importCount === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-file-import"></i> Import ${importCount} Word(s)
+                    </button>
                 </div>
             </div>
-        `).join('');
+        `;
     }
     
-    setFilter(filter) {
-        this.currentFilter = filter;
+    applyImport() {
+        const plan = this.importSession?.plan;
+        if (!plan) return;
+        
+        const now = new Date().toISOString();
+        const skipped = [...plan.skip];
+        
+        const added = plan.add.map(({ candidate }) => {
+            const { needsLookup, ...fields } = candidate;
+            const word = {
+                ...fields,
+                id: this.identity.newId(),
+                // Words from another dictionary keep their language
+                language: fields.language ?? this.currentDictionary().language,
+                difficulty: fields.difficulty || this.estimateDifficulty(fields.word, fields.senses),
+                mastered: Boolean(fields.mastered),
+                createdAt: fields.createdAt || now,
+                updatedAt: now
+            };
+            
+            const errors = this.validator.checkRecord(word);
+            if (errors.length > 0) {
+                skipped.push({ candidate: { word: word.word, record: word, errors }, reason: 'Invalid record', errors });
+                return null;
+            }
+            
+            // Collections belong to a workspace; ids from another one mean nothing here
+            return this.sanitizeWord({
+                ...word,
+                collections: (word.collections || []).filter(id => this.getCollections({ smart: false }).some(c => c.id === id))
+            });
+        }).filter(Boolean);
+        
+        const invalid = skipped.filter(entry => entry.errors);
+        this.quarantineRecords(invalid.map(({ candidate, errors }) => ({ kind: 'word', record: candidate.record, errors })), 'an import');
+        
+        const merged = plan.merge
+            .filter(({ existing, changes }) => {
+                const edited = this.recordEdit(existing, {
+                    senses: changes.senses.map(sense => this.sanitizeSense(sense)),
+                    pronunciation: this.sanitizeText(changes.pronunciation, 100),
+                    translations: this.sanitizeTranslations(changes.translations)
+                });
+                const organized = this.organizeWord(existing, {
+                    tags: this.sanitizeTags(changes.tags),
+                    collections: this.sanitizeIdList(changes.collections).filter(id => this.getCollections({ smart: false }).some(c => c.id === id))
+                });
+                
+                // A recording link only fills a gap
+                const audio = !existing.audio && this.sanitizeUrl(changes.audio);
+                if (audio) Object.assign(existing, { audio, updatedAt: now });
+                
+                return edited || organized || Boolean(audio);
+            })
+            .map(({ existing }) => existing);
+        
+        this.words.push(...added);
+        this.activity.push(...added.map(word => this.activityEvent('add', word)));
+        this.saveSyncState('activity');
+        this.saveWords([...added, ...merged]);
+        [...added, ...merged].forEach(word => this.queueChange('upsert', word));
+        this.updateStats();
+        this.renderWordList();
         
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.filter === filter);
+        const skipReasons = {};
+        skipped.forEach(({ reason }) => {
+            skipReasons[reason] = (skipReasons[reason] || 0) + 1;
         });
         
-        this.renderWordList(document.getElementById('searchInput').value);
+        document.getElementById('importModalBody').innerHTML = html`
+            <div class="review-done">
+                <i class="fas fa-check-circle"></i>
+                <h3>Import complete</h3>
+                <p>${added.length} added · ${merged.length} merged · ${skipped.length} skipped</p>
+                ${skipped.length > 0 ? html`
+                <ul class="import-skip-reasons">
+                    ${Object.entries(skipReasons).map(([reason, count]) => html`<li>${reason}: ${count}</li>`)}
+                </ul>
+                ` : ''}
+                ${invalid.length > 0 ? html`<p class="settings-hint">Invalid records were quarantined. Settings lists what was wrong with each.</p>` : ''}
+                <button class="btn btn-primary" onclick="document.getElementById('importModal').classList.remove('active')">Done</button>
+            </div>
+        `;
+        
+        this.importSession = null;
+        console.log(`📥 Imported ${added.length} new, merged ${merged.length}, skipped ${skipped.length}`);
+        this.showToast(`📥 ${added.length} added, ${merged.length} merged, ${skipped.length} skipped`, 'success');
     }
     
-    updateStats() {
-        document.getElementById('totalWords').textContent = this.words.length;
+    // ===== KEYBOARD =====
+    // Ctrl/Cmd-K opens the command palette from anywhere. Outside text fields
+    // and modals, single keys move through the word grid and act on the
+    // selected card (defaultShortcuts, changeable in Settings). Open modals
+    // keep Tab inside them, close on Escape and hand focus back when closed.
+    setupKeyboard() {
+        this.loadShortcuts();
         
-        const mastered = this.words.filter(w => w.mastered).length;
-        document.getElementById('masteredWords').textContent = mastered;
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
         
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        const recent = this.words.filter(w => new Date(w.createdAt) > weekAgo).length;
-        document.getElementById('recentWords').textContent = recent;
+        // Where focus goes back to when the last modal closes
+        document.addEventListener('focusin', (e) => {
+            if (!e.target.closest?.('.modal')) this.lastFocus = e.target;
+        });
         
-        const difficult = this.words.filter(w => w.difficulty === 'hard').length;
-        document.getElementById('difficultWords').textContent = difficult;
+        // Modals open and close in many places; all of them toggle the class
+        const observer = new MutationObserver(records => records.forEach(record => this.trackModal(record.target)));
+        document.querySelectorAll('.modal').forEach(modal => observer.observe(modal, { attributes: true, attributeFilter: ['class'] }));
     }
     
-    exportDictionary() {
-        const data = {
-            words: this.words,
-            metadata: {
-                exportedAt: new Date().toISOString(),
-                totalWords: this.words.length,
-                version: '1.0'
+    handleKeydown(e) {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.commandPalette.toggle();
+            return;
+        }
+        
+        const modal = this.modalStack[this.modalStack.length - 1]?.modal;
+        if (modal) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeModal(modal);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e, modal);
             }
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) {
+            // Escape leaves a text field, so the shortcuts work again
+            if (e.key === 'Escape') e.target.blur();
+            return;
+        }
+        
+        // Enter and Escape only act on the grid, not on a focused button
+        const onGrid = e.target === document.body || Boolean(e.target.closest?.('.word-card'));
+        if (e.key === 'Enter' && onGrid && this.selectedWord()) {
+            e.preventDefault();
+            this.viewWord(this.selectedWordId);
+            return;
+        }
+        if (e.key === 'Escape' && this.selectedWordId) {
+            this.selectWord(null);
+            return;
+        }
+        
+        const action = this.shortcutActions().find(candidate => this.shortcuts[candidate.id] === e.key);
+        if (action) {
+            e.preventDefault();
+            action.run();
+        }
+    }
+    
+    // Each action's key is in this.shortcuts under its id
+    shortcutActions() {
+        const withSelected = run => () => {
+            const word = this.selectedWord();
+            if (word) run(word);
+            else this.showToast(`Select a word first (${this.shortcuts.next} / ${this.shortcuts.previous})`, 'info');
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `dictionary_export_${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        return [
+            { id: 'next', label: 'Select next word', run: () => this.moveSelection(1) },
+            { id: 'previous', label: 'Select previous word', run: () => this.moveSelection(-1) },
+            { id: 'open', label: 'Open selected word', run: withSelected(word => this.viewWord(word.id)) },
+            { id: 'edit', label: 'Edit selected word', run: withSelected(word => this.editWord(word.id)) },
+            { id: 'mastered', label: 'Toggle mastered', run: withSelected(word => this.toggleMastered(word.id)) },
+            { id: 'play', label: 'Play pronunciation', run: withSelected(word => this.playPronunciation(word.id)) },
+            { id: 'delete', label: 'Delete selected word', run: withSelected(word => this.deleteWord(word.id)) },
+            { id: 'add', label: 'Add a word', run: () => this.showAddWordModal() },
+            { id: 'lookup', label: 'Look up a word', run: () => this.focusLookup() },
+            { id: 'search', label: 'Search', run: () => document.getElementById('searchInput').focus() },
+            { id: 'help', label: 'Show keyboard shortcuts', run: () => this.showShortcutSettings() }
+        ];
+    }
+    
+    focusLookup() {
+        const input = document.getElementById('aiWordInput');
+        input.focus();
+        input.select();
+    }
+    
+    // ===== GRID SELECTION =====
+    // The selected word, if the grid is still showing it
+    selectedWord() {
+        return this.wordGrid.items.find(item => !item.group && item.word.id === this.selectedWordId)?.word || null;
+    }
+    
+    moveSelection(step) {
+        const words = this.wordGrid.items.filter(item => !item.group).map(item => item.word);
+        if (words.length === 0) return;
+        
+        const index = words.findIndex(word => word.id === this.selectedWordId);
+        const next = index === -1
+            ? (step > 0 ? 0 : words.length - 1)
+            : Math.min(words.length - 1, Math.max(0, index + step));
+        this.selectWord(words[next].id);
+    }
+    
+    // Re-rendering with the same items only redraws the cards whose selection changed
+    selectWord(wordId) {
+        this.selectedWordId = wordId;
+        this.wordGrid.setItems(this.wordGrid.items);
+        if (!wordId) return;
+        
+        // Cards far off screen aren't mounted until the grid scrolls to them
+        if (!this.wordGrid.cards.has(wordId)) {
+            const index = this.wordGrid.items.findIndex(item => !item.group && item.word.id === wordId);
+            this.wordGrid.scrollToIndex(index, window.innerHeight / 3);
+        }
+        this.wordGrid.cards.get(wordId)?.element.scrollIntoView?.({ block: 'nearest' });
+    }
+    
+    // ===== MODAL FOCUS =====
+    trackModal(modal) {
+        const open = modal.classList.contains('active');
+        const entry = this.modalStack.find(candidate => candidate.modal === modal);
+        
+        if (open && !entry) {
+            const returnFocus = modal.contains(document.activeElement) ? this.lastFocus : document.activeElement;
+            this.modalStack.push({ modal, returnFocus });
+            if (!modal.contains(document.activeElement)) this.focusFirst(modal);
+        } else if (!open && entry) {
+            this.modalStack = this.modalStack.filter(candidate => candidate !== entry);
+            
+            // Unless the modal's own action moved focus somewhere else
+            const focusLost = document.activeElement === document.body || modal.contains(document.activeElement);
+            if (this.modalStack.length === 0 && focusLost && entry.returnFocus?.isConnected) entry.returnFocus.focus();
+        }
+    }
+    
+    // What Tab can reach inside a modal, in order
+    focusableIn(modal) {
+        return [...modal.querySelectorAll('a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+            .filter(element => !element.disabled && !element.closest('[hidden], [style*="display: none"]'));
+    }
+    
+    // The first field, else the first button
+    focusFirst(modal) {
+        const field = this.focusableIn(modal).find(element => element.matches('input, select, textarea'));
+        (field || this.focusableIn(modal)[0])?.focus();
+    }
+    
+    trapFocus(e, modal) {
+        const focusable = this.focusableIn(modal);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const outside = !modal.contains(document.activeElement);
+        
+        if (e.shiftKey && (outside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (outside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+    
+    // Through the close button where there is one, so its cleanup runs too
+    closeModal(modal) {
+        const close = modal.querySelector('.modal-close');
+        if (close) close.click();
+        else modal.classList.remove('active');
+    }
+    
+    // ===== COMMAND PALETTE =====
+    paletteCommands() {
+        const { shortcuts } = this;
+        const filters = [
+            'all', 'mastered', 'learning', 'difficult', 'recent', 'due',
+            ...this.getCollections().map(collection => `collection:${collection.id}`),
+            ...this.getTags().map(({ tag }) => `tag:${tag}`)
+        ];
+        
+        return [
+            { group: 'Words', title: 'Add a word', hint: shortcuts.add, keywords: ['new', 'create'], run: () => this.showAddWordModal() },
+            { group: 'Words', title: 'Look up a word', hint: shortcuts.lookup, keywords: ['ai', 'analyze', 'define'], run: () => this.focusLookup() },
+            { group: 'Words', title: 'Search words', hint: shortcuts.search, keywords: ['find'], run: () => document.getElementById('searchInput').focus() },
+            { group: 'Sync', title: 'Sync now', keywords: ['github', 'push', 'pull'], run: () => this.manualSync() },
+            { group: 'Data', title: 'Export...', keywords: ['download', 'anki', 'csv', 'markdown'], run: () => this.showExportModal() },
+            { group: 'Data', title: 'Import...', keywords: ['upload', 'anki', 'csv', 'kindle'], run: () => this.showImportModal() },
+            { group: 'Study', title: 'Start review', keywords: ['due', 'spaced repetition'], run: () => this.startReview() },
+            { group: 'Study', title: 'Start quiz', keywords: ['test'], run: () => this.startQuiz() },
+            { group: 'Study', title: 'Show analytics', keywords: ['stats', 'progress'], run: () => this.showAnalytics() },
+            { group: 'View', title: 'Toggle theme', keywords: ['dark', 'light'], run: () => this.toggleTheme() },
+            { group: 'App', title: 'Settings', keywords: ['github', 'token', 'providers'], run: () => this.showSettingsModal() },
+            { group: 'App', title: 'Keyboard shortcuts', hint: shortcuts.help, keywords: ['keys'], run: () => this.showShortcutSettings() },
+            ...filters.map(filter => ({ group: 'Filter', title: this.describeFilter(filter), keywords: ['show'], run: () => this.setFilter(filter) })),
+            ...this.dictionaries
+                .filter(dictionary => dictionary !== this.currentDictionary())
+                .map(dictionary => ({ group: 'Dictionary', title: this.describeDictionary(dictionary), keywords: ['switch', 'language'], run: () => this.switchDictionary(dictionary.id) })),
+            ...this.workspaces
+                .filter(workspace => workspace !== this.currentWorkspace())
+                .map(workspace => ({ group: 'Workspace', title: workspace.name, keywords: ['switch'], run: () => this.switchWorkspace(workspace.id) }))
+        ];
+    }
+    
+    // Words in the dictionary being shown whose name matches, then a lookup of the text
+    paletteSuggestions(query) {
+        this.searchIndex.sync(this.words);
+        
+        const words = this.searchIndex.search(query, this.currentWords())
+            .sort((a, b) => (b.score - a.score) || this.compareWords(a.word, b.word))
+            .slice(0, 8)
+            .map(({ word }) => ({ group: 'Open', title: word.word, run: () => this.viewWord(word.id) }));
+        
+        return [...words, {
+            group: 'Look up',
+            title: `"${query}"`,
+            run: () => {
+                document.getElementById('aiWordInput').value = query;
+                this.analyzeWord();
+            }
+        }];
+    }
+    
+    // ===== SHORTCUT SETTINGS =====
+    loadShortcuts() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getSetting('dictionary_shortcuts', '{}')) || {};
+        } catch (error) {
+            console.error('Ignoring saved shortcuts:', error);
+        }
+        
+        this.shortcuts = { ...this.defaultShortcuts };
+        Object.entries(saved).forEach(([id, key]) => {
+            if (id in this.defaultShortcuts && this.isShortcutKey(key)) this.shortcuts[id] = key;
+        });
+    }
+    
+    // One visible character; Shift is fine ("?" or "J")
+    isShortcutKey(key) {
+        return typeof key === 'string' && [...key].length === 1 && key.trim() !== '';
+    }
+    
+    renderShortcutSettings() {
+        document.getElementById('settingsShortcuts').innerHTML = html`${this.shortcutActions().map(action => html`
+            <label class="shortcut-row">
+                <span>${action.label}</span>
+                <input type="text" class="settings-input shortcut-input" data-shortcut="${action.id}" value="${this.shortcuts[action.id]}" maxlength="1" spellcheck="false" autocomplete="off">
+            </label>
+        `)}`;
+    }
+    
+    saveShortcuts() {
+        const status = document.getElementById('settingsShortcutsStatus');
+        const inputs = [...document.querySelectorAll('#settingsShortcuts [data-shortcut]')];
+        const labels = Object.fromEntries(this.shortcutActions().map(action => [action.id, action.label]));
+        const shortcuts = Object.fromEntries(inputs.map(input => [input.dataset.shortcut, input.value.trim()]));
+        
+        const invalid = Object.keys(shortcuts).find(id => !this.isShortcutKey(shortcuts[id]));
+        if (invalid) {
+            status.textContent = `"${labels[invalid]}" needs a single key.`;
+            return;
+        }
+        
+        const taken = new Map();
+        for (const [id, key] of Object.entries(shortcuts)) {
+            if (taken.has(key)) {
+                status.textContent = `"${key}" is used for both "${labels[taken.get(key)]}" and "${labels[id]}".`;
+                return;
+            }
+            taken.set(key, id);
+        }
         
-        this.showToast('Dictionary exported successfully!', 'success');
+        this.shortcuts = { ...this.defaultShortcuts, ...shortcuts };
+        this.storage.setSetting('dictionary_shortcuts', JSON.stringify(this.shortcuts));
+        status.textContent = 'Shortcuts saved.';
+    }
+    
+    resetShortcuts() {
+        this.shortcuts = { ...this.defaultShortcuts };
+        this.storage.removeSetting('dictionary_shortcuts');
+        this.renderShortcutSettings();
+        document.getElementById('settingsShortcutsStatus').textContent = 'Restored the default shortcuts.';
+    }
+    
+    showShortcutSettings() {
+        this.showSettingsModal();
+        document.getElementById('settingsShortcuts').scrollIntoView();
     }
     
     // ===== THEME =====
     setupTheme() {
-        const savedTheme = localStorage.getItem('dictionary_theme') || 'light';
+        const savedTheme = this.storage.getSetting('dictionary_theme', 'light');
         if (savedTheme === 'dark') {
             document.body.classList.add('dark-theme');
             const icon = document.querySelector('#themeToggle i');
@@ -937,7 +4846,7 @@ class DictionaryManager {
     
     toggleTheme() {
         const isDark = document.body.classList.toggle('dark-theme');
-        localStorage.setItem('dictionary_theme', isDark ? 'dark' : 'light');
+        this.storage.setSetting('dictionary_theme', isDark ? 'dark' : 'light');
         
         const icon = document.querySelector('#themeToggle i');
         if (icon) {
@@ -948,16 +4857,19 @@ class DictionaryManager {
     }
     
     // ===== GITHUB SYNC CALLBACKS =====
-    onDataUpdate(newData) {
+    async onDataUpdate(newData) {
+        await this.ready;
+        
         if (newData && newData.words) {
             console.log('🔄 Received updated data from GitHub');
             
             // Merge with local data
-            this.mergeWithGitHubData(newData.words);
+            if (!this.mergeWithGitHubData(newData.words, newData.tombstones, 'dictionary-data.js', newData.collections, newData.activity)) return;
             
             // Update UI
             this.updateStats();
             this.renderWordList();
+            this.updateSyncStatus('synced');
             
             this.showToast('🔄 Synced latest changes from other devices', 'success');
         }
@@ -969,7 +4881,7 @@ class DictionaryManager {
         
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.innerHTML = `
+        toast.innerHTML = html`
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
             <div>${message}</div>
         `;
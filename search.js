@@ -0,0 +1,404 @@
+// ===== SEARCH INDEX =====
+// In-memory inverted index over every word's text (the word, its tags and
+// translations, all senses' definitions, examples, synonyms and antonyms).
+// Queries are typo tolerant and ranked; field filters narrow them down:
+//
+//   happy                 words, prefixes and near misses of "happy"
+//   h                     a single letter: words whose headword starts with it
+//   pos:verb              a sense with that part of speech (prefixes work: pos:adj)
+//   difficulty:hard       easy, medium or hard (also diff:)
+//   syn:glad  ant:sad     a synonym / antonym containing the text
+//   tr:house              a translation containing the text
+//   tag:gre               a word tagged exactly that
+//   in:"Unit 3"           a word in the collection of that name (`memberOf`)
+//   is:mastered           any predicate passed in `is` (the filter buttons)
+//
+// Values with spaces can be quoted: syn:"happy accident".
+// DictionaryManager keeps the index current: add() on add and edit,
+// remove() on delete, and sync() before each search to pick up bulk
+// changes (merges, imports) without re-indexing unchanged words.
+//
+// Text is matched without case or accents ("cafe" finds "café"), lowercased
+// the way `locale` does it (Turkish dotted and dotless i), with "ß" as "ss".
+class SearchIndex {
+    constructor({ is = {}, memberOf = () => false, locale } = {}) {
+        this.is = is;
+        this.memberOf = memberOf;
+        this.locale = locale;
+        
+        // How much a match in each field counts towards a word's rank
+        this.fieldWeights = { word: 10, translations: 5, synonyms: 4, tags: 3, definitions: 3, antonyms: 2, examples: 1 };
+        
+        // How good each kind of term match is
+        this.matchQuality = { exact: 1, prefix: 0.8, typo1: 0.6, typo2: 0.4 };
+        
+        this.postings = new Map();  // term -> Map(word id -> weight)
+        this.documents = new Map(); // word id -> { word, updatedAt, terms, wordTerms, fields }
+        
+        // Typo matching only looks at terms of about the same length, and
+        // prefixes are found by binary search in the sorted terms
+        this.termsByLength = new Map(); // term length -> Set(term)
+        this.sortedTerms = null;        // built again on the first query after a change
+    }
+    
+    // ===== TEXT =====
+    // Terms depend on the locale, so changing it empties the index; the next
+    // sync() builds it again
+    setLocale(locale) {
+        if (locale === this.locale) return;
+        
+        this.locale = locale;
+        this.postings.clear();
+        this.documents.clear();
+        this.termsByLength.clear();
+        this.sortedTerms = null;
+    }
+    
+    normalize(text) {
+        const lower = this.locale ? String(text ?? '').toLocaleLowerCase(this.locale) : String(text ?? '').toLowerCase();
+        return lower.replace(/ß/g, 'ss').normalize('NFD').replace(/\p{M}/gu, '');
+    }
+    
+    tokenize(text) {
+        return this.split(this.normalize(text));
+    }
+    
+    // Terms of text that is already normalized
+    split(normalized) {
+        return normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+    
+    fieldsOf(word) {
+        const senses = Array.isArray(word.senses) && word.senses.length > 0
+            ? word.senses
+            : [{ ...word, definitions: word.definition ? [word.definition] : [] }];
+        const collect = key => senses.flatMap(sense => sense[key] || []);
+        
+        return {
+            word: [word.word],
+            tags: word.tags || [],
+            translations: (word.translations || []).map(translation => translation.text),
+            definitions: collect('definitions'),
+            examples: collect('examples'),
+            synonyms: collect('synonyms'),
+            antonyms: collect('antonyms'),
+            partsOfSpeech: senses.map(sense => sense.partOfSpeech).filter(Boolean)
+        };
+    }
+    
+    // fieldsOf() with every text normalized, which is what terms and filters
+    // are matched against
+    normalizedFields(word) {
+        const fields = this.fieldsOf(word);
+        Object.keys(fields).forEach(field => {
+            fields[field] = fields[field].map(text => this.normalize(text));
+        });
+        return fields;
+    }
+    
+    // ===== MAINTENANCE =====
+    // Adds a word, or re-indexes it after an edit
+    add(word) {
+        this.remove(word.id);
+        
+        const fields = this.normalizedFields(word);
+        const weights = new Map();
+        
+        // Each field counts once per term, however often the term appears in it
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            new Set(fields[field].flatMap(text => this.split(text))).forEach(term => {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            });
+        });
+        
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+                this.addTerm(term);
+            }
+            this.postings.get(term).set(word.id, weight);
+        });
+        
+        // The fields stay with the document so filters don't redo them per query
+        this.documents.set(word.id, {
+            word,
+            updatedAt: word.updatedAt,
+            terms: [...weights.keys()],
+            wordTerms: new Set(fields.word.flatMap(text => this.split(text))),
+            fields
+        });
+    }
+    
+    remove(wordId) {
+        const document = this.documents.get(wordId);
+        if (!document) return;
+        
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(wordId);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+                this.removeTerm(term);
+            }
+        });
+        
+        this.documents.delete(wordId);
+    }
+    
+    addTerm(term) {
+        if (!this.termsByLength.has(term.length)) this.termsByLength.set(term.length, new Set());
+        this.termsByLength.get(term.length).add(term);
+        this.sortedTerms = null;
+    }
+    
+    removeTerm(term) {
+        const terms = this.termsByLength.get(term.length);
+        terms.delete(term);
+        if (terms.size === 0) this.termsByLength.delete(term.length);
+        this.sortedTerms = null;
+    }
+    
+    // Indexes new and changed words and drops missing ones. Words are only
+    // re-tokenized when they are a different object or have a new updatedAt.
+    sync(words) {
+        const ids = new Set();
+        
+        words.forEach(word => {
+            ids.add(word.id);
+            const document = this.documents.get(word.id);
+            if (!document || document.word !== word || document.updatedAt !== word.updatedAt) {
+                this.add(word);
+            }
+        });
+        
+        [...this.documents.keys()].forEach(id => {
+            if (!ids.has(id)) this.remove(id);
+        });
+    }
+    
+    // ===== QUERIES =====
+    parse(query) {
+        const filters = [];
+        const terms = [];
+        const aliases = { diff: 'difficulty', translation: 'tr' };
+        const known = ['pos', 'difficulty', 'syn', 'ant', 'tr', 'tag', 'in', 'is'];
+        const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gu;
+        
+        for (const match of String(query || '').matchAll(pattern)) {
+            const key = aliases[match[1]?.toLowerCase()] || match[1]?.toLowerCase();
+            const value = match[2] ?? match[3];
+            
+            if (key && known.includes(key) && value) {
+                filters.push({ key, value: this.normalize(value).trim() });
+            } else {
+                terms.push(...this.tokenize(match[0]));
+            }
+        }
+        
+        return { terms: [...new Set(terms)], filters };
+    }
+    
+    // Returns [{ word, score, terms }] for the words that match the query, in
+    // the order given. `terms` are the indexed terms that matched, for highlighting.
+    search(query, words) {
+        const { terms, filters } = this.parse(query);
+        const hits = terms.length > 0 ? this.match(terms, query) : null;
+        const results = [];
+        
+        words.forEach(word => {
+            const hit = hits ? hits.get(word.id) : { score: 0, terms: new Set() };
+            if (!hit) return;
+            
+            const fields = filters.length > 0 ? this.indexedFields(word) : null;
+            if (filters.every(filter => this.passes(word, filter, fields))) {
+                results.push({ word, score: hit.score, terms: hit.terms });
+            }
+        });
+        
+        return results;
+    }
+    
+    // The normalized fields kept by add(), unless the word changed since
+    indexedFields(word) {
+        const document = this.documents.get(word.id);
+        return document && document.word === word && document.updatedAt === word.updatedAt
+            ? document.fields
+            : this.normalizedFields(word);
+    }
+    
+    passes(word, { key, value }, fields = this.indexedFields(word)) {
+        const contains = list => list.some(item => item.includes(value));
+        
+        switch (key) {
+            case 'pos': return fields.partsOfSpeech.some(pos => pos.startsWith(value));
+            case 'difficulty': return Boolean(value) && String(word.difficulty || '').startsWith(value);
+            case 'syn': return contains(fields.synonyms);
+            case 'ant': return contains(fields.antonyms);
+            case 'tr': return contains(fields.translations);
+            case 'tag': return fields.tags.some(tag => tag.trim() === value);
+            case 'in': return Boolean(this.memberOf(word, value));
+            case 'is': return Boolean(this.is[value]?.(word));
+            default: return true;
+        }
+    }
+    
+    // Every query term has to match something in the word (exactly, as a
+    // prefix or with a typo or two); the word's score adds up the best match
+    // for each term, weighted by field and by how rare the term is.
+    match(terms, query) {
+        const total = Math.max(this.documents.size, 1);
+        let hits = null;
+        
+        terms.forEach(queryTerm => {
+            const termHits = new Map();
+            
+            // A single letter would start a term in nearly every definition,
+            // so its prefix matches only count in the word itself
+            const wordOnly = queryTerm.length === 1;
+            
+            this.expand(queryTerm).forEach((quality, term) => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + total / posting.size);
+                
+                posting.forEach((weight, id) => {
+                    if (wordOnly && term !== queryTerm && !this.documents.get(id).wordTerms.has(term)) return;
+                    
+                    const score = quality * idf * weight;
+                    const hit = termHits.get(id) || { score: 0, terms: new Set() };
+                    hit.score = Math.max(hit.score, score);
+                    hit.terms.add(term);
+                    termHits.set(id, hit);
+                });
+            });
+            
+            if (hits === null) {
+                hits = termHits;
+                return;
+            }
+            
+            const combined = new Map();
+            hits.forEach((hit, id) => {
+                const termHit = termHits.get(id);
+                if (termHit) {
+                    combined.set(id, { score: hit.score + termHit.score, terms: new Set([...hit.terms, ...termHit.terms]) });
+                }
+            });
+            hits = combined;
+        });
+        
+        // The word itself being what was typed beats everything else
+        const phrase = this.tokenize(query.replace(/(\w+):("[^"]*"|\S+)/gu, '')).join(' ');
+        hits.forEach((hit, id) => {
+            const word = this.tokenize(this.documents.get(id)?.word.word).join(' ');
+            if (word === phrase) hit.score += 100;
+            else if (word.startsWith(phrase)) hit.score += 20;
+        });
+        
+        return hits;
+    }
+    
+    // Indexed terms that match a query term, with the quality of each match
+    expand(queryTerm) {
+        const matches = new Map();
+        const maxTypos = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+        
+        this.termsStartingWith(queryTerm).forEach(term => {
+            matches.set(term, term === queryTerm ? this.matchQuality.exact : this.matchQuality.prefix);
+        });
+        
+        if (maxTypos === 0) return matches;
+        
+        // Each typo changes a term's length by at most one
+        for (let length = queryTerm.length - maxTypos; length <= queryTerm.length + maxTypos; length++) {
+            this.termsByLength.get(length)?.forEach(term => {
+                if (matches.has(term)) return;
+                
+                const distance = this.editDistance(queryTerm, term, maxTypos);
+                if (distance <= maxTypos) matches.set(term, this.matchQuality[`typo${distance}`]);
+            });
+        }
+        
+        return matches;
+    }
+    
+    // Indexed terms that start with `prefix` (itself included)
+    termsStartingWith(prefix) {
+        if (!this.sortedTerms) this.sortedTerms = [...this.postings.keys()].sort();
+        
+        const terms = this.sortedTerms;
+        let low = 0;
+        let high = terms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (terms[middle] < prefix) low = middle + 1;
+            else high = middle;
+        }
+        
+        const found = [];
+        for (let i = low; i < terms.length && terms[i].startsWith(prefix); i++) {
+            found.push(terms[i]);
+        }
+        return found;
+    }
+    
+    // Damerau-Levenshtein distance (adjacent swaps count as one typo).
+    // Gives up early and returns max + 1 once the distance must exceed `max`.
+    editDistance(a, b, max) {
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    // ===== HIGHLIGHTING =====
+    // Escaped text with the matched terms wrapped in <mark>
+    highlight(text, terms) {
+        if (!terms || terms.size === 0) return html`${text}`;
+        
+        return html`${String(text ?? '').split(/([\p{L}\p{N}\p{M}]+)/u).map((part, i) =>
+            i % 2 === 1 && terms.has(this.normalize(part)) ? html`<mark>${part}</mark>` : part
+        )}`;
+    }
+    
+    // When the match is somewhere a card doesn't show (an example, a
+    // synonym, a later sense), the first such text: { label, text }
+    snippet(word, terms, shown = []) {
+        if (!terms || terms.size === 0) return null;
+        
+        const hasMatch = text => this.tokenize(text).some(term => terms.has(term));
+        if (shown.some(hasMatch)) return null;
+        
+        const fields = this.fieldsOf(word);
+        const labels = { translations: 'Translation', synonyms: 'Synonym', tags: 'Tag', definitions: 'Definition', examples: 'Example', antonyms: 'Antonym' };
+        
+        for (const [field, label] of Object.entries(labels)) {
+            const text = fields[field].find(hasMatch);
+            if (text) return { label, text };
+        }
+        return null;
+    }
+}
+
+// Loaded with Node by the tests in test/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex };
+}
@@ -0,0 +1,306 @@
+// ===== DICTIONARY STORAGE =====
+// Persistence layer for DictionaryManager. Words live in IndexedDB, one
+// record per word, so changing a word only rewrites that word. Sync
+// bookkeeping (tombstones, merge bases, conflicts, outbox) lives in a small
+// key/value store next to them. Browsers without IndexedDB fall back to the
+// original localStorage keys. Pronunciation recordings stay on this device in
+// a store of their own and need IndexedDB.
+//
+// Every workspace gets a database (and fallback keys) of its own; the default
+// workspace (no id) keeps the original names.
+class DictionaryStorage {
+    constructor(workspace = null) {
+        const suffix = workspace ? `:${workspace}` : '';
+        this.dbName = `dictionary-manager${suffix}`;
+        this.db = null;
+        
+        // localStorage keys used before IndexedDB (and by the fallback)
+        this.legacyKeys = {
+            words: `dictionary_words${suffix}`,
+            tombstones: `dictionary_tombstones${suffix}`,
+            baseVersions: `dictionary_base_versions${suffix}`,
+            conflicts: `dictionary_conflicts${suffix}`,
+            outbox: `dictionary_outbox${suffix}`,
+            quarantine: `dictionary_quarantine${suffix}`,
+            collections: `dictionary_collections${suffix}`,
+            activity: `dictionary_activity${suffix}`
+        };
+        
+        // Schema migrations, keyed by the database version they upgrade to.
+        // Add a new entry (and never edit an old one) to change the schema.
+        this.migrations = {
+            1: (db, transaction) => {
+                const words = db.createObjectStore('words', { keyPath: 'id' });
+                words.createIndex('word', 'wordKey', { unique: false });
+                words.createIndex('difficulty', 'difficulty', { unique: false });
+                words.createIndex('mastered', 'masteredFlag', { unique: false });
+                words.createIndex('createdAt', 'createdAt', { unique: false });
+                
+                const meta = db.createObjectStore('meta', { keyPath: 'key' });
+                
+                this.importLegacyData(transaction.objectStore('words'), meta);
+            },
+            
+            // { wordId, blob, mimeType, duration, recordedAt }, one per word
+            2: (db) => {
+                db.createObjectStore('recordings', { keyPath: 'wordId' });
+            }
+        };
+    }
+    
+    get version() {
+        return Math.max(...Object.keys(this.migrations).map(Number));
+    }
+    
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.log('⚠️ IndexedDB not available, using localStorage');
+            return false;
+        }
+        
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const transaction = request.transaction;
+                    
+                    for (let v = event.oldVersion + 1; v <= event.newVersion; v++) {
+                        console.log(`🗄️ Migrating dictionary database to v${v}`);
+                        this.migrations[v](db, transaction);
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+            });
+            
+            return true;
+            
+        } catch (error) {
+            console.error('Failed to open IndexedDB, using localStorage:', error);
+            this.db = null;
+            return false;
+        }
+    }
+    
+    close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+    
+    // Removes the database and fallback keys for good (deleting a workspace).
+    // If another tab still has the database open, it goes once that tab closes.
+    async destroy() {
+        this.close();
+        Object.values(this.legacyKeys).forEach(key => localStorage.removeItem(key));
+        if (typeof indexedDB === 'undefined') return;
+        
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(this.dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve();
+        });
+    }
+    
+    // Copies the old single-key localStorage data into the new stores. Runs
+    // inside the upgrade transaction, so a failure leaves the old data alone.
+    importLegacyData(wordStore, metaStore) {
+        try {
+            const saved = localStorage.getItem(this.legacyKeys.words);
+            const words = saved ? JSON.parse(saved) : [];
+            words.forEach(word => wordStore.put(this.toRecord(word)));
+            
+            Object.keys(this.legacyKeys).filter(key => key !== 'words').forEach(key => {
+                const value = localStorage.getItem(this.legacyKeys[key]);
+                if (value) metaStore.put({ key, value: JSON.parse(value) });
+            });
+            
+            wordStore.transaction.addEventListener('complete', () => {
+                Object.values(this.legacyKeys).forEach(key => localStorage.removeItem(key));
+                console.log(`📦 Imported ${words.length} words from localStorage`);
+            });
+            
+        } catch (error) {
+            console.error('Could not import localStorage data:', error);
+        }
+    }
+    
+    // ===== WORDS =====
+    async getAllWords() {
+        if (!this.db) {
+            return this.readLegacy('words', []);
+        }
+        
+        const records = await this.request('words', 'readonly', store => store.getAll());
+        return records.map(record => this.fromRecord(record));
+    }
+    
+    async putWords(words) {
+        if (!words.length) return;
+        
+        if (!this.db) {
+            return this.writeLegacyWords(words, []);
+        }
+        
+        await this.transaction('words', 'readwrite', store => {
+            words.forEach(word => store.put(this.toRecord(word)));
+        });
+    }
+    
+    async deleteWords(ids) {
+        if (!ids.length) return;
+        
+        if (!this.db) {
+            return this.writeLegacyWords([], ids);
+        }
+        
+        await this.transaction('words', 'readwrite', store => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+    
+    async findByIndex(index, value) {
+        if (!this.db) {
+            const words = this.readLegacy('words', []);
+            return words.filter(word => this.toRecord(word)[this.indexKeyPath(index)] === value);
+        }
+        
+        const records = await this.request('words', 'readonly', store => store.index(index).getAll(value));
+        return records.map(record => this.fromRecord(record));
+    }
+    
+    // ===== RECORDINGS =====
+    async getRecording(wordId) {
+        if (!this.db) return null;
+        
+        return (await this.request('recordings', 'readonly', store => store.get(wordId))) || null;
+    }
+    
+    async putRecording(recording) {
+        if (!this.db) {
+            throw new Error('Saving recordings needs IndexedDB');
+        }
+        
+        await this.transaction('recordings', 'readwrite', store => store.put(recording));
+    }
+    
+    async deleteRecordings(wordIds) {
+        if (!this.db || !wordIds.length) return;
+        
+        await this.transaction('recordings', 'readwrite', store => {
+            wordIds.forEach(id => store.delete(id));
+        });
+    }
+    
+    // Follows words whose ids changed (renamed: Map of old id -> new id)
+    async moveRecordings(renamed) {
+        if (!this.db || renamed.size === 0) return;
+        
+        await this.transaction('recordings', 'readwrite', store => {
+            renamed.forEach((to, from) => {
+                const request = store.get(from);
+                request.onsuccess = () => {
+                    if (!request.result) return;
+                    store.delete(from);
+                    store.put({ ...request.result, wordId: to });
+                };
+            });
+        });
+    }
+    
+    // ===== SYNC STATE =====
+    async getMeta(key, fallback) {
+        if (!this.db) {
+            return this.readLegacy(key, fallback);
+        }
+        
+        const record = await this.request('meta', 'readonly', store => store.get(key));
+        return record ? record.value : fallback;
+    }
+    
+    async setMeta(entries) {
+        if (!this.db) {
+            Object.entries(entries).forEach(([key, value]) => {
+                localStorage.setItem(this.legacyKeys[key], JSON.stringify(value));
+            });
+            return;
+        }
+        
+        await this.transaction('meta', 'readwrite', store => {
+            Object.entries(entries).forEach(([key, value]) => store.put({ key, value }));
+        });
+    }
+    
+    // ===== SETTINGS =====
+    // Small per-device preferences. These stay in localStorage because they
+    // are needed synchronously while the page is starting up.
+    getSetting(key, fallback = null) {
+        const value = localStorage.getItem(key);
+        return value === null ? fallback : value;
+    }
+    
+    setSetting(key, value) {
+        localStorage.setItem(key, value);
+    }
+    
+    removeSetting(key) {
+        localStorage.removeItem(key);
+    }
+    
+    // ===== HELPERS =====
+    // Booleans can't be IndexedDB keys, so the mastered index uses 0/1
+    toRecord(word) {
+        return {
+            ...word,
+            wordKey: (word.word || '').toLowerCase(),
+            masteredFlag: word.mastered ? 1 : 0
+        };
+    }
+    
+    fromRecord(record) {
+        const { wordKey, masteredFlag, ...word } = record;
+        return word;
+    }
+    
+    indexKeyPath(index) {
+        return { word: 'wordKey', mastered: 'masteredFlag' }[index] || index;
+    }
+    
+    request(storeName, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(storeName, mode).objectStore(storeName);
+            const request = callback(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    transaction(storeName, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            callback(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    readLegacy(key, fallback) {
+        const value = localStorage.getItem(this.legacyKeys[key]);
+        return value ? JSON.parse(value) : fallback;
+    }
+    
+    writeLegacyWords(changed, deletedIds) {
+        const changedIds = new Set(changed.map(word => word.id));
+        const removed = new Set(deletedIds);
+        const words = this.readLegacy('words', [])
+            .filter(word => !changedIds.has(word.id) && !removed.has(word.id))
+            .concat(changed);
+        
+        localStorage.setItem(this.legacyKeys.words, JSON.stringify(words));
+    }
+}
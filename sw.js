@@ -0,0 +1,182 @@
+// ===== SERVICE WORKER =====
+// Lets the app start without a connection and be installed as an app.
+//
+// - App shell (the page, its scripts, icons and the offline word list):
+//   precached on install, then served from the cache and refreshed in the
+//   background, so a new version shows up on the next launch.
+// - CDN styles and fonts (Font Awesome, Google Fonts): cached the first time
+//   they load and served from the cache after that.
+// - Dictionary data (each workspace's dictionary.json on GitHub, and
+//   dictionary-data.js): network first, falling back to the last copy.
+//
+// GitHub API calls and word lookups are never cached. Bump CACHE_VERSION
+// when the list of shell files changes.
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `dictionary-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `dictionary-cdn-${CACHE_VERSION}`;
+const DATA_CACHE = `dictionary-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'template.js',
+    'schema.js',
+    'identity.js',
+    'merge.js',
+    'review.js',
+    'activity.js',
+    'search.js',
+    'grid.js',
+    'cards.js',
+    'storage.js',
+    'quiz.js',
+    'providers.js',
+    'importer.js',
+    'exporter.js',
+    'audio.js',
+    'commands.js',
+    'script.js',
+    'lookup/offline-words.json',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png'
+];
+
+// Fetched on install too, but a CDN being down mustn't stop the install
+const CDN_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&display=swap'
+];
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Tag the page registers when pushes are waiting for a connection
+const OUTBOX_SYNC_TAG = 'dictionary-outbox';
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        
+        const cdn = await caches.open(CDN_CACHE);
+        await Promise.allSettled(CDN_FILES.map(url => cdn.add(url)));
+        
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, CDN_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('dictionary-') && !current.includes(name))
+            .map(name => caches.delete(name)));
+        
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (isDictionaryData(url)) {
+        event.respondWith(networkFirst(request, url));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// raw.githubusercontent.com is only used for dictionary files; the API
+// (api.github.com) carries the token and is left alone
+function isDictionaryData(url) {
+    if (url.hostname === 'raw.githubusercontent.com') return true;
+    return url.origin === self.location.origin && /(^|\/)(dictionary\.json|dictionary-data\.js)$/.test(url.pathname);
+}
+
+// ===== STRATEGIES =====
+async function networkFirst(request, url) {
+    const cache = await caches.open(DATA_CACHE);
+    
+    // dictionary-data.js is requested with ?v=<time> to get past the HTTP cache
+    const key = url.origin === self.location.origin ? url.pathname : request.url;
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    
+    // Any page in scope starts the app (e.g. index.html?word=...)
+    const cached = request.mode === 'navigate'
+        ? await cache.match('./') || await cache.match('index.html')
+        : await cache.match(request, { ignoreSearch: true });
+    
+    const refresh = fetch(request).then(async response => {
+        if (response.ok && response.type === 'basic') {
+            await cache.put(request.mode === 'navigate' ? './' : request, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        // Keep the worker alive until the refresh is stored
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+// ===== BACKGROUND SYNC =====
+// Pushing needs the GitHub token and the merge in DictionaryManager, which
+// live in the page. When the connection is back, the worker asks an open
+// window to push; if none is open (or the push fails) the sync fails and the
+// browser tries again later. The page also pushes on its own when it starts.
+self.addEventListener('sync', event => {
+    if (event.tag === OUTBOX_SYNC_TAG) event.waitUntil(flushOutbox());
+});
+
+async function flushOutbox() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length === 0) throw new Error('No open window to push from');
+    
+    // One at a time: windows showing the same workspace share its outbox
+    let pushed = true;
+    for (const client of windows) {
+        const result = await new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = event => resolve(event.data);
+            client.postMessage({ type: 'flush-outbox' }, [channel.port2]);
+            
+            // A window that doesn't answer (e.g. an old version) counts as a failure
+            setTimeout(() => resolve(null), 60 * 1000);
+        });
+        pushed = pushed && Boolean(result && result.pushed);
+    }
+    
+    if (!pushed) throw new Error('Pending changes were not pushed');
+}
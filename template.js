@@ -0,0 +1,51 @@
+// ===== SAFE TEMPLATES =====
+// Every view is built from template strings. Tagging them with `html` escapes
+// each interpolated value unless it is itself an `html` template (or marked
+// with rawHtml), so text from words, synced files and issues can never turn
+// into markup:
+//
+//   element.innerHTML = html`<h3>${word.word}</h3>${items.map(i => html`<li>${i}</li>`)}`;
+//
+// Arrays are joined, and null/undefined/false render as nothing. Values used
+// as arguments in inline handlers go through jsArg so they stay a JS literal.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+    
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/`/g, '&#96;');
+}
+
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? renderValue(values[i]) : ''), ''));
+}
+
+// For markup that is known to be safe (never user content)
+function rawHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// `onclick="dictionary.viewWord(${jsArg(word.id)})"` - a JSON literal, then
+// HTML-escaped by the surrounding template, so quotes can't end the handler
+function jsArg(value) {
+    return new SafeHtml(escapeHtml(JSON.stringify(value ?? null)));
+}
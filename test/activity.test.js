@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActivityLog } = require('../activity.js');
+
+const event = (type, at, wordId = 'w1') => ({ id: `${type}_${wordId}_${at}`, type, at, wordId });
+
+test('mastery counts words mastered by the end of each day', () => {
+    const log = new ActivityLog([
+        event('master', '2026-01-01T12:00:00', 'w1'),
+        event('master', '2026-01-02T12:00:00', 'w2'),
+        event('unmaster', '2026-01-03T12:00:00', 'w1')
+    ]);
+    
+    assert.deepEqual(log.mastery(3, new Date('2026-01-03T12:00:00')).map(day => day.count), [1, 2, 1]);
+});
+
+test('mastered words from before the charted days are carried in', () => {
+    const log = new ActivityLog([event('master', '2025-06-01T12:00:00'), event('master', '2026-01-02T12:00:00', 'w2')]);
+    
+    assert.deepEqual(log.mastery(2, new Date('2026-01-02T12:00:00')).map(day => day.count), [1, 2]);
+});
+
+test('combining two logs keeps one copy of each event, oldest first', () => {
+    const first = event('add', '2026-01-02T00:00:00.000Z');
+    const second = event('add', '2026-01-01T00:00:00.000Z', 'w2');
+    
+    assert.deepEqual(new ActivityLog([first, second, first]).compact(), [second, first]);
+});
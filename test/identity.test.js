@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WordIdentity } = require('../identity.js');
+const { WordMerge } = require('../merge.js');
+
+const identity = new WordIdentity();
+const merger = new WordMerge();
+
+const word = fields => ({
+    id: '01HZX3V9Q8M2K7R5T4W6Y0A1BC',
+    word: 'gift',
+    definition: 'something given',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+});
+
+test('old float ids always become the same ULID', () => {
+    const id = 1712345678901.123;
+    const migrated = identity.migrateId(id);
+    
+    assert.match(migrated, /^[0-9A-HJKMNP-TV-Z]{26}$/);
+    assert.equal(identity.migrateId(id), migrated);
+    assert.equal(new WordIdentity().migrateId(id), migrated);
+    assert.equal(migrated.slice(0, 10), identity.encode(1712345678901, 10));
+    assert.notEqual(identity.migrateId(1712345678901.456), migrated);
+    assert.equal(identity.migrateId(migrated), migrated);
+});
+
+test('copies sharing an id or a word key fold onto the oldest id', () => {
+    const renamed = identity.canonicalIds([
+        word({ id: 'B', createdAt: '2026-01-02T00:00:00.000Z' }),
+        word({ id: 'A', word: ' Gift ', createdAt: '2026-01-01T00:00:00.000Z' }),
+        word({ id: 'C', word: 'present', createdAt: '2026-01-03T00:00:00.000Z' }),
+        word({ id: 'C', word: 'GIFT', createdAt: '2026-01-03T00:00:00.000Z' })
+    ]);
+    
+    assert.deepEqual([...renamed], [['B', 'A'], ['C', 'A']]);
+});
+
+test('the same spelling in two languages is two words', () => {
+    const renamed = identity.canonicalIds([
+        word({ id: 'A' }),
+        word({ id: 'B', word: 'Gift', language: 'de', definition: 'poison' })
+    ]);
+    
+    assert.equal(renamed.size, 0);
+    assert.notEqual(identity.wordKey('gift', 'en'), identity.wordKey('Gift', 'de'));
+});
+
+test('resolve keeps the newest copy unless told how to combine copies', () => {
+    const older = word({ id: 'A', senses: [{ partOfSpeech: 'noun', definitions: ['something given'], examples: [], synonyms: [], antonyms: [] }] });
+    const newer = word({ id: 'B', updatedAt: '2026-01-05T00:00:00.000Z', senses: [{ partOfSpeech: 'noun', definitions: ['a talent'], examples: [], synonyms: [], antonyms: [] }] });
+    const renamed = identity.canonicalIds([older, newer]);
+    
+    const [kept] = identity.resolve([older, newer], renamed);
+    assert.equal(kept.id, 'A');
+    assert.deepEqual(kept.senses.map(sense => sense.definitions[0]), ['a talent']);
+    
+    const [combined] = identity.resolve([older, newer], renamed, (a, b) => merger.combine(a, b));
+    assert.equal(combined.id, 'A');
+    assert.deepEqual(combined.senses.map(sense => sense.definitions[0]), ['a talent', 'something given']);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DictionaryValidator } = require('../schema.js');
+const { WordIdentity } = require('../identity.js');
+const { DictionaryImporter } = require('../importer.js');
+const { DictionaryExporter } = require('../exporter.js');
+
+const importer = new DictionaryImporter(new DictionaryValidator(), new WordIdentity());
+const exporter = new DictionaryExporter(importer);
+const scope = { filter: 'all', label: 'All words', search: '', language: 'en' };
+
+const words = [
+    {
+        id: '01HZX3V9Q8M2K7R5T4W6Y0A1BC',
+        word: 'serendipity',
+        pronunciation: '/ˌserənˈdipədē/',
+        difficulty: 'hard',
+        mastered: true,
+        language: 'en',
+        audio: 'https://example.com/serendipity.mp3',
+        translations: [{ language: 'es', text: 'serendipia' }],
+        tags: ['gre', 'favourite'],
+        collections: ['01HZX3V9Q8M2K7R5T4W6Y0C0LL'],
+        senses: [
+            { partOfSpeech: 'noun', definitions: ['a happy accident', 'luck in finding things'], examples: ['It was pure serendipity.'], synonyms: ['chance', 'fluke'], antonyms: ['design'] },
+            { id: 's2', partOfSpeech: 'adjective', definitions: ['found by chance\nor luck'], examples: [], synonyms: [], antonyms: [] }
+        ],
+        review: { ease: 2.6, interval: 6, repetitions: 2, due: '2026-01-07T00:00:00.000Z', lastReviewed: '2026-01-01T00:00:00.000Z' },
+        quiz: { attempts: 3, correct: 2, lastAttempt: '2026-01-01T00:00:00.000Z' },
+        createdAt: '2025-12-01T00:00:00.000Z',
+        updatedAt: '2026-01-01T00:00:00.000Z'
+    },
+    {
+        id: '01HZX3V9Q8M2K7R5T4W6Y0A1BD',
+        word: 'quay, "the" dock',
+        pronunciation: '',
+        difficulty: 'easy',
+        mastered: false,
+        definition: 'a platform where boats load',
+        tags: ['travel'],
+        partOfSpeech: 'noun',
+        examples: ['Meet me at the quay, by the boats'],
+        synonyms: ['wharf'],
+        antonyms: [],
+        createdAt: '2025-12-02T00:00:00.000Z'
+    }
+];
+
+// The word as an import candidate describes it
+const expected = (word, fields = ['tags', 'collections', 'translations', 'audio', 'language']) => {
+    const candidate = {
+        word: word.word,
+        pronunciation: word.pronunciation,
+        difficulty: word.difficulty,
+        senses: importer.normalizeSenses(word)
+    };
+    fields.forEach(field => {
+        if (word[field] !== undefined) candidate[field] = word[field];
+    });
+    return candidate;
+};
+
+test('a JSON export imports as the same words', () => {
+    const file = exporter.toJSON(words, scope);
+    const candidates = importer.parseJSON(file.content);
+    
+    assert.equal(candidates.length, words.length);
+    candidates.forEach((candidate, i) => {
+        assert.deepEqual({ ...candidate, source: undefined }, {
+            ...expected(words[i]),
+            source: undefined,
+            mastered: words[i].mastered,
+            masteredOverride: words[i].masteredOverride,
+            review: words[i].review,
+            quiz: words[i].quiz,
+            createdAt: words[i].createdAt
+        });
+    });
+});
+
+// CSV has the words, their senses and tags (collections, translations and
+// the rest only go into JSON)
+test('a CSV export imports as the same words', () => {
+    const file = exporter.toCSV(words, scope);
+    const [headers, ...rows] = importer.parseDelimited(file.content);
+    
+    assert.ok(importer.looksLikeHeader(headers));
+    const candidates = importer.rowsToCandidates(rows, importer.guessMapping(headers));
+    
+    assert.deepEqual(candidates.map(({ source, ...candidate }) => candidate), words.map(word => expected(word, ['tags'])));
+});
+
+test('CSV files without a Senses column use the separate columns', () => {
+    const csv = 'Word,Definition,Part of Speech,Synonyms,Tags\nquay,a platform | a wharf,noun,"wharf, pier",travel; ports';
+    const [headers, ...rows] = importer.parseDelimited(csv);
+    const [candidate] = importer.rowsToCandidates(rows, importer.guessMapping(headers));
+    
+    assert.deepEqual(candidate.senses, [{ partOfSpeech: 'noun', definitions: ['a platform', 'a wharf'], examples: [], synonyms: ['wharf', 'pier'], antonyms: [] }]);
+    assert.deepEqual(candidate.tags, ['travel', 'ports']);
+});
+
+test('records that don\'t match the schema come back with their errors', () => {
+    const [candidate] = importer.parseJSON(JSON.stringify({ words: [{ word: 'bad', difficulty: 'extreme' }] }));
+    
+    assert.equal(candidate.word, 'bad');
+    assert.deepEqual(candidate.errors, ['/difficulty must be one of easy, medium, hard']);
+});
+
+test('import plans add new words, merge known ones and skip repeats', () => {
+    const existing = [{ ...words[0], senses: [words[0].senses[0]], tags: ['gre'] }];
+    const candidates = importer.parseJSON(exporter.toJSON([...words, words[1]], scope).content);
+    const plan = importer.plan(candidates, existing);
+    
+    assert.deepEqual(plan.add.map(entry => entry.candidate.word), [words[1].word]);
+    assert.deepEqual(plan.merge.map(entry => entry.changes.senses.length), [2]);
+    assert.deepEqual(plan.merge.map(entry => entry.changes.tags), [['gre', 'favourite']]);
+    assert.deepEqual(plan.skip.map(entry => entry.reason), ['Repeated in file (combined)']);
+});
+
+test('an export imported into the same dictionary changes nothing', () => {
+    const candidates = importer.parseJSON(exporter.toJSON(words, scope).content);
+    const plan = importer.plan(candidates, words);
+    
+    assert.deepEqual(plan.skip.map(entry => entry.reason), ['Already in dictionary', 'Already in dictionary']);
+});
+
+test('words are matched within their language', () => {
+    const german = { ...words[1], word: 'Gift', language: 'de' };
+    const candidates = importer.parseJSON(JSON.stringify({ words: [{ word: 'gift', definition: 'a present' }] }));
+    
+    assert.equal(importer.plan(candidates, [german], 'en').add.length, 1);
+    assert.equal(importer.plan(candidates, [german], 'de').merge.length, 1);
+});
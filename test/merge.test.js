@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WordMerge } = require('../merge.js');
+
+const merger = new WordMerge();
+
+const word = fields => ({
+    id: '01HZX3V9Q8M2K7R5T4W6Y0A1BC',
+    word: 'serendipity',
+    definition: 'a happy accident',
+    partOfSpeech: 'noun',
+    difficulty: 'medium',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+});
+
+test('a field changed on one side takes that side\'s value', () => {
+    const base = word();
+    const { merged, conflicts } = merger.merge(base, word({ difficulty: 'hard' }), word({ pronunciation: '/ˌserənˈdipədē/' }));
+    
+    assert.deepEqual(conflicts, []);
+    assert.equal(merged.difficulty, 'hard');
+    assert.equal(merged.pronunciation, '/ˌserənˈdipədē/');
+});
+
+test('the same field changed differently on both sides is a conflict', () => {
+    const { merged, conflicts } = merger.merge(word(), word({ difficulty: 'hard' }), word({ difficulty: 'easy' }));
+    
+    assert.deepEqual(conflicts, [{ field: 'difficulty', base: 'medium', local: 'hard', remote: 'easy' }]);
+    assert.equal(merged.difficulty, 'hard');
+});
+
+test('list fields combine additions and removals from both sides', () => {
+    const base = word({ synonyms: ['chance', 'luck'] });
+    const { merged, conflicts } = merger.merge(base, word({ synonyms: ['chance', 'luck', 'fluke'] }), word({ synonyms: ['chance', 'fortune'] }));
+    
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(merged.synonyms, ['chance', 'fluke', 'fortune']);
+});
+
+test('quiz counters from both sides add up', () => {
+    const base = word({ quiz: { attempts: 2, correct: 1, lastAttempt: '2026-01-01T00:00:00.000Z' } });
+    const local = word({ quiz: { attempts: 4, correct: 2, lastAttempt: '2026-01-03T00:00:00.000Z' } });
+    const remote = word({ quiz: { attempts: 3, correct: 2, lastAttempt: '2026-01-02T00:00:00.000Z' } });
+    
+    assert.deepEqual(merger.merge(base, local, remote).merged.quiz, { attempts: 5, correct: 3, lastAttempt: '2026-01-03T00:00:00.000Z' });
+});
+
+test('the most recent review wins', () => {
+    const base = word({ review: { interval: 1, lastReviewed: '2026-01-01T00:00:00.000Z' } });
+    const local = word({ review: { interval: 3, lastReviewed: '2026-01-02T00:00:00.000Z' } });
+    const remote = word({ review: { interval: 6, lastReviewed: '2026-01-04T00:00:00.000Z' } });
+    
+    assert.equal(merger.merge(base, local, remote).merged.review.interval, 6);
+});
+
+test('the latest recording date wins', () => {
+    const { merged, conflicts } = merger.merge(word(), word({ recordedAt: '2026-01-03T00:00:00.000Z' }), word({ recordedAt: '2026-01-02T00:00:00.000Z' }));
+    
+    assert.deepEqual(conflicts, []);
+    assert.equal(merged.recordedAt, '2026-01-03T00:00:00.000Z');
+});
+
+test('a merge that ends up matching GitHub keeps GitHub\'s timestamp', () => {
+    const remote = word({ difficulty: 'hard', updatedAt: '2026-02-01T00:00:00.000Z' });
+    const { merged } = merger.merge(word(), word(), remote);
+    
+    assert.equal(merged.updatedAt, remote.updatedAt);
+});
+
+test('the mirrored fields follow the first sense', () => {
+    const senses = [{ partOfSpeech: 'verb', definitions: ['to run quickly'], examples: [], synonyms: ['dash'], antonyms: [] }];
+    const { merged } = merger.merge(word(), word(), word({ senses }));
+    
+    assert.equal(merged.definition, 'to run quickly');
+    assert.equal(merged.partOfSpeech, 'verb');
+    assert.deepEqual(merged.synonyms, ['dash']);
+});
+
+test('snapshots are deep copies of the merged fields', () => {
+    const original = word({ synonyms: ['chance'], source: 'Manual' });
+    const snapshot = merger.snapshot(original);
+    original.synonyms.push('luck');
+    
+    assert.deepEqual(snapshot.synonyms, ['chance']);
+    assert.equal(snapshot.source, undefined);
+    assert.equal(snapshot.updatedAt, original.updatedAt);
+});
+
+const sense = fields => ({ id: 's1', partOfSpeech: 'noun', definitions: ['a happy accident'], examples: [], synonyms: [], antonyms: [], ...fields });
+
+test('changes to different fields of one sense are combined', () => {
+    const base = word({ senses: [sense()] });
+    const local = word({ senses: [sense({ examples: ['pure serendipity'] })] });
+    const remote = word({ senses: [sense({ synonyms: ['chance'] })] });
+    const { merged, conflicts } = merger.merge(base, local, remote);
+    
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(merged.senses, [sense({ examples: ['pure serendipity'], synonyms: ['chance'] })]);
+    assert.deepEqual(merged.examples, ['pure serendipity']);
+});
+
+test('the same sense field changed on both sides is a conflict', () => {
+    const base = word({ senses: [sense()] });
+    const local = word({ senses: [sense({ definitions: ['a fortunate accident'] })] });
+    const remote = word({ senses: [sense({ definitions: ['a lucky accident'] })] });
+    const { merged, conflicts } = merger.merge(base, local, remote);
+    
+    assert.deepEqual(conflicts, [{ sense: 's1', field: 'definitions', base: ['a happy accident'], local: ['a fortunate accident'], remote: ['a lucky accident'] }]);
+    assert.equal(merged.senses.length, 1);
+    assert.deepEqual(merged.senses[0].definitions, ['a fortunate accident']);
+});
+
+test('senses added on either side are kept and removed ones are dropped', () => {
+    const base = word({ senses: [sense(), sense({ id: 's2', partOfSpeech: 'verb' })] });
+    const local = word({ senses: [sense(), sense({ id: 's3', partOfSpeech: 'adjective' })] });
+    const remote = word({ senses: [sense(), sense({ id: 's2', partOfSpeech: 'verb' }), sense({ id: 's4', partOfSpeech: 'adverb' })] });
+    const { merged, conflicts } = merger.merge(base, local, remote);
+    
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(merged.senses.map(s => s.id), ['s1', 's3', 's4']);
+});
+
+test('a sense removed on one side but changed on the other is kept', () => {
+    const base = word({ senses: [sense(), sense({ id: 's2' })] });
+    const local = word({ senses: [sense()] });
+    const remote = word({ senses: [sense(), sense({ id: 's2', examples: ['new'] })] });
+    
+    assert.deepEqual(merger.merge(base, local, remote).merged.senses.map(s => s.id), ['s1', 's2']);
+});
+
+test('senses saved without ids are matched by position', () => {
+    const { id, ...withoutId } = sense();
+    const base = word({ senses: [withoutId] });
+    const local = word({ senses: [{ ...withoutId, examples: ['pure serendipity'] }] });
+    const remote = word({ senses: [{ ...withoutId, synonyms: ['chance'] }] });
+    const { merged, conflicts } = merger.merge(base, local, remote);
+    
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(merged.senses, [{ ...withoutId, id: '1', examples: ['pure serendipity'], synonyms: ['chance'] }]);
+});
+
+test('an edit to the definition of a word without senses survives senses from GitHub', () => {
+    const { id, ...withoutId } = sense();
+    const base = word();
+    const local = word({ definition: 'a fortunate accident' });
+    const remote = word({ senses: [{ ...withoutId, examples: ['pure serendipity'] }] });
+    const { merged, conflicts } = merger.merge(base, local, remote);
+    
+    assert.deepEqual(conflicts, []);
+    assert.equal(merged.definition, 'a fortunate accident');
+    assert.deepEqual(merged.senses, [{ ...withoutId, id: '1', definitions: ['a fortunate accident'], examples: ['pure serendipity'] }]);
+});
+
+test('new senses get ids that no other sense of the word has', () => {
+    const { id, ...withoutId } = sense();
+    const senses = merger.withSenseIds([sense(), withoutId, sense()], () => 's1');
+    
+    assert.deepEqual(senses.map(s => s.id), ['s1', 's1-2', 's1-3']);
+});
+
+test('copies without a common base keep what both have', () => {
+    const { id, ...withoutId } = sense();
+    const older = word({ senses: [withoutId], difficulty: 'easy', synonyms: ['chance'], quiz: { attempts: 2, correct: 1, lastAttempt: null } });
+    const newer = word({
+        senses: [{ ...withoutId, definitions: ['luck in finding things'] }],
+        difficulty: 'hard',
+        quiz: { attempts: 1, correct: 1, lastAttempt: null },
+        updatedAt: '2026-02-01T00:00:00.000Z'
+    });
+    const combined = merger.combine(older, newer);
+    
+    assert.deepEqual(combined.senses.map(s => [s.id, s.definitions[0]]), [['1', 'luck in finding things'], ['1-2', 'a happy accident']]);
+    assert.equal(combined.definition, 'luck in finding things');
+    assert.equal(combined.difficulty, 'hard');
+    assert.deepEqual(combined.quiz, { attempts: 3, correct: 2, lastAttempt: null });
+    assert.notEqual(combined.updatedAt, newer.updatedAt);
+});
+
+test('edit history stays with the copy on this device', () => {
+    const history = [{ savedAt: '2026-01-01T00:00:00.000Z', word: 'serendipity' }];
+    const { merged, conflicts } = merger.merge(word(), word({ history }), word({ history: [] }));
+    
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(merged.history, history);
+    assert.equal(merger.snapshot(word({ history })).history, undefined);
+});
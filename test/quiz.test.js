@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuizGenerator } = require('../quiz.js');
+const { SearchIndex } = require('../search.js');
+
+const words = [
+    { id: 'w1', word: 'café', definition: 'a small restaurant', pronunciation: '/kaˈfeɪ/', examples: ['We met at the café.'], synonyms: ['bistro'] },
+    { id: 'w2', word: 'quay', definition: 'a platform where boats load', examples: [], synonyms: ['wharf'] },
+    { id: 'w3', word: 'serendipity', definition: 'a happy accident', examples: [] }
+];
+const index = new SearchIndex();
+const generator = new QuizGenerator(words, text => index.normalize(text));
+
+test('definition questions show the definition and ask for the word', () => {
+    const question = generator.build('definition', words[0]);
+    
+    assert.equal(question.prompt, 'a small restaurant');
+    assert.equal(question.answer, 'café');
+    assert.deepEqual([...question.options].sort(), ['café', 'quay', 'serendipity']);
+});
+
+test('answers are compared the way search compares text', () => {
+    const question = generator.build('spelling', words[0]);
+    
+    assert.equal(generator.check(question, '  CAFE ').correct, true);
+    assert.equal(generator.check(question, 'cafes').correct, false);
+    assert.equal(generator.check(generator.build('definition', words[0]), 'Café').correct, true);
+});
+
+test('matching is checked pair by pair', () => {
+    const question = generator.build('matching', words[0]);
+    const results = generator.check(question, { w1: 'Bistro', w2: 'bistro' }).results;
+    
+    assert.deepEqual(results.map(result => result.correct), [true, false]);
+});
+
+test('cloze questions find words that start or end with accented letters', () => {
+    const accented = [
+        { id: 'a1', word: 'été', definition: 'summer', examples: ["L'été dernier était chaud."] },
+        { id: 'a2', word: 'Übung', definition: 'practice', examples: ['Übungen machen den Meister.'] },
+        { id: 'a3', word: 'café', definition: 'a small restaurant', examples: ['Two cafés opened on our street.'] }
+    ];
+    const cloze = new QuizGenerator(accented, text => index.normalize(text));
+    
+    assert.deepEqual(accented.map(word => {
+        const question = cloze.build('cloze', word);
+        return [question.prompt, question.answer];
+    }), [
+        ["L'_____ dernier était chaud.", 'été'],
+        ['_____ machen den Meister.', 'Übungen'],
+        ['Two _____ opened on our street.', 'cafés']
+    ]);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReviewScheduler } = require('../review.js');
+
+const scheduler = new ReviewScheduler();
+const now = new Date(2026, 0, 10, 9);
+
+const word = fields => ({ id: 'w1', word: 'gift', mastered: false, ...fields });
+
+// Grades a fresh word once per quality and returns the review states
+const reviews = (...qualities) => {
+    const graded = word();
+    return qualities.map(quality => ({ ...scheduler.grade(graded, quality, now).review }));
+};
+
+test('good recalls space reviews 1, 6, then interval times ease days apart', () => {
+    assert.deepEqual(reviews(4, 4, 4, 4).map(review => [review.repetitions, review.interval, review.ease]), [
+        [1, 1, 2.5],
+        [2, 6, 2.5],
+        [3, 15, 2.5],
+        [4, 38, 2.5]
+    ]);
+    
+    assert.deepEqual(reviews(5, 5, 5, 5).map(review => [review.interval, review.ease]), [[1, 2.6], [6, 2.7], [16, 2.8], [45, 2.9]]);
+});
+
+test('hard recalls lower the ease, down to 1.3', () => {
+    assert.deepEqual(reviews(3, 3).map(review => review.ease), [2.36, 2.22]);
+    assert.equal(reviews(...Array(20).fill(3)).at(-1).ease, 1.3);
+});
+
+test('a failed recall starts the word over with a lower ease', () => {
+    const [, , failed, again] = reviews(4, 4, 2, 4);
+    
+    assert.deepEqual([failed.repetitions, failed.interval, failed.ease], [0, 1, 2.18]);
+    assert.deepEqual([again.repetitions, again.interval], [1, 1]);
+});
+
+test('the next review is due interval days after grading', () => {
+    const [first, second] = reviews(4, 4);
+    
+    assert.equal(first.lastReviewed, now.toISOString());
+    assert.equal(first.due, new Date(2026, 0, 11, 9).toISOString());
+    assert.equal(second.due, new Date(2026, 0, 16, 9).toISOString());
+});
+
+test('a word is due when never reviewed or due by the end of the day', () => {
+    assert.equal(scheduler.isDue(word(), now), true);
+    assert.equal(scheduler.isDue(word({ review: { due: new Date(2026, 0, 10, 22).toISOString() } }), now), true);
+    assert.equal(scheduler.isDue(word({ review: { due: new Date(2026, 0, 9).toISOString() } }), now), true);
+    assert.equal(scheduler.isDue(word({ review: { due: new Date(2026, 0, 11, 0, 30).toISOString() } }), now), false);
+});
+
+test('a word is mastered once its interval reaches the mastery interval', () => {
+    const graded = word();
+    const mastered = [4, 4, 4, 4].map(quality => scheduler.grade(graded, quality, now).mastered);
+    
+    assert.deepEqual(mastered, [false, false, false, true]);
+    assert.equal(graded.updatedAt, now.toISOString());
+    assert.equal(new ReviewScheduler(10).grade(word(), 4, now).mastered, false);
+    assert.equal(new ReviewScheduler(1).grade(word(), 4, now).mastered, true);
+});
+
+test('a hand-set mark holds until the schedule agrees with it', () => {
+    const marked = word({ mastered: true, masteredOverride: true });
+    
+    scheduler.grade(marked, 4, now);
+    scheduler.grade(marked, 4, now);
+    assert.equal(marked.mastered, true);
+    assert.equal(marked.masteredOverride, true);
+    
+    scheduler.grade(marked, 4, now);
+    scheduler.grade(marked, 4, now);
+    assert.equal(marked.mastered, true);
+    assert.equal('masteredOverride' in marked, false);
+    
+    // Reviews decide again once the mark is cleared
+    scheduler.grade(marked, 1, now);
+    assert.equal(marked.mastered, false);
+});
+
+test('an unmastered mark holds through long intervals until a review agrees', () => {
+    const unmarked = word({ mastered: false, masteredOverride: false, review: { ease: 2.5, interval: 38, repetitions: 4, due: null, lastReviewed: null } });
+    
+    scheduler.grade(unmarked, 5, now);
+    assert.equal(unmarked.review.interval, 95);
+    assert.equal(unmarked.mastered, false);
+    assert.equal(unmarked.masteredOverride, false);
+    
+    scheduler.grade(unmarked, 0, now);
+    assert.equal(unmarked.mastered, false);
+    assert.equal('masteredOverride' in unmarked, false);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DictionaryValidator } = require('../schema.js');
+
+const validator = new DictionaryValidator();
+
+const word = fields => ({
+    id: '01HZX3V9Q8M2K7R5T4W6Y0A1BC',
+    word: 'serendipity',
+    definition: 'a happy accident',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+});
+
+test('a complete word matches', () => {
+    const record = word({
+        senses: [{ partOfSpeech: 'noun', definitions: ['a happy accident'], examples: ['pure serendipity'] }],
+        translations: [{ language: 'es', text: 'serendipia' }],
+        language: 'en',
+        tags: ['gre'],
+        review: { ease: 2.5, interval: 6, repetitions: 2, due: null, lastReviewed: null },
+        quiz: { attempts: 3, correct: 2, lastAttempt: null }
+    });
+    
+    assert.deepEqual(validator.checkRecord(record), []);
+});
+
+test('problems are reported with the path to the bad value', () => {
+    assert.deepEqual(validator.checkRecord(word({ word: '   ' })), ['/word must be text that is not blank']);
+    assert.deepEqual(validator.checkRecord(word({ difficulty: 'extreme' })), ['/difficulty must be one of easy, medium, hard']);
+    assert.deepEqual(validator.checkRecord(word({ examples: ['fine', 42] })), ['/examples/1 must be text']);
+    assert.deepEqual(validator.checkRecord(word({ audio: 'http://example.com/a.mp3' })), ['/audio must be an https URL']);
+    assert.deepEqual(validator.checkRecord(word({ createdAt: 'yesterday' })), ['/createdAt must be a date']);
+});
+
+test('missing required fields can be allowed', () => {
+    const { id, ...withoutId } = word();
+    
+    assert.deepEqual(validator.checkRecord(withoutId), ['/id is required']);
+    assert.deepEqual(validator.checkRecord(withoutId, 'word', { optional: ['id'] }), []);
+});
+
+test('ids are ULIDs or old numeric ids', () => {
+    assert.deepEqual(validator.checkRecord(word({ id: 1712345678901.123 })), []);
+    assert.equal(validator.checkRecord(word({ id: '<script>' })).length, 1);
+});
+
+test('checkDocument splits valid records from quarantined ones', () => {
+    const result = validator.checkDocument({
+        words: [word(), word({ id: 'bad id!' })],
+        tombstones: [{ id: 'gone', deletedAt: '2026-01-02T00:00:00.000Z' }, { id: 'gone' }],
+        collections: [{ id: 'c1', name: 'GRE', updatedAt: '2026-01-02T00:00:00.000Z' }]
+    });
+    
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.words.length, 1);
+    assert.equal(result.tombstones.length, 1);
+    assert.equal(result.collections.length, 1);
+    assert.deepEqual(result.quarantined.map(entry => [entry.kind, entry.errors]), [
+        ['word', ['/id must be up to 64 letters, digits, "_", "." or "-"']],
+        ['tombstone', ['/deletedAt is required']]
+    ]);
+});
+
+test('a document without a word list is rejected as a whole', () => {
+    const result = validator.checkDocument({ words: 'none' });
+    
+    assert.deepEqual(result.errors, ['/words must be a list']);
+    assert.deepEqual(result.words, []);
+});
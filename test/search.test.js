@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex } = require('../search.js');
+
+const word = (id, fields) => ({
+    id,
+    definition: '',
+    partOfSpeech: 'noun',
+    difficulty: 'medium',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+});
+
+const dictionary = () => [
+    word('happy', {
+        word: 'happy',
+        definition: 'feeling or showing pleasure',
+        partOfSpeech: 'adjective',
+        difficulty: 'easy',
+        synonyms: ['glad', 'happy-go-lucky'],
+        antonyms: ['sad'],
+        tags: ['gre', 'feelings'],
+        translations: [{ language: 'es', text: 'feliz' }],
+        mastered: true
+    }),
+    word('house', { word: 'house', definition: 'a building where people live', tags: ['greek roots'] }),
+    word('run', {
+        word: 'run',
+        difficulty: 'hard',
+        senses: [
+            { partOfSpeech: 'verb', definitions: ['move fast on foot'], synonyms: ['sprint'] },
+            { partOfSpeech: 'noun', definitions: ['a happy accident of timing'], examples: ['a run of luck'] }
+        ]
+    }),
+    word('cafe', { word: 'café', definition: 'a small restaurant' })
+];
+
+const ids = results => results.map(result => result.word.id);
+
+const setup = (options = {}) => {
+    const words = dictionary();
+    const index = new SearchIndex(options);
+    index.sync(words);
+    return { words, index, find: query => ids(index.search(query, words)) };
+};
+
+test('a term finds words, prefixes and near misses, best match first', () => {
+    const { words, index, find } = setup();
+    
+    assert.deepEqual(find('happy'), ['happy', 'run']);
+    assert.deepEqual(find('hap'), ['happy', 'run']);
+    assert.deepEqual(find('hapy'), ['happy', 'run']);
+    assert.deepEqual(find('happpy'), ['happy', 'run']);
+    assert.deepEqual(find('hpapy'), ['happy', 'run']);
+    
+    const [happy, run] = index.search('happy', words);
+    assert.ok(happy.score > run.score);
+    assert.deepEqual([...happy.terms], ['happy']);
+});
+
+test('every term has to match and short terms allow no typos', () => {
+    const { find } = setup();
+    
+    assert.deepEqual(find('happy accident'), ['run']);
+    assert.deepEqual(find('happy building'), []);
+    assert.deepEqual(find('rnu'), []);
+    assert.deepEqual(find('hous'), ['house']);
+});
+
+test('a single letter finds the words whose headword starts with it', () => {
+    const { find } = setup();
+    
+    assert.deepEqual(find('h'), ['happy', 'house']);
+    assert.deepEqual(find('r'), ['run']);
+    assert.deepEqual(find('f'), []);
+});
+
+test('text matches without case or accents', () => {
+    const { find } = setup();
+    
+    assert.deepEqual(find('CAFE'), ['cafe']);
+    assert.deepEqual(find('café'), ['cafe']);
+    assert.deepEqual(find('Feliz'), ['happy']);
+});
+
+test('field filters narrow the results down', () => {
+    const { find } = setup({
+        is: { mastered: w => w.mastered === true },
+        memberOf: (w, name) => name === 'unit 3' && w.id === 'house'
+    });
+    
+    assert.deepEqual(find('pos:verb'), ['run']);
+    assert.deepEqual(find('pos:adj'), ['happy']);
+    assert.deepEqual(find('pos:noun'), ['house', 'run', 'cafe']);
+    assert.deepEqual(find('difficulty:hard'), ['run']);
+    assert.deepEqual(find('diff:e'), ['happy']);
+    assert.deepEqual(find('syn:glad'), ['happy']);
+    assert.deepEqual(find('syn:"go lucky"'), []);
+    assert.deepEqual(find('syn:"go-lucky"'), ['happy']);
+    assert.deepEqual(find('ant:sad'), ['happy']);
+    assert.deepEqual(find('tr:fel'), ['happy']);
+    assert.deepEqual(find('translation:feliz'), ['happy']);
+    assert.deepEqual(find('tag:gre'), ['happy']);
+    assert.deepEqual(find('tag:gr'), []);
+    assert.deepEqual(find('tag:"greek roots"'), ['house']);
+    assert.deepEqual(find('in:"Unit 3"'), ['house']);
+    assert.deepEqual(find('is:mastered'), ['happy']);
+    assert.deepEqual(find('is:unknown'), []);
+});
+
+test('filters combine with terms and unknown keys are searched as text', () => {
+    const { find } = setup();
+    
+    assert.deepEqual(find('happy pos:noun'), ['run']);
+    assert.deepEqual(find('hapy pos:adj'), ['happy']);
+    assert.deepEqual(find('pos:noun diff:hard'), ['run']);
+    assert.deepEqual(find('move:happy'), ['run']);
+    assert.deepEqual(find('x:run'), []);
+});
+
+test('added, edited and removed words are picked up one at a time', () => {
+    const { words, index, find } = setup();
+    
+    const hope = word('hope', { word: 'hope', definition: 'a wish for something', updatedAt: '2026-01-02T00:00:00.000Z' });
+    words.push(hope);
+    index.add(hope);
+    assert.deepEqual(find('h'), ['happy', 'house', 'hope']);
+    assert.deepEqual(find('wish'), ['hope']);
+    
+    const edited = { ...hope, definition: 'a feeling of expectation', updatedAt: '2026-01-03T00:00:00.000Z' };
+    words[words.length - 1] = edited;
+    index.add(edited);
+    assert.deepEqual(find('wish'), []);
+    assert.deepEqual(find('expectation'), ['hope']);
+    assert.deepEqual(find('expecation'), ['hope']);
+    
+    words.splice(0, 1);
+    index.remove('happy');
+    assert.deepEqual(find('hapy'), ['run']);
+    assert.deepEqual(find('feliz'), []);
+    assert.deepEqual(find('tag:gre'), []);
+    assert.equal(index.termsStartingWith('fel').length, 0);
+    assert.equal(index.postings.has('glad'), false);
+});
+
+test('sync re-indexes changed words and drops missing ones', () => {
+    const { words, index, find } = setup();
+    const untouched = index.documents.get('house');
+    
+    const run = words.find(w => w.id === 'run');
+    run.senses[0].partOfSpeech = 'adverb';
+    run.updatedAt = '2026-01-02T00:00:00.000Z';
+    const remaining = words.filter(w => w.id !== 'cafe');
+    index.sync(remaining);
+    
+    assert.equal(index.documents.get('house'), untouched);
+    assert.equal(index.documents.has('cafe'), false);
+    assert.deepEqual(ids(index.search('pos:adv', remaining)), ['run']);
+    assert.deepEqual(ids(index.search('pos:verb', remaining)), []);
+    assert.deepEqual(find('restaurant'), []);
+});
+
+test('filters read a word edited in place before the index catches up', () => {
+    const { words, find } = setup();
+    
+    const house = words.find(w => w.id === 'house');
+    house.tags = ['home'];
+    house.updatedAt = '2026-01-02T00:00:00.000Z';
+    
+    assert.deepEqual(find('tag:home'), ['house']);
+    assert.deepEqual(find('tag:"greek roots"'), []);
+});